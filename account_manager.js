@@ -0,0 +1,642 @@
+// Account Manager for Health Tracker Application
+// Registration, login and profile changes against the user directory kept by
+// DatabaseManager (users.json). Passwords are stored as salted PBKDF2-SHA256
+// hashes: "pbkdf2-sha256$<iterations>$<salt>$<hash>". With the persistence
+// server running, passwords and recovery codes are checked by the server
+// (its /api/auth routes) and never reach the browser; the hashing here only
+// serves the local directory used without it.
+
+const PASSWORD_PBKDF2_ITERATIONS = 310000;
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// One-time codes for resetting a forgotten password. They are random enough that
+// a cheaper hash than the password's keeps checking all of them quick.
+const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_CODE_ITERATIONS = 10000;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+// Profile fields the user may edit; everything else on the account is managed here
+const PROFILE_FIELDS = ['firstName', 'lastName', 'dateOfBirth', 'gender', 'emergencyContact'];
+const DEPENDENT_FIELDS = ['name', 'dateOfBirth', 'emergencyContact'];
+
+// Sign-in throttling without a server; security.rateLimiting in config.json
+// overrides these, or turns throttling off when false
+const DEFAULT_RATE_LIMITING = {
+    maxAttempts: 5, // failures in a row before a name is locked
+    baseDelay: 1000, // wait after a failure, doubled for each further one...
+    maxDelay: 30000, // ...up to this
+    lockoutDuration: 900000,
+    attemptWindow: 900000 // a failure this long after the previous one starts the count again
+};
+
+class AccountError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'AccountError';
+        this.field = field;
+    }
+}
+
+// Wrong username or password, as opposed to a server that could not be
+// reached or a request it rejected
+class InvalidLoginError extends AccountError {
+    constructor() {
+        super('Invalid username or password');
+        this.name = 'InvalidLoginError';
+    }
+}
+
+// Thrown instead of checking the password while sign-in is throttled;
+// locked when it waits for a lockout rather than the short delay
+class LoginLockedError extends Error {
+    constructor(retryAt, locked = false) {
+        super(locked ? 'Too many failed sign-in attempts' : 'Please wait before trying again');
+        this.name = 'LoginLockedError';
+        this.retryAt = retryAt;
+        this.locked = locked;
+    }
+}
+
+class AccountManager {
+    constructor(db = window.dbManager) {
+        this.db = db;
+        this.ready = db.ready.then(() => this.seedDemoAccounts()).catch(() => 0);
+    }
+
+    // Adds the accounts in demo_accounts.json when the directory is empty, so a
+    // fresh install can be tried out. Only with security.seedDemoAccounts set to
+    // true, and never an admin: its password is public. The persistence server
+    // seeds its own directory.
+    async seedDemoAccounts() {
+        if (this.db.config?.security?.seedDemoAccounts !== true) return 0;
+        if (this.db.isServerConnected()) return 0;
+
+        const directory = await this.db.loadUserDirectory();
+        if (directory.users.length > 0) return 0;
+
+        let seed;
+        try {
+            seed = await this.db.loadDatabaseFile('demo_accounts.json');
+        } catch (error) {
+            // No seed file deployed - accounts have to be registered
+            return 0;
+        }
+
+        const accounts = (seed.accounts || []).filter(account => account.role !== 'admin');
+        const createdAt = new Date().toISOString();
+        for (const account of accounts) {
+            await this.db.saveUser({ ...account, createdAt: account.createdAt || createdAt }, { internal: true });
+        }
+        return accounts.length;
+    }
+
+    // Creates the account. Resolves with { account, recoveryCodes }: the account
+    // without secrets and the recovery codes, which are only ever shown now.
+    // From the server the account also carries the session it started (account.session).
+    async register({ username, email, password, profile = {} }) {
+        await this.ready;
+
+        if (this.db.isServerConnected()) {
+            const result = await this.request('/auth/register', { username, email, password, profile: this.cleanProfile(profile) });
+            return { account: { ...result.account, session: result.session }, recoveryCodes: result.recoveryCodes };
+        }
+
+        username = this.normalizeUsername(username);
+        email = this.normalizeEmail(email);
+        if (!USERNAME_PATTERN.test(username)) {
+            throw new AccountError('Username must be 3-32 letters, numbers, dots, dashes or underscores', 'username');
+        }
+        if (!EMAIL_PATTERN.test(email)) throw new AccountError('Please enter a valid email address', 'email');
+        this.checkPasswordStrength(password);
+
+        if (await this.db.findUserBy('username', username)) throw new DuplicateAccountError('username');
+        if (await this.db.findUserBy('email', email)) throw new DuplicateAccountError('email');
+
+        const recoveryCodes = this.createRecoveryCodes();
+        const user = {
+            id: username,
+            username: username,
+            email: email,
+            passwordHash: await this.hashPassword(password),
+            recoveryCodes: await this.hashRecoveryCodes(recoveryCodes),
+            role: 'patient',
+            profile: this.cleanProfile(profile),
+            preferences: {},
+            createdAt: new Date().toISOString(),
+            lastLogin: null,
+            isActive: true
+        };
+
+        if (!(await this.db.saveUser(user))) throw new AccountError('Account details are not valid');
+        return { account: this.toPublicAccount(user), recoveryCodes: recoveryCodes };
+    }
+
+    // Accepts a username or an email. Resolves with the account (no hash) or
+    // throws an AccountError; the message never says which part was wrong.
+    // Throws a LoginLockedError while too many recent attempts have failed.
+    // From the server the account carries the session it issued (account.session).
+    async authenticate(identifier, password, rememberMe = false) {
+        await this.ready;
+
+        if (this.db.isServerConnected()) {
+            const result = await this.request('/auth/login', { identifier, password, rememberMe });
+            return { ...result.account, session: result.session };
+        }
+
+        const value = String(identifier || '').trim();
+        const user = value.includes('@')
+            ? await this.db.findUserBy('email', value)
+            : await this.db.findUserBy('username', value);
+        const key = value.toLowerCase();
+        this.assertCanAttemptLogin(key);
+
+        if (!user || user.isActive === false || !(await this.verifyPassword(password, user.passwordHash))) {
+            this.recordFailedLogin(key);
+            throw new InvalidLoginError();
+        }
+
+        this.clearFailedLogins([key]);
+        const signedIn = { ...user, lastLogin: new Date().toISOString() };
+        try {
+            await this.db.saveUser(signedIn, { internal: true });
+        } catch (error) {
+            // lastLogin is informational - a failed write must not block signing in
+        }
+        return this.toPublicAccount(signedIn);
+    }
+
+    async getAccount(userId = this.db.getActiveUserId()) {
+        const user = await this.db.loadUser(userId);
+        return user ? this.toPublicAccount(user) : null;
+    }
+
+    // changes: { email, profile: { firstName, ... } }
+    async updateProfile(changes, userId = this.db.getActiveUserId()) {
+        await this.ready;
+
+        const user = await this.db.loadUser(userId);
+        if (!user) throw new AccountError('Account not found');
+
+        const updated = { ...user, profile: { ...(user.profile || {}), ...this.cleanProfile(changes.profile || {}) } };
+        if (changes.email !== undefined) {
+            updated.email = this.normalizeEmail(changes.email);
+            if (!EMAIL_PATTERN.test(updated.email)) throw new AccountError('Please enter a valid email address', 'email');
+        }
+
+        if (!(await this.db.saveUser(updated))) throw new AccountError('Account details are not valid');
+        return this.toPublicAccount(updated);
+    }
+
+    // Passwords and recovery codes
+    async changePassword(currentPassword, newPassword, userId = this.db.getActiveUserId()) {
+        await this.ready;
+
+        if (this.db.isServerConnected()) {
+            return (await this.request('/auth/password', { currentPassword, password: newPassword })).account;
+        }
+
+        const user = await this.verifyCurrentPassword(currentPassword, userId);
+        this.checkPasswordStrength(newPassword);
+
+        const updated = { ...this.withoutLoginAttempts(user), passwordHash: await this.hashPassword(newPassword) };
+        await this.db.saveUser(updated);
+        this.clearFailedLogins([user.username, user.email]);
+        return this.toPublicAccount(updated);
+    }
+
+    // Replaces any unused codes; resolves with the new ones
+    async regenerateRecoveryCodes(currentPassword, userId = this.db.getActiveUserId()) {
+        await this.ready;
+
+        if (this.db.isServerConnected()) {
+            return (await this.request('/auth/recovery-codes', { currentPassword })).recoveryCodes;
+        }
+
+        const user = await this.verifyCurrentPassword(currentPassword, userId);
+
+        const recoveryCodes = this.createRecoveryCodes();
+        await this.db.saveUser({ ...user, recoveryCodes: await this.hashRecoveryCodes(recoveryCodes) });
+        return recoveryCodes;
+    }
+
+    // Forgotten password: a recovery code stands in for the old password and is
+    // used up. Counts towards sign-in throttling like a wrong password.
+    // Resolves with the account, whose recoveryCodesLeft says how many remain.
+    async resetPassword(identifier, recoveryCode, newPassword) {
+        await this.ready;
+        this.checkPasswordStrength(newPassword);
+
+        if (this.db.isServerConnected()) {
+            return (await this.request('/auth/reset', { identifier, recoveryCode, password: newPassword })).account;
+        }
+
+        const value = String(identifier || '').trim();
+        const user = value.includes('@')
+            ? await this.db.findUserBy('email', value)
+            : await this.db.findUserBy('username', value);
+        const key = value.toLowerCase();
+        this.assertCanAttemptLogin(key);
+
+        const used = user && user.isActive !== false ? await this.findRecoveryCode(recoveryCode, user.recoveryCodes || []) : -1;
+        if (used < 0) {
+            this.recordFailedLogin(key);
+            throw new AccountError('Invalid username or recovery code');
+        }
+
+        this.clearFailedLogins([key, user.username, user.email]);
+        const updated = {
+            ...this.withoutLoginAttempts(user),
+            passwordHash: await this.hashPassword(newPassword),
+            recoveryCodes: user.recoveryCodes.filter((hash, index) => index !== used)
+        };
+        if (!(await this.db.saveUser(updated, { internal: true }))) throw new AccountError('Account details are not valid');
+        return this.toPublicAccount(updated);
+    }
+
+    // Also throttled, so a signed-in session cannot be used to guess the password
+    async verifyCurrentPassword(password, userId) {
+        await this.ready;
+
+        const user = await this.db.loadUser(userId);
+        if (!user) throw new AccountError('Account not found');
+        this.assertCanAttemptLogin(user.username);
+
+        if (!(await this.verifyPassword(password, user.passwordHash))) {
+            this.recordFailedLogin(user.username);
+            throw new AccountError('Current password is incorrect', 'currentPassword');
+        }
+        return user;
+    }
+
+    // Bytes at or above the last whole multiple of the alphabet length are
+    // drawn again, so every character is equally likely
+    createRecoveryCodes() {
+        const limit = 256 - (256 % RECOVERY_CODE_ALPHABET.length);
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const chars = [];
+            while (chars.length < 10) {
+                const byte = crypto.getRandomValues(new Uint8Array(1))[0];
+                if (byte < limit) chars.push(RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+            }
+            return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+        });
+    }
+
+    async hashRecoveryCodes(codes) {
+        const hashes = [];
+        for (const code of codes) {
+            hashes.push(await this.hashPassword(this.normalizeRecoveryCode(code), undefined, RECOVERY_CODE_ITERATIONS));
+        }
+        return hashes;
+    }
+
+    // Index of the matching hash, or -1
+    async findRecoveryCode(code, hashes) {
+        const normalized = this.normalizeRecoveryCode(code);
+        for (let i = 0; i < hashes.length; i++) {
+            if (await this.verifyPassword(normalized, hashes[i])) return i;
+        }
+        return -1;
+    }
+
+    // Codes are accepted with or without the dash and in any case
+    normalizeRecoveryCode(code) {
+        return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Record sharing
+    // Patients choose which doctors may read their records (user.sharedWith)
+    async listDoctors() {
+        const doctors = await this.db.listUsers({ role: 'doctor' });
+        return doctors.filter(user => user.isActive !== false).map(user => this.toPublicAccount(user));
+    }
+
+    async shareRecordsWith(doctorId, userId = this.db.getActiveUserId()) {
+        const doctor = await this.db.loadUser(doctorId);
+        if (!doctor || doctor.role !== 'doctor') throw new AccountError('Records can only be shared with a doctor account');
+        return this.updateSharing(userId, sharedWith => [...new Set([...sharedWith, doctorId])]);
+    }
+
+    async stopSharingWith(doctorId, userId = this.db.getActiveUserId()) {
+        return this.updateSharing(userId, sharedWith => sharedWith.filter(id => id !== doctorId));
+    }
+
+    async updateSharing(userId, change) {
+        if (!this.db.hasPermission('records:share')) throw new PermissionError('Your account cannot share records');
+
+        const user = await this.db.loadUser(userId);
+        if (!user) throw new AccountError('Account not found');
+
+        const updated = { ...user, sharedWith: change(user.sharedWith || []) };
+        await this.db.saveUser(updated);
+        return this.toPublicAccount(updated);
+    }
+
+    // Dependents
+    // Family members whose symptoms are logged from this account; their entries
+    // carry the dependent's id as profileId. Their details are kept with the
+    // account's records (DatabaseManager.loadDependents), never in the user
+    // directory.
+    async listDependents(userId = this.db.getActiveUserId()) {
+        const dependents = await this.db.loadDependents(userId);
+        return dependents.length > 0 ? dependents : this.moveAccountDependents(userId);
+    }
+
+    // Older versions kept them on the account (user.dependents); null clears that copy
+    async moveAccountDependents(userId) {
+        const user = await this.db.loadUser(userId);
+        if (!user || !Array.isArray(user.dependents) || user.dependents.length === 0) return [];
+
+        await this.db.saveDependents(user.dependents, userId);
+        await this.db.saveUser({ ...user, dependents: null }, { internal: true });
+        return user.dependents;
+    }
+
+    // details: { name, dateOfBirth, emergencyContact }
+    async addDependent(details, userId = this.db.getActiveUserId()) {
+        const dependent = this.validateDependent({
+            id: 'profile_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 5),
+            ...this.cleanDependent(details),
+            createdAt: new Date().toISOString()
+        });
+        await this.updateDependents(userId, dependents => [...dependents, dependent]);
+        return dependent;
+    }
+
+    async updateDependent(dependentId, details, userId = this.db.getActiveUserId()) {
+        const changes = this.cleanDependent(details);
+        const dependents = await this.updateDependents(userId, dependents => {
+            if (!dependents.some(dependent => dependent.id === dependentId)) throw new AccountError('Profile not found');
+            return dependents.map(dependent =>
+                dependent.id === dependentId ? this.validateDependent({ ...dependent, ...changes }) : dependent
+            );
+        });
+        return dependents.find(dependent => dependent.id === dependentId);
+    }
+
+    async updateDependents(userId, change) {
+        if (!this.db.hasPermission('records:own')) throw new PermissionError('Your account does not keep a symptom log');
+
+        const dependents = change(await this.listDependents(userId));
+        await this.db.saveDependents(dependents, userId);
+        return dependents;
+    }
+
+    cleanDependent(details) {
+        const clean = {};
+        DEPENDENT_FIELDS.forEach(field => {
+            if (details[field] !== undefined) clean[field] = String(details[field]).replace(/[<>]/g, '').trim();
+        });
+        return clean;
+    }
+
+    validateDependent(dependent) {
+        if (!dependent.name) throw new AccountError('Please enter a name', 'name');
+        if (dependent.dateOfBirth && !(Date.parse(dependent.dateOfBirth) <= Date.now())) {
+            throw new AccountError('Please enter a valid date of birth', 'dateOfBirth');
+        }
+        return dependent;
+    }
+
+    // Account administration (accounts:manage)
+    async listAccounts() {
+        this.assertCanManage();
+        const accounts = await this.db.listUsers();
+        return accounts.map(user => this.toManagedAccount(user));
+    }
+
+    async setRole(userId, role) {
+        this.assertCanManage();
+        if (!ROLE_PERMISSIONS[role]) throw new AccountError(`Unknown role "${role}"`);
+        if (userId === this.db.getActiveUserId() && role !== 'admin') {
+            throw new AccountError('You cannot remove your own administrator access');
+        }
+        return this.updateAccount(userId, { role: role });
+    }
+
+    async setActive(userId, active) {
+        this.assertCanManage();
+        if (userId === this.db.getActiveUserId() && !active) throw new AccountError('You cannot deactivate your own account');
+        return this.updateAccount(userId, { isActive: !!active });
+    }
+
+    async updateAccount(userId, changes) {
+        const user = await this.db.loadUser(userId);
+        if (!user) throw new AccountError('Account not found');
+
+        const updated = { ...user, ...changes };
+        await this.db.saveUser(updated);
+        return this.toPublicAccount(updated);
+    }
+
+    // Lifts a sign-in lockout before it runs out
+    async unlockAccount(userId) {
+        this.assertCanManage();
+
+        if (this.db.isServerConnected()) {
+            try {
+                return (await this.db.remoteRequest('POST', `/users/${encodeURIComponent(userId)}/unlock`)).user;
+            } catch (error) {
+                if (error.status === 403) throw new PermissionError(error.message);
+                if (error.status) throw new AccountError(error.message);
+                throw new AccountError('The server could not be reached. Please try again.');
+            }
+        }
+
+        const user = await this.db.loadUser(userId);
+        if (!user) throw new AccountError('Account not found');
+        this.clearFailedLogins([user.username, user.email], false);
+        return this.toManagedAccount(user);
+    }
+
+    // Listed accounts carry lockedUntil: when a sign-in lockout ends, or null.
+    // The server adds it; without one it comes from this browser's counts.
+    toManagedAccount(user, now = Date.now()) {
+        const account = this.toPublicAccount(user);
+        if (this.db.isServerConnected()) return { lockedUntil: null, ...account };
+
+        const identifiers = this.loadLoginAttempts().identifiers;
+        const lockedUntil = Math.max(0, ...[user.username, user.email].filter(Boolean)
+            .map(key => identifiers[key.toLowerCase()])
+            .map(attempts => attempts && attempts.lockedUntil ? new Date(attempts.lockedUntil).getTime() : 0));
+        return { ...account, lockedUntil: lockedUntil > now ? new Date(lockedUntil).toISOString() : null };
+    }
+
+    assertCanManage() {
+        if (!this.db.hasPermission('accounts:manage')) throw new PermissionError('Only administrators can manage accounts');
+    }
+
+    // Sign-in throttling
+    // Only used without a server, which otherwise throttles sign-in itself.
+    // Failures are counted in this browser, per name typed and for the device
+    // as a whole: { failures, lastFailureAt, lockedUntil }. Each failure
+    // doubles the wait before the next attempt; maxAttempts failures in a row
+    // lock the name typed for lockoutDuration.
+    getRateLimits() {
+        const setting = this.db.config?.security?.rateLimiting;
+        if (setting === false) return null;
+        return { ...DEFAULT_RATE_LIMITING, ...(typeof setting === 'object' ? setting : {}) };
+    }
+
+    assertCanAttemptLogin(key, now = Date.now()) {
+        const limits = this.getRateLimits();
+        if (!limits) return;
+
+        const local = this.loadLoginAttempts();
+        const counters = [local.device, local.identifiers[key]].filter(Boolean);
+        const retryAt = Math.max(0, ...counters.map(attempts => this.getRetryAt(attempts, limits)));
+        if (retryAt > now) {
+            const locked = counters.some(attempts => attempts.lockedUntil && new Date(attempts.lockedUntil).getTime() > now);
+            throw new LoginLockedError(new Date(retryAt), locked);
+        }
+    }
+
+    recordFailedLogin(key, now = Date.now()) {
+        const limits = this.getRateLimits();
+        if (!limits) return;
+
+        const local = this.loadLoginAttempts();
+        local.device = this.countFailure(local.device, limits, now, false);
+        local.identifiers[key] = this.countFailure(local.identifiers[key], limits, now, true);
+        this.saveLoginAttempts(local, limits, now);
+    }
+
+    // A sign-in clears the device count too; an administrator's unlock only the names
+    clearFailedLogins(keys, device = true) {
+        const local = this.loadLoginAttempts();
+        keys.filter(Boolean).forEach(key => {
+            delete local.identifiers[String(key).toLowerCase()];
+        });
+        if (device) local.device = null;
+        this.db.saveToLocalStorage('login_attempts', local);
+    }
+
+    countFailure(attempts, limits, now, lockable) {
+        const last = attempts && attempts.lastFailureAt ? new Date(attempts.lastFailureAt).getTime() : 0;
+        const failures = attempts && now - last < limits.attemptWindow ? attempts.failures + 1 : 1;
+        return {
+            failures: failures,
+            lastFailureAt: new Date(now).toISOString(),
+            lockedUntil: lockable && failures >= limits.maxAttempts ? new Date(now + limits.lockoutDuration).toISOString() : null
+        };
+    }
+
+    getRetryAt(attempts, limits) {
+        if (!attempts.failures) return 0;
+        const backoff = Math.min(limits.maxDelay, limits.baseDelay * 2 ** (attempts.failures - 1));
+        const lockedUntil = attempts.lockedUntil ? new Date(attempts.lockedUntil).getTime() : 0;
+        return Math.max(lockedUntil, new Date(attempts.lastFailureAt).getTime() + backoff);
+    }
+
+    // Older versions counted failures on the account itself
+    withoutLoginAttempts(user) {
+        const { loginAttempts, ...rest } = user;
+        return rest;
+    }
+
+    loadLoginAttempts() {
+        const stored = this.db.loadFromLocalStorage('login_attempts');
+        return { device: null, identifiers: {}, ...(stored || {}) };
+    }
+
+    // Names nobody has tried for a while are forgotten so the record stays small
+    saveLoginAttempts(local, limits, now) {
+        Object.keys(local.identifiers).forEach(key => {
+            const attempts = local.identifiers[key];
+            if (now - this.getRetryAt(attempts, limits) > limits.attemptWindow) delete local.identifiers[key];
+        });
+        this.db.saveToLocalStorage('login_attempts', local);
+    }
+
+    // Password hashing
+    async hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_PBKDF2_ITERATIONS) {
+        const hash = await this.derivePasswordBits(password, salt, iterations);
+        return `pbkdf2-sha256$${iterations}$${this.toBase64(salt)}$${this.toBase64(hash)}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, iterations, salt, expected] = String(stored || '').split('$');
+        if (scheme !== 'pbkdf2-sha256' || !salt || !expected) return false;
+
+        const hash = this.toBase64(await this.derivePasswordBits(password, this.fromBase64(salt), Number(iterations)));
+        // Compare every character so the time taken does not leak the match length
+        let difference = hash.length ^ expected.length;
+        for (let i = 0; i < Math.min(hash.length, expected.length); i++) {
+            difference |= hash.charCodeAt(i) ^ expected.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    async derivePasswordBits(password, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    checkPasswordStrength(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 'password');
+        }
+    }
+
+    // Helpers
+    normalizeUsername(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    cleanProfile(profile) {
+        const clean = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (profile[field] !== undefined) clean[field] = String(profile[field]).replace(/[<>]/g, '').trim();
+        });
+        return clean;
+    }
+
+    // Accounts from the server come without secrets and with recoveryCodesLeft
+    toPublicAccount(user) {
+        const { passwordHash, recoveryCodes, ...account } = user;
+        return { ...account, recoveryCodesLeft: recoveryCodes ? recoveryCodes.length : account.recoveryCodesLeft || 0 };
+    }
+
+    // POSTs to the server's /api/auth routes. Its errors come back as
+    // AccountErrors (with the field they concern) so forms show them as they are.
+    async request(path, body) {
+        try {
+            return await this.db.remoteRequest('POST', path, body);
+        } catch (error) {
+            if (error.status === 409) throw new DuplicateAccountError(/email/.test(error.message) ? 'email' : 'username');
+            if (error.status === 429) throw new LoginLockedError(new Date(error.retryAt), !!error.locked);
+            if (error.status === 401 && path === '/auth/login') throw new InvalidLoginError();
+            if (error.status) throw new AccountError(error.message, error.field || null);
+            throw new AccountError('The server could not be reached. Please try again.');
+        }
+    }
+
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+window.AccountManager = AccountManager;
+window.AccountError = AccountError;
+window.InvalidLoginError = InvalidLoginError;
+window.LoginLockedError = LoginLockedError;
+window.accountManager = new AccountManager();
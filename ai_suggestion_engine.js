@@ -5,15 +5,16 @@
 class AISuggestionEngine {
     constructor() {
         this.healthKnowledge = null;
-        this.loadHealthKnowledge();
+        this.knowledgeError = null; // why health_knowledge.json could not be used, if it could not
+        this.ready = this.loadHealthKnowledge();
     }
 
     async loadHealthKnowledge() {
         try {
-            const response = await fetch('./database/health_knowledge.json');
-            this.healthKnowledge = await response.json();
+            this.healthKnowledge = await dataRoot.fetchJson('health_knowledge.json');
         } catch (error) {
-            // Failed to load health knowledge - using default fallback
+            // Failed to load health knowledge - using default fallback, flagged via knowledgeError
+            this.knowledgeError = error.message;
             this.healthKnowledge = this.getDefaultKnowledge();
         }
     }
@@ -67,7 +68,7 @@ class AISuggestionEngine {
         const suggestions = [];
         const emergencySymptoms = symptoms.filter(s => 
             s.severity >= 8 || 
-            ['chest-pain', 'shortness-breath', 'severe-headache'].includes(s.type)
+            ['chest-pain', 'shortness-of-breath', 'severe-headache'].includes(s.type)
         );
 
         if (emergencySymptoms.length > 0) {
@@ -530,7 +531,7 @@ class AISuggestionEngine {
         const reasons = symptoms.map(s => {
             if (s.severity >= 8) return `Severity level ${s.severity}/10 indicates significant distress`;
             if (s.type === 'chest-pain') return 'Chest pain can indicate serious cardiac or pulmonary conditions';
-            if (s.type === 'shortness-breath') return 'Breathing difficulties require immediate evaluation';
+            if (s.type === 'shortness-of-breath') return 'Breathing difficulties require immediate evaluation';
             return 'High-risk symptom requiring professional assessment';
         });
         return reasons.join('. ');
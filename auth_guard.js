@@ -0,0 +1,66 @@
+// Auth Guard for Health Tracker Application
+// Protects a page: include it in <head> and load login.js (after the
+// DatabaseManager scripts) in the body. The page stays hidden until the check
+// passes. Signed-out visitors go to login.html with a return URL; pages limited
+// to certain roles list them on the script tag:
+//   <script src="auth_guard.js" data-roles="admin"></script>
+
+class AuthGuard {
+    constructor(script = document.currentScript) {
+        const roles = script && script.dataset.roles;
+        this.roles = roles ? roles.split(',').map(role => role.trim()).filter(Boolean) : [];
+        this.ready = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+
+        document.documentElement.style.visibility = 'hidden';
+        document.addEventListener('DOMContentLoaded', () => {
+            this.check().then(this.resolveReady, () => this.resolveReady(false));
+        });
+    }
+
+    // Resolves true when the page may be used; otherwise it has already
+    // redirected or replaced the page with an explanation
+    async check() {
+        const returnTo = AuthManager.getCurrentPage();
+
+        if (!AuthManager.isAuthenticated()) {
+            await AuthManager.logout(window.dbManager.getSessionProblem(window.dbManager.readSession()), returnTo);
+            return false;
+        }
+
+        const user = AuthManager.getCurrentUser();
+        if (!this.isAllowed(user)) {
+            this.showForbidden();
+            return false;
+        }
+
+        if (!(await AuthManager.requireSession(returnTo))) return false;
+        document.documentElement.style.visibility = '';
+        AuthManager.watchSession();
+        return true;
+    }
+
+    isAllowed(user) {
+        return this.roles.length === 0 || this.roles.includes(user.role);
+    }
+
+    showForbidden() {
+        document.body.innerHTML = `
+            <div style="max-width: 480px; margin: 80px auto; padding: 30px; background: white; border-radius: 15px; text-align: center; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; box-shadow: 0 10px 30px rgba(0,0,0,0.2);">
+                <h2>🔒 Access restricted</h2>
+                <p>This page is only available to ${this.roles.join(' or ')} accounts.</p>
+                <a href="index.html">← Back to HealthTracker</a>
+            </div>
+        `;
+        document.documentElement.style.visibility = '';
+    }
+}
+
+// Guarded pages get a global logout() for their sign-out buttons
+window.logout = function() {
+    AuthManager.logout();
+};
+
+window.AuthGuard = AuthGuard;
+window.authGuard = new AuthGuard();
@@ -0,0 +1,163 @@
+// Crypto Vault for Health Tracker Application
+// Optional at-rest encryption of symptom records with WebCrypto: an AES-GCM key
+// derived from the user's passphrase via PBKDF2. The key only ever lives in
+// memory; locking the vault drops it.
+
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_VERIFIER_TEXT = 'healthtracker-vault-v1';
+
+class VaultLockedError extends Error {
+    constructor(message = 'Encrypted data is locked. Enter your passphrase to continue.') {
+        super(message);
+        this.name = 'VaultLockedError';
+    }
+}
+
+class CryptoVault {
+    constructor(metaKey) {
+        this.metaKey = metaKey; // localStorage key holding salt + verifier
+        this.key = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.crypto && window.crypto.subtle);
+    }
+
+    static isSealed(value) {
+        return !!(value && typeof value === 'object' && value.iv && value.data);
+    }
+
+    getMeta() {
+        try {
+            return JSON.parse(localStorage.getItem(this.metaKey) || 'null');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isEnabled() {
+        return !!this.getMeta();
+    }
+
+    isUnlocked() {
+        return !!this.key;
+    }
+
+    // Turns encryption on with a fresh salt; leaves the vault unlocked
+    async enable(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+
+        this.key = key;
+        const verifier = await this.encrypt(VAULT_VERIFIER_TEXT);
+        localStorage.setItem(this.metaKey, JSON.stringify({
+            version: 1,
+            salt: this.toBase64(salt),
+            iterations: VAULT_PBKDF2_ITERATIONS,
+            verifier: verifier,
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    disable() {
+        localStorage.removeItem(this.metaKey);
+        this.key = null;
+    }
+
+    async unlock(passphrase) {
+        const meta = this.getMeta();
+        if (!meta) throw new Error('Encryption is not enabled');
+
+        const key = await this.deriveKey(passphrase, this.fromBase64(meta.salt), meta.iterations);
+        try {
+            const check = await this.decrypt(meta.verifier, key);
+            if (check !== VAULT_VERIFIER_TEXT) throw new Error('Verifier mismatch');
+        } catch (error) {
+            throw new Error('Incorrect passphrase');
+        }
+
+        this.key = key;
+        return true;
+    }
+
+    lock() {
+        this.key = null;
+    }
+
+    // Returns a vault keyed with a new passphrase, sharing this vault's metaKey.
+    // The caller re-encrypts its data with it, then calls commit() to swap the
+    // stored salt/verifier over.
+    async prepareRekey(newPassphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const next = new CryptoVault(this.metaKey);
+        next.key = await this.deriveKey(newPassphrase, salt, VAULT_PBKDF2_ITERATIONS);
+        const verifier = await next.encrypt(VAULT_VERIFIER_TEXT);
+
+        next.commit = () => {
+            localStorage.setItem(this.metaKey, JSON.stringify({
+                version: 1,
+                salt: this.toBase64(salt),
+                iterations: VAULT_PBKDF2_ITERATIONS,
+                verifier: verifier,
+                createdAt: new Date().toISOString()
+            }));
+            this.key = next.key;
+        };
+        return next;
+    }
+
+    async encrypt(value, key = this.key) {
+        if (!key) throw new VaultLockedError();
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plaintext);
+
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(ciphertext)) };
+    }
+
+    async decrypt(sealed, key = this.key) {
+        if (!key) throw new VaultLockedError();
+
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) },
+            key,
+            this.fromBase64(sealed.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Helpers
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+window.CryptoVault = CryptoVault;
+window.VaultLockedError = VaultLockedError;
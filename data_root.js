@@ -0,0 +1,73 @@
+// Data Root for Health Tracker Application
+// Where the JSON data files (config.json, symptom_definitions.json,
+// health_knowledge.json...) are fetched from. Resolved once per page and shared
+// by DatabaseManager and AISuggestionEngine:
+//   1. <meta name="healthtracker-data-root" content="..."> when the page sets one
+//   2. otherwise the first candidate serving config.json: ./database/ (mapped onto
+//      the persistence server's data directory), then ./ (static hosting)
+
+const DATA_ROOT_CANDIDATES = ['./database/', './'];
+
+class DataRoot {
+    constructor(candidates = DATA_ROOT_CANDIDATES) {
+        this.candidates = candidates;
+        this.root = null;
+        this.resolving = null;
+        this.failures = new Map(); // filename -> { file, url, message, at }
+    }
+
+    resolve() {
+        if (!this.resolving) {
+            this.resolving = this.findRoot().then(root => {
+                this.root = root;
+                return root;
+            });
+        }
+        return this.resolving;
+    }
+
+    async findRoot() {
+        const meta = document.querySelector('meta[name="healthtracker-data-root"]');
+        if (meta && meta.content) {
+            return meta.content.endsWith('/') ? meta.content : `${meta.content}/`;
+        }
+
+        for (const candidate of this.candidates) {
+            try {
+                const response = await fetch(`${candidate}config.json`);
+                if (response.ok) return candidate;
+            } catch (error) {
+                // Not served from here - try the next candidate
+            }
+        }
+        // Nothing found; loads will fail and show up in getFailures()
+        return this.candidates[this.candidates.length - 1];
+    }
+
+    async url(filename) {
+        return (await this.resolve()) + filename;
+    }
+
+    // Fetches and parses a data file. Failures are kept for getFailures() so
+    // pages can say what is missing instead of silently using defaults.
+    async fetchJson(filename) {
+        const url = await this.url(filename);
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            this.failures.delete(filename);
+            return data;
+        } catch (error) {
+            this.failures.set(filename, { file: filename, url: url, message: error.message, at: new Date().toISOString() });
+            throw new Error(`Could not load ${filename} from ${url}: ${error.message}`);
+        }
+    }
+
+    getFailures() {
+        return [...this.failures.values()];
+    }
+}
+
+window.DataRoot = DataRoot;
+window.dataRoot = new DataRoot();
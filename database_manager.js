@@ -1,15 +1,104 @@
 // Database Manager for Health Tracker Application
 // Handles JSON file-based database operations with localStorage fallback
 
+// Mirrors the "settings" block of config.json; used when the file cannot be loaded
+const DEFAULT_DATABASE_SETTINGS = {
+    autoSave: true,
+    saveInterval: 5000,
+    backupEnabled: true,
+    backupInterval: 86400000,
+    maxBackups: 7,
+    compression: false,
+    encryption: false,
+    storageWarningPercent: 80,
+    localStorageQuota: 5242880, // browsers allow roughly 5MB per origin
+    dataRetention: 0, // days of detailed records to keep; 0 keeps everything
+    sessionLifetime: 86400000, // a sign-in lasts at most a day...
+    rememberedSessionLifetime: 2592000000, // ...or 30 days after last use with "remember me"
+    sessionIdleTimeout: 1800000 // sessions without "remember me" end after 30 idle minutes
+};
+
+// Activity renews the session at most this often
+const SESSION_RENEWAL_INTERVAL = 60000;
+
+// Thrown when a record could not be written anywhere (quota exceeded, storage
+// disabled); the caller must not report the save as successful
+class StorageWriteError extends Error {
+    constructor(message = 'Your device storage is full, so this entry was not saved. Free up space or shorten your data retention period in Settings.') {
+        super(message);
+        this.name = 'StorageWriteError';
+    }
+}
+
+// Thrown by saveUser when another account already uses the username or email
+class DuplicateAccountError extends Error {
+    constructor(field) {
+        super(field === 'email' ? 'An account with this email already exists' : 'This username is already taken');
+        this.name = 'DuplicateAccountError';
+        this.field = field;
+    }
+}
+
+// Thrown when the signed-in account's role does not allow an operation
+class PermissionError extends Error {
+    constructor(message = 'Your account does not have permission to do that') {
+        super(message);
+        this.name = 'PermissionError';
+    }
+}
+
+// What each account role may do. Patients and users keep their own records and
+// choose who may read them; doctors read (never change) the records patients
+// shared with them; admins manage accounts.
+const ROLE_PERMISSIONS = {
+    patient: ['records:own', 'records:share'],
+    user: ['records:own', 'records:share'],
+    doctor: ['records:read-shared'],
+    admin: ['records:own', 'accounts:manage']
+};
+
+// Roles an account can be registered with; the others are given by an admin
+const SELF_SERVICE_ROLES = ['patient', 'user'];
+
+// Only accounts:manage may change these on an account
+const PROTECTED_ACCOUNT_FIELDS = ['role', 'isActive'];
+
+// Fields updateSymptoms may change; identity and grouping stay fixed
+const EDITABLE_SYMPTOM_FIELDS = ['severity', 'duration', 'notes', 'timestamp'];
+
 class DatabaseManager {
     constructor() {
         this.config = null;
         this.cache = new Map();
         this.isOnline = navigator.onLine;
         this.fallbackMode = false;
+        this.serverAvailable = false;
+        this.symptomStore = null; // IndexedDBStore when the browser supports it
+        this.vaults = new Map(); // userId -> CryptoVault
+        this.sharedPreferences = new Map(); // userId -> preferences of an account shared with this one
+        this.validator = window.SchemaValidator ? new SchemaValidator() : null;
+        this.autoSaveTimer = null;
+        this.lastBackupId = 0;
+        this.syncRemote = null; // HttpSyncRemote, or any remote passed to setSyncRemote
+        this.syncRuns = new Map(); // userId -> in-flight sync
+        this.syncAgain = new Set(); // users who saved while their sync was running
+        this.syncListeners = new Set();
+        this.localWriteQueue = Promise.resolve();
+        this.changeCounter = 0;
+        this.storageListeners = new Set();
+        this.storageLevel = null; // last level reported by checkStorageQuota
+        this.storageWriteError = null; // { key, message, at } of the last failed localStorage write
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.changeChannel = null; // BroadcastChannel to the app's other tabs
+        this.changeListeners = new Set();
+        this.listenForOtherTabs();
         
         // Initialize database
-        this.init();
+        this.ready = this.init();
+
+        if (window.userStorage && userStorage.onChange) {
+            userStorage.onChange(change => this.auditProfileChange(change));
+        }
         
         // Listen for online/offline events
         window.addEventListener('online', () => {
@@ -20,6 +109,7 @@ class DatabaseManager {
         window.addEventListener('offline', () => {
             this.isOnline = false;
             this.fallbackMode = true;
+            this.notifySyncStatus();
         });
     }
 
@@ -27,23 +117,165 @@ class DatabaseManager {
         try {
             await this.loadConfig();
             await this.validateDatabaseFiles();
+            await this.connectServer();
             // Database Manager initialized successfully
         } catch (error) {
             // Database initialization failed, using localStorage fallback
             this.fallbackMode = true;
         }
+
+        await this.loadSchemas();
+        await this.initSymptomStore();
+        await this.claimUnownedData(this.getActiveUserId());
+        await this.createBackupIfDue();
+    }
+
+    // Records logged before storage was partitioned per account belong to the
+    // 'default' bucket; the first account to log in on this browser takes them over.
+    async claimUnownedData(userId) {
+        if (userId === 'default' || !window.userStorage) return false;
+        if (!userStorage.claimLegacyData(userId)) return false;
+
+        if (this.symptomStore) {
+            try {
+                await this.symptomStore.reassignUser('default', userId);
+            } catch (error) {
+                // Records stay in the unowned bucket and remain visible on the status page
+            }
+        }
+        return true;
+    }
+
+    getActiveUserId() {
+        return (window.userStorage && userStorage.getCurrentUserId()) || 'default';
+    }
+
+    // Permissions
+    // Checked here so every page gets the same answer; the UI hides what the
+    // role cannot do. Without a session (sign-in page, the unowned 'default'
+    // bucket) the device owner counts as a patient. With the persistence
+    // server the role comes from the session it issued, is refreshed by
+    // validateSession and is checked again by the server on every request,
+    // so editing the stored session changes nothing the server allows.
+    getActiveRole() {
+        const session = this.readSession();
+        return session && ROLE_PERMISSIONS[session.role] ? session.role : 'patient';
+    }
+
+    hasPermission(permission, role = this.getActiveRole()) {
+        return (ROLE_PERMISSIONS[role] || []).includes(permission);
+    }
+
+    canWriteRecords(userId) {
+        return userId === this.getActiveUserId() && this.hasPermission('records:own');
+    }
+
+    async canReadRecords(userId) {
+        if (this.canWriteRecords(userId)) return true;
+        if (!this.hasPermission('records:read-shared')) return false;
+        return (await this.getSharedWith(userId)).includes(this.getActiveUserId());
+    }
+
+    assertCanWriteRecords(userId) {
+        if (!this.canWriteRecords(userId)) {
+            throw new PermissionError(userId === this.getActiveUserId()
+                ? 'Your account cannot keep a symptom log'
+                : 'You can only change your own records');
+        }
+    }
+
+    async assertCanReadRecords(userId) {
+        if (!(await this.canReadRecords(userId))) {
+            throw new PermissionError('This patient has not shared their records with you');
+        }
+    }
+
+    // Your own account, minus its role and active flag, or any account with accounts:manage
+    assertCanSaveUser(userData, previous) {
+        if (this.hasPermission('accounts:manage')) return;
+
+        const protectedChange = previous
+            ? PROTECTED_ACCOUNT_FIELDS.some(field => previous[field] !== userData[field])
+            : !SELF_SERVICE_ROLES.includes(userData.role);
+        if (protectedChange) throw new PermissionError('Only an administrator can change account roles or status');
+
+        // Signing in and registering happen before there is a session
+        const session = this.readSession();
+        if (previous && session && !this.getSessionProblem(session) && previous.id !== this.getActiveUserId()) {
+            throw new PermissionError('You can only change your own account');
+        }
+    }
+
+    // Account ids allowed to read this account's records (user.sharedWith)
+    async getSharedWith(userId) {
+        const account = await this.loadUser(userId);
+        return (account && account.sharedWith) || [];
+    }
+
+    // Accounts that shared their records with viewerId, without secrets
+    async getSharedAccounts(viewerId = this.getActiveUserId()) {
+        return this.listUsers({ sharedWith: viewerId });
+    }
+
+    async initSymptomStore() {
+        if (!window.IndexedDBStore || !IndexedDBStore.isSupported()) return;
+
+        try {
+            const store = new IndexedDBStore();
+            await store.open();
+            await store.migrateFromLocalStorage(this.getStorageKey('symptoms'));
+            this.symptomStore = store;
+        } catch (error) {
+            // IndexedDB unavailable (e.g. private browsing) - keep using localStorage
+            this.symptomStore = null;
+        }
+    }
+
+    // Picks up the schema blocks declared in symptoms.json / users.json
+    async loadSchemas() {
+        if (!this.validator) return;
+
+        try {
+            const symptomsData = await this.loadDatabaseFile('symptoms.json');
+            this.validator.setSchema('symptom', symptomsData.schema?.symptom);
+            const usersData = await this.loadDatabaseFile('users.json');
+            this.validator.setSchema('user', usersData.schema?.user);
+        } catch (error) {
+            // Database files unavailable - validator keeps its built-in copies
+        }
+    }
+
+    // True while accounts, sessions and records go through the persistence server
+    isServerConnected() {
+        return !this.fallbackMode && this.serverAvailable;
+    }
+
+    async connectServer() {
+        const serverConfig = this.config?.server;
+        if (serverConfig && serverConfig.enabled === false) return false;
+
+        try {
+            await this.remoteRequest('GET', '/health');
+            this.serverAvailable = true;
+            if (!this.syncRemote && window.HttpSyncRemote) {
+                this.syncRemote = new HttpSyncRemote((method, path, body) => this.remoteRequest(method, path, body));
+            }
+        } catch (error) {
+            // Persistence server not running - localStorage stays the primary store
+            this.serverAvailable = false;
+        }
+        return this.serverAvailable;
     }
 
     async loadConfig() {
         try {
-            const response = await fetch('./database/config.json');
-            if (!response.ok) throw new Error('Config file not found');
-            this.config = await response.json();
+            this.config = await dataRoot.fetchJson('config.json');
         } catch (error) {
             // Use default config if file not found
             this.config = {
                 fallback: { useLocalStorage: true, localStoragePrefix: 'healthtracker_' },
-                settings: { autoSave: true }
+                settings: { ...DEFAULT_DATABASE_SETTINGS },
+                server: { enabled: true, baseUrl: '/api' }
             };
             throw error;
         }
@@ -52,58 +284,105 @@ class DatabaseManager {
     async validateDatabaseFiles() {
         const files = ['symptoms.json', 'users.json', 'symptom_definitions.json'];
         for (const file of files) {
-            try {
-                const response = await fetch(`./database/${file}`);
-                if (!response.ok) throw new Error(`${file} not accessible`);
-            } catch (error) {
-                // Database file not accessible - using fallback
-                throw error;
-            }
+            const response = await fetch(await dataRoot.url(file));
+            // Database file not accessible - using fallback
+            if (!response.ok) throw new Error(`${file} not accessible`);
         }
     }
 
     // Symptom Operations
-    async saveSymptoms(symptoms, userId = 'default') {
-        if (this.fallbackMode) {
-            return this.saveToLocalStorage('symptoms', symptoms);
+    async saveSymptoms(symptoms, userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        await this.ready;
+        symptoms = await this.validateSymptoms(symptoms, userId, 'save');
+
+        // The local store is written first and the change queued in the outbox;
+        // the server catches up on the next sync, so saving works offline too.
+        // If the write fails (StorageWriteError) nothing is indexed or queued.
+        const changed = await this.withLocalWriteLock(async () => {
+            const diff = await this.diffChanges(symptoms, userId);
+            await this.saveLocalSymptoms(diff.stamped, userId);
+            this.indexSymptoms(diff.stamped, userId);
+            await this.recordChanges(diff, userId);
+            return diff.changes.length > 0;
+        });
+
+        if (changed) this.announceChange(userId);
+        this.scheduleSync(userId);
+        await this.createBackupIfDue(userId);
+        await this.checkStorageQuota();
+        return true;
+    }
+
+    async loadSymptoms(userId = this.getActiveUserId()) {
+        await this.assertCanReadRecords(userId);
+        if (!this.canWriteRecords(userId)) return this.loadSharedSymptoms(userId);
+
+        let stored = await this.readSymptoms(userId);
+        try {
+            if (await this.applyRetention(userId) > 0) stored = await this.loadLocalSymptoms(userId);
+        } catch (error) {
+            // Archiving failed (storage full) - records stay as they are until the next load
+        }
+        const { symptoms, applied } = this.migrateSymptoms(stored, userId);
+        const valid = await this.validateSymptoms(symptoms, userId, 'load');
+
+        if (applied.length > 0) {
+            await this.commitMigrations(applied, valid, userId);
+        }
+        this.indexSymptoms(valid, userId);
+        return valid;
+    }
+
+    // Someone else's records (a doctor reading a patient's) are fetched
+    // read-only: nothing is stored, queued, quarantined or audited on this
+    // device, and the server checks the patient shared them
+    async loadSharedSymptoms(userId) {
+        await this.ready;
+
+        let stored;
+        if (this.isServerConnected()) {
+            try {
+                const result = await this.remoteRequest('GET', `/symptoms?userId=${encodeURIComponent(userId)}`);
+                stored = result.symptoms.map(({ syncedAt, ...record }) => record);
+            } catch (error) {
+                if (error.status === 403) throw new PermissionError(error.message);
+                throw error;
+            }
+        } else {
+            // Without a server only records kept on this same device can be shared
+            stored = await this.loadLocalSymptoms(userId);
         }
 
         try {
-            const data = await this.loadDatabaseFile('symptoms.json');
-            
-            // Add user ID to each symptom
-            const symptomsWithUser = symptoms.map(symptom => ({
-                ...symptom,
-                userId: userId
-            }));
-
-            data.symptoms = symptomsWithUser;
-            data.metadata.lastModified = new Date().toISOString();
-            data.metadata.totalRecords = symptomsWithUser.length;
-
-            // Update indexes
-            this.updateIndexes(data, symptomsWithUser);
-
-            // In a real implementation, this would save to the server
-            // For now, we'll use localStorage as the primary storage
-            this.saveToLocalStorage('symptoms', symptoms);
-            
-            // Symptoms saved to database
-            return true;
+            const account = await this.loadUser(userId);
+            this.sharedPreferences.set(userId, (account && account.preferences) || {});
         } catch (error) {
-            // Failed to save symptoms to database - using localStorage fallback
-            return this.saveToLocalStorage('symptoms', symptoms);
+            // Account unreadable - its records still show, in a single period
+            this.sharedPreferences.delete(userId);
         }
+
+        const { symptoms } = this.migrateSymptoms(stored, userId);
+        const { valid } = this.checkSymptoms(symptoms);
+        this.indexSymptoms(valid, userId);
+        return valid;
     }
 
-    async loadSymptoms(userId = 'default') {
+    async readSymptoms(userId) {
+        await this.ready;
         if (this.fallbackMode) {
-            return this.loadFromLocalStorage('symptoms') || [];
+            return this.loadLocalSymptoms(userId);
         }
 
         try {
-            // Try to load from localStorage first (faster)
-            const localData = this.loadFromLocalStorage('symptoms');
+            // Reconcile with the server first; the local store stays what the UI reads
+            if (this.serverAvailable) {
+                await this.syncWithDatabase(userId);
+                return this.loadLocalSymptoms(userId);
+            }
+
+            // Try to load from the local store first (faster)
+            const localData = await this.loadLocalSymptoms(userId);
             if (localData && localData.length > 0) {
                 return localData;
             }
@@ -112,77 +391,1300 @@ class DatabaseManager {
             const data = await this.loadDatabaseFile('symptoms.json');
             const userSymptoms = data.symptoms.filter(symptom => symptom.userId === userId);
             
-            // Cache in localStorage for faster access
-            this.saveToLocalStorage('symptoms', userSymptoms);
+            // Cache locally for faster access
+            await this.saveLocalSymptoms(userSymptoms, userId);
             
             return userSymptoms;
         } catch (error) {
-            // Failed to load symptoms from database - using localStorage fallback
-            return this.loadFromLocalStorage('symptoms') || [];
+            // Failed to load symptoms from database - using local fallback
+            return this.loadLocalSymptoms(userId);
+        }
+    }
+
+    // Symptom Queries
+    // Views filter through querySymptoms rather than scanning the whole array.
+    // It is synchronous, answered from per-user indexes (the same shape
+    // updateIndexes builds for symptoms.json) refreshed on every load and save.
+    indexSymptoms(symptoms, userId = this.getActiveUserId()) {
+        const data = {};
+        this.updateIndexes(data, symptoms);
+
+        this.cache.set(`symptoms:${userId}`, {
+            records: new Map(symptoms.map(symptom => [symptom.id, symptom])),
+            indexes: data.indexes,
+            // Sorted by time so date ranges are a binary search, not a scan
+            timeline: symptoms
+                .map(symptom => ({ id: symptom.id, time: new Date(symptom.timestamp).getTime() }))
+                .sort((a, b) => a.time - b.time)
+        });
+    }
+
+    clearSymptomIndexes() {
+        [...this.cache.keys()].forEach(key => {
+            if (key.startsWith('symptoms:')) this.cache.delete(key);
+        });
+    }
+
+    // criteria: {
+    //     from, to         - timestamp range, inclusive (Date, ISO string or ms)
+    //     date             - exact formatted date, as stored in symptom.date
+    //     type             - symptom type, or an array of types
+    //     groupId          - entries logged together
+    //     minSeverity, maxSeverity
+    //     text             - case-insensitive match on notes
+    //     profileId        - dependent profile; null for the account holder's own entries
+    //     sort             - 'timestamp' (default), 'severity', 'type' or 'displayName'
+    //     order            - 'desc' (default) or 'asc'
+    //     offset, limit    - pagination
+    // }
+    // Returns { results, total, offset, limit }; total counts matches before paging.
+    querySymptoms(criteria = {}, userId = this.getActiveUserId()) {
+        const entry = this.cache.get(`symptoms:${userId}`);
+        const offset = Math.max(0, criteria.offset || 0);
+        const limit = criteria.limit !== undefined ? criteria.limit : null;
+        if (!entry) return { results: [], total: 0, offset: offset, limit: limit };
+
+        // Each indexed criterion narrows the candidate ids; null means every record
+        let ids = null;
+        const narrow = candidates => {
+            const allowed = new Set(candidates);
+            ids = ids === null ? [...allowed] : ids.filter(id => allowed.has(id));
+        };
+
+        if (criteria.type !== undefined) {
+            narrow([].concat(criteria.type).flatMap(type => entry.indexes.byType[type] || []));
+        }
+        if (criteria.groupId !== undefined && criteria.groupId !== null) {
+            narrow(entry.indexes.byGroup[criteria.groupId] || []);
+        }
+        if (criteria.date !== undefined) {
+            narrow(entry.indexes.byDate[criteria.date] || []);
+        }
+        if (criteria.from !== undefined || criteria.to !== undefined) {
+            const from = criteria.from !== undefined ? new Date(criteria.from).getTime() : -Infinity;
+            const to = criteria.to !== undefined ? new Date(criteria.to).getTime() : Infinity;
+            const start = this.findTimelineIndex(entry.timeline, from, true);
+            const end = this.findTimelineIndex(entry.timeline, to, false);
+            narrow(entry.timeline.slice(start, end).map(item => item.id));
+        }
+
+        let results = (ids === null ? [...entry.records.keys()] : ids).map(id => entry.records.get(id));
+
+        if (criteria.minSeverity !== undefined) {
+            results = results.filter(symptom => symptom.severity >= criteria.minSeverity);
+        }
+        if (criteria.maxSeverity !== undefined) {
+            results = results.filter(symptom => symptom.severity <= criteria.maxSeverity);
+        }
+        if (criteria.profileId !== undefined) {
+            const profileId = criteria.profileId || null;
+            results = results.filter(symptom => (symptom.profileId || null) === profileId);
+        }
+        if (criteria.text) {
+            const needle = String(criteria.text).toLowerCase();
+            results = results.filter(symptom =>
+                typeof symptom.notes === 'string' && symptom.notes.toLowerCase().includes(needle)
+            );
+        }
+
+        const field = criteria.sort || 'timestamp';
+        const direction = criteria.order === 'asc' ? 1 : -1;
+        results.sort((a, b) => direction * this.compareSymptomField(a, b, field));
+
+        return {
+            results: limit === null ? results.slice(offset) : results.slice(offset, offset + limit),
+            total: results.length,
+            offset: offset,
+            limit: limit
+        };
+    }
+
+    // Symptom Edits
+    // Each returns the records as they were before, so the caller can offer undo
+    // by passing them to restoreSymptoms. Indexes are refreshed by saveSymptoms.
+    async updateSymptoms(ids, changes, userId = this.getActiveUserId()) {
+        const idSet = new Set([].concat(ids));
+        const symptoms = await this.getCurrentSymptoms(userId);
+        const previous = symptoms.filter(symptom => idSet.has(symptom.id));
+        if (previous.length === 0) throw new Error('Symptom entry not found');
+
+        const edits = {};
+        EDITABLE_SYMPTOM_FIELDS.forEach(field => {
+            if (changes[field] !== undefined) edits[field] = changes[field];
+        });
+        if (edits.timestamp) edits.date = new Date(edits.timestamp).toLocaleDateString();
+
+        const updated = symptoms.map(symptom => (idSet.has(symptom.id) ? { ...symptom, ...edits } : symptom));
+
+        // Reject a bad edit outright; saveSymptoms would quarantine the whole entry
+        if (this.validator) {
+            for (const symptom of updated.filter(record => idSet.has(record.id))) {
+                const errors = this.validator.validate('symptom', symptom);
+                if (errors.length > 0) throw new Error(errors.join('; '));
+            }
+        }
+
+        await this.saveSymptoms(updated, userId);
+        return previous;
+    }
+
+    async updateSymptomGroup(groupId, changes, userId = this.getActiveUserId()) {
+        await this.getCurrentSymptoms(userId);
+        const ids = this.cache.get(`symptoms:${userId}`).indexes.byGroup[groupId] || [];
+        return this.updateSymptoms(ids, changes, userId);
+    }
+
+    async deleteSymptoms(ids, userId = this.getActiveUserId()) {
+        const idSet = new Set([].concat(ids));
+        const symptoms = await this.getCurrentSymptoms(userId);
+        const removed = symptoms.filter(symptom => idSet.has(symptom.id));
+        if (removed.length === 0) throw new Error('Symptom entry not found');
+
+        await this.saveSymptoms(symptoms.filter(symptom => !idSet.has(symptom.id)), userId);
+        return removed;
+    }
+
+    // Puts records back as they were: re-adds deleted ones, reverts edited ones
+    async restoreSymptoms(records, userId = this.getActiveUserId()) {
+        const byId = new Map(records.map(record => [record.id, record]));
+        const symptoms = (await this.getCurrentSymptoms(userId)).map(symptom => {
+            const original = byId.get(symptom.id);
+            byId.delete(symptom.id);
+            return original || symptom;
+        });
+
+        await this.saveSymptoms([...symptoms, ...byId.values()], userId);
+        return records.length;
+    }
+
+    // The indexed set when loaded, otherwise a fresh load
+    async getCurrentSymptoms(userId) {
+        const entry = this.cache.get(`symptoms:${userId}`);
+        return entry ? [...entry.records.values()] : this.loadSymptoms(userId);
+    }
+
+    // First position whose time is >= `time` (inclusive) or > `time` (exclusive)
+    findTimelineIndex(timeline, time, inclusive) {
+        let low = 0;
+        let high = timeline.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (inclusive ? timeline[mid].time < time : timeline[mid].time <= time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    compareSymptomField(a, b, field) {
+        if (field === 'timestamp') return new Date(a.timestamp) - new Date(b.timestamp);
+        if (typeof a[field] === 'number' && typeof b[field] === 'number') return a[field] - b[field];
+        return String(a[field] ?? '').localeCompare(String(b[field] ?? ''));
+    }
+
+    // Data Migrations
+    // The account's metadata.version says which shape its stored records are in;
+    // anything older than CURRENT_DATA_VERSION is upgraded step by step on load.
+    getDataMetadata(userId = this.getActiveUserId()) {
+        return this.loadFromLocalStorage('metadata', userId) || { version: '1.0', migrations: [] };
+    }
+
+    migrateSymptoms(symptoms, userId) {
+        const metadata = this.getDataMetadata(userId);
+        const pending = (window.SYMPTOM_MIGRATIONS || [])
+            .filter(migration => this.compareVersions(migration.version, metadata.version) > 0);
+
+        let records = symptoms;
+        const applied = [];
+
+        for (const migration of pending) {
+            try {
+                const upgraded = migration.up(records);
+                const changed = upgraded.filter((record, index) =>
+                    JSON.stringify(record) !== JSON.stringify(records[index])
+                ).length;
+
+                applied.push({
+                    id: migration.id,
+                    version: migration.version,
+                    description: migration.description,
+                    recordsChanged: changed,
+                    appliedAt: new Date().toISOString()
+                });
+                records = upgraded;
+            } catch (error) {
+                // Stop at the failed step - later steps assume it ran. Retried on next load.
+                break;
+            }
+        }
+
+        return { symptoms: records, applied: applied };
+    }
+
+    // Persists upgraded records before bumping the version, so an interrupted
+    // save just means the (idempotent) steps run again next time.
+    async commitMigrations(applied, symptoms, userId) {
+        if (applied.some(migration => migration.recordsChanged > 0)) {
+            try {
+                await this.createBackup(userId);
+            } catch (error) {
+                // Backup failed - migrate anyway, the original records are still in the store until saved
+            }
+            if (!await this.saveSymptoms(symptoms, userId)) return false;
+        }
+
+        const metadata = this.getDataMetadata(userId);
+        metadata.version = applied[applied.length - 1].version;
+        metadata.migrations = [...(metadata.migrations || []), ...applied];
+        metadata.lastModified = new Date().toISOString();
+        return this.saveToLocalStorage('metadata', metadata, userId);
+    }
+
+    getMigrationHistory(userId = this.getActiveUserId()) {
+        return this.getDataMetadata(userId).migrations || [];
+    }
+
+    // '1.10' > '1.9'
+    compareVersions(a, b) {
+        const left = String(a).split('.').map(Number);
+        const right = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+
+    // Schema Validation
+    // Returns the records that pass the declared schema; the rest are moved to
+    // the account's quarantine so one bad entry cannot break the whole history.
+    async validateSymptoms(symptoms, userId = this.getActiveUserId(), source = 'load') {
+        const { valid, rejected } = this.checkSymptoms(symptoms);
+        if (rejected.length > 0) {
+            await this.quarantineRecords('symptom', rejected, userId, source);
+        }
+        return valid;
+    }
+
+    // { valid, rejected: [{ record, errors }] } without storing anything
+    checkSymptoms(symptoms) {
+        if (!this.validator || this.config?.security?.validateSchema === false) return { valid: symptoms, rejected: [] };
+
+        const sanitize = this.config?.security?.sanitizeInput !== false;
+        const valid = [];
+        const rejected = [];
+
+        symptoms.forEach(symptom => {
+            let record = this.validator.normalizeSymptom(symptom);
+            if (sanitize && record && typeof record === 'object') record = this.validator.sanitize(record);
+
+            const errors = this.validator.validate('symptom', record);
+            if (errors.length === 0) {
+                valid.push(record);
+            } else {
+                rejected.push({ record: symptom, errors: errors });
+            }
+        });
+        return { valid: valid, rejected: rejected };
+    }
+
+    // Quarantined records are sealed too when the account uses encryption
+    async quarantineRecords(schemaName, entries, userId, source) {
+        const quarantine = this.loadFromLocalStorage('quarantine', userId) || [];
+        const vault = this.getVault(userId);
+        const known = new Set(quarantine.map(entry => entry.signature));
+
+        for (const { record, errors } of entries) {
+            const signature = `${schemaName}:${record && record.id}:${errors.join('|')}`;
+            if (known.has(signature)) continue;
+
+            known.add(signature);
+            quarantine.push({
+                schema: schemaName,
+                signature: signature,
+                record: vault.isEnabled() && vault.isUnlocked() ? { sealed: await vault.encrypt(record) } : record,
+                errors: errors,
+                source: source,
+                quarantinedAt: new Date().toISOString()
+            });
+        }
+
+        this.saveToLocalStorage('quarantine', quarantine, userId);
+    }
+
+    getQuarantinedRecords(userId = this.getActiveUserId()) {
+        return this.loadFromLocalStorage('quarantine', userId) || [];
+    }
+
+    clearQuarantine(userId = this.getActiveUserId()) {
+        localStorage.removeItem(this.getStorageKey('quarantine', userId));
+    }
+
+    // Audit Trail
+    // Append-only log of every create/update/delete of a symptom, profile or
+    // account record: who, when and the before/after values. Values are sealed
+    // when the account uses encryption (or just marked redacted while locked).
+    isAuditEnabled() {
+        return this.config?.security?.auditLog !== false;
+    }
+
+    // entries: [{ entity, entityId, action, before, after }]
+    async recordAudit(entries, userId = this.getActiveUserId(), source = 'app') {
+        if (entries.length === 0 || !this.isAuditEnabled()) return;
+
+        try {
+            const at = new Date().toISOString();
+            const actor = source === 'sync' ? 'sync' : (window.userStorage && userStorage.getCurrentUserId()) || 'anonymous';
+            const stamped = await Promise.all(entries.map(async entry => ({
+                userId: userId,
+                at: at,
+                actor: actor,
+                source: source,
+                entity: entry.entity,
+                entityId: entry.entityId,
+                action: entry.action,
+                before: await this.sealAuditValue(entry.before, userId),
+                after: await this.sealAuditValue(entry.after, userId)
+            })));
+
+            if (this.symptomStore) {
+                try {
+                    await this.symptomStore.appendAudit(stamped);
+                    return;
+                } catch (error) {
+                    // IndexedDB write failed - falling back to localStorage
+                }
+            }
+
+            const trail = this.loadFromLocalStorage('audit', userId) || [];
+            stamped.forEach(entry => trail.push({ ...entry, seq: trail.length + 1 }));
+            this.saveToLocalStorage('audit', trail, userId);
+        } catch (error) {
+            // Audit write failed - the change itself still goes through
+        }
+    }
+
+    async sealAuditValue(value, userId) {
+        if (value === null || value === undefined) return null;
+
+        const vault = this.getVault(userId);
+        if (!vault.isEnabled()) return value;
+        if (!vault.isUnlocked()) return { redacted: true };
+        return { sealed: await vault.encrypt(value) };
+    }
+
+    async openAuditValue(value, userId) {
+        if (!value || !CryptoVault.isSealed(value.sealed)) return value;
+        if (!this.isUnlocked(userId)) return { encrypted: true };
+        return this.getVault(userId).decrypt(value.sealed);
+    }
+
+    // Newest first; filters: { entity, action, entityId }
+    async getAuditTrail(userId = this.getActiveUserId(), filters = {}) {
+        this.assertCanWriteRecords(userId);
+        await this.ready;
+        let trail = null;
+
+        if (this.symptomStore) {
+            try {
+                trail = await this.symptomStore.getAuditByUser(userId);
+            } catch (error) {
+                // IndexedDB read failed - falling back to localStorage
+            }
+        }
+        if (!trail) {
+            trail = this.loadFromLocalStorage('audit', userId) || [];
+        }
+
+        const matches = trail
+            .filter(entry => !filters.entity || entry.entity === filters.entity)
+            .filter(entry => !filters.action || entry.action === filters.action)
+            .filter(entry => filters.entityId === undefined || String(entry.entityId) === String(filters.entityId))
+            .sort((a, b) => b.seq - a.seq);
+
+        return Promise.all(matches.map(async entry => ({
+            ...entry,
+            before: await this.openAuditValue(entry.before, userId),
+            after: await this.openAuditValue(entry.after, userId)
+        })));
+    }
+
+    // Profile writes go straight through userStorage (script.js, whatsapp_service.js),
+    // so they are picked up from its change hook rather than at each call site
+    auditProfileChange(change) {
+        if (change.name !== 'userProfile') return;
+
+        const parse = value => {
+            try {
+                return value ? JSON.parse(value) : null;
+            } catch (error) {
+                return value;
+            }
+        };
+        const before = parse(change.previous);
+        const after = parse(change.value);
+
+        const userId = change.userId || 'default';
+        // May fire before init finishes picking the audit store
+        this.ready.then(() => this.recordAudit([{
+            entity: 'profile',
+            entityId: userId,
+            action: !before ? 'create' : !after ? 'delete' : 'update',
+            before: before,
+            after: after
+        }], userId));
+    }
+
+    // Trash
+    // Deleted symptoms are kept here (sealed like the live store) until restored
+    // or purged. Entries: { id, userId, deletedAt, deletedBy, record }
+    async loadTrashEntries(userId = this.getActiveUserId()) {
+        if (this.symptomStore) {
+            try {
+                return await this.symptomStore.getTrashByUser(userId);
+            } catch (error) {
+                // IndexedDB read failed - falling back to localStorage
+            }
+        }
+        return this.loadFromLocalStorage('trash', userId) || [];
+    }
+
+    async saveTrashEntries(entries, userId) {
+        if (this.symptomStore) {
+            try {
+                await this.symptomStore.putTrash(entries);
+                return;
+            } catch (error) {
+                // IndexedDB write failed - falling back to localStorage
+            }
+        }
+
+        const ids = new Set(entries.map(entry => entry.id));
+        const trash = (this.loadFromLocalStorage('trash', userId) || []).filter(entry => !ids.has(entry.id));
+        this.saveToLocalStorage('trash', [...trash, ...entries], userId);
+    }
+
+    // items: [{ record, deletedAt }]
+    async moveToTrash(items, userId, deletedBy = (window.userStorage && userStorage.getCurrentUserId()) || 'anonymous') {
+        const sealed = await this.sealRecords(items.map(item => item.record), userId);
+
+        await this.saveTrashEntries(items.map((item, index) => ({
+            id: item.record.id,
+            userId: userId,
+            deletedAt: item.deletedAt,
+            deletedBy: deletedBy,
+            record: sealed[index]
+        })), userId);
+    }
+
+    async removeFromTrash(ids, userId = this.getActiveUserId()) {
+        if (this.symptomStore) {
+            try {
+                await this.symptomStore.deleteTrash(ids);
+                return;
+            } catch (error) {
+                // IndexedDB write failed - falling back to localStorage
+            }
+        }
+
+        const idSet = new Set(ids);
+        const trash = (this.loadFromLocalStorage('trash', userId) || []).filter(entry => !idSet.has(entry.id));
+        this.saveToLocalStorage('trash', trash, userId);
+    }
+
+    // Newest first, with the records opened
+    async getTrash(userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        await this.ready;
+        const entries = await this.loadTrashEntries(userId);
+        const records = await this.openRecords(entries.map(entry => entry.record), userId);
+
+        return entries
+            .map((entry, index) => ({ ...entry, record: records[index] }))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Puts trashed records back; saveSymptoms logs them as restored
+    async restoreFromTrash(ids, userId = this.getActiveUserId()) {
+        const idSet = new Set([].concat(ids));
+        const records = (await this.getTrash(userId))
+            .filter(entry => idSet.has(entry.id))
+            .map(entry => entry.record);
+        if (records.length === 0) throw new Error('Entry not found in trash');
+
+        return this.restoreSymptoms(records, userId);
+    }
+
+    async purgeTrash(ids, userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        const idSet = new Set([].concat(ids));
+        const purged = (await this.loadTrashEntries(userId)).filter(entry => idSet.has(entry.id));
+        if (purged.length === 0) return 0;
+
+        await this.removeFromTrash(purged.map(entry => entry.id), userId);
+        await this.recordAudit(purged.map(entry => ({
+            entity: 'symptom',
+            entityId: entry.id,
+            action: 'purge',
+            before: null,
+            after: null
+        })), userId);
+        return purged.length;
+    }
+
+    async emptyTrash(userId = this.getActiveUserId()) {
+        return this.purgeTrash((await this.loadTrashEntries(userId)).map(entry => entry.id), userId);
+    }
+
+    // Storage Quota
+    // Usage is measured after each save. localStorage is capped separately from
+    // the rest of the origin (IndexedDB), so the fuller of the two decides the
+    // level: 'ok', 'warning' (settings.storageWarningPercent) or 'full'.
+    async getStorageUsage() {
+        let localUsed = 0;
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            localUsed += (key.length + (localStorage.getItem(key) || '').length) * 2; // UTF-16
+        }
+        const localQuota = this.getSetting('localStorageQuota');
+        const usage = {
+            localStorage: { used: localUsed, quota: localQuota, percent: (localUsed / localQuota) * 100 },
+            origin: null
+        };
+
+        if (navigator.storage && navigator.storage.estimate) {
+            try {
+                const { usage: used, quota } = await navigator.storage.estimate();
+                if (quota) usage.origin = { used: used, quota: quota, percent: (used / quota) * 100 };
+            } catch (error) {
+                // Estimate unavailable (e.g. private mode) - localStorage figures only
+            }
+        }
+
+        const percent = Math.max(usage.localStorage.percent, usage.origin ? usage.origin.percent : 0);
+        usage.percent = Math.round(percent);
+        usage.lastWriteError = this.storageWriteError;
+        usage.level = this.storageWriteError || percent >= 100
+            ? 'full'
+            : percent >= this.getSetting('storageWarningPercent') ? 'warning' : 'ok';
+        return usage;
+    }
+
+    // Tells listeners when the level changes
+    async checkStorageQuota() {
+        const usage = await this.getStorageUsage();
+        if (usage.level !== this.storageLevel) {
+            this.storageLevel = usage.level;
+            this.storageListeners.forEach(listener => {
+                try {
+                    listener(usage);
+                } catch (error) {
+                    // A failing listener must not stop the others
+                }
+            });
+        }
+        return usage;
+    }
+
+    onStorageStatusChange(listener) {
+        this.storageListeners.add(listener);
+        return () => this.storageListeners.delete(listener);
+    }
+
+    // Data Retention
+    // preferences.dataRetention (days, from the users.json schema) decides how
+    // long detailed records stay on this device; older ones are folded into
+    // monthly per-type summaries. 0 keeps everything.
+    // Another account's (a patient a doctor is viewing) come from its account
+    // record, fetched by loadSharedSymptoms
+    getUserPreferences(userId = this.getActiveUserId()) {
+        if (userId !== this.getActiveUserId()) return { ...(this.sharedPreferences.get(userId) || {}) };
+
+        const user = this.loadFromLocalStorage('user');
+        const account = user && user.id === userId ? user.preferences || {} : {};
+        return { ...account, ...(this.loadFromLocalStorage('preferences', userId) || {}) };
+    }
+
+    async saveUserPreferences(changes, userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        await this.ready;
+        const before = this.getUserPreferences(userId);
+        const preferences = { ...before, ...changes };
+        if (!this.saveToLocalStorage('preferences', preferences, userId)) {
+            throw new StorageWriteError('Your device storage is full, so your preferences were not saved.');
+        }
+
+        // Saved on the account too, so they follow it to other devices and to
+        // the doctors it shares its records with
+        const user = userId === 'default' ? null : await this.loadUser(userId);
+        if (user) {
+            await this.saveUser({ ...user, preferences: preferences });
+        } else {
+            await this.recordAudit([{ entity: 'preferences', entityId: userId, action: 'update', before: before, after: preferences }], userId);
+        }
+
+        await this.applyRetention(userId);
+        return preferences;
+    }
+
+    // Tracking periods
+    // A period is a time range over the same records. Starting a new one closes
+    // the current period instead of deleting anything, so earlier periods stay
+    // browsable. Kept with the account's preferences, so a doctor reading a
+    // shared account sees its periods:
+    // [{ id, startedAt, endedAt }], oldest first; the last one has endedAt null.
+    // startedAt null means "from the first entry".
+    getTrackingPeriods(userId = this.getActiveUserId()) {
+        const periods = this.getUserPreferences(userId).trackingPeriods;
+        return Array.isArray(periods) && periods.length > 0
+            ? periods
+            : [{ id: 'initial', startedAt: null, endedAt: null }];
+    }
+
+    getCurrentTrackingPeriod(userId = this.getActiveUserId()) {
+        const periods = this.getTrackingPeriods(userId);
+        return periods[periods.length - 1];
+    }
+
+    async startTrackingPeriod(userId = this.getActiveUserId()) {
+        const now = new Date().toISOString();
+        const periods = this.getTrackingPeriods(userId).map(period => period.endedAt ? period : { ...period, endedAt: now });
+        const period = { id: `period-${Date.now()}`, startedAt: now, endedAt: null };
+
+        await this.saveUserPreferences({ trackingPeriods: [...periods, period] }, userId);
+        this.announceChange(userId, 'periods');
+        return period;
+    }
+
+    getRetentionDays(userId = this.getActiveUserId()) {
+        const preference = this.getUserPreferences(userId).dataRetention;
+        const days = Number(preference !== undefined && preference !== null ? preference : this.getSetting('dataRetention'));
+        return days > 0 ? days : 0;
+    }
+
+    // Archives this device's records older than the retention period and purges
+    // trash entries deleted before it. The server copy is left alone, so the
+    // archive remembers which ids it has counted in case they are pulled again.
+    async applyRetention(userId = this.getActiveUserId()) {
+        const days = this.getRetentionDays(userId);
+        if (!days) return 0;
+        const cutoff = Date.now() - days * 86400000;
+
+        const archived = await this.withLocalWriteLock(async () => {
+            const symptoms = await this.loadLocalSymptoms(userId);
+            const expired = symptoms.filter(symptom => symptom.timestamp && new Date(symptom.timestamp).getTime() < cutoff);
+            if (expired.length === 0) return 0;
+
+            const archive = await this.loadArchive(userId);
+            const counted = new Set(archive.archivedIds);
+            expired.filter(symptom => !counted.has(symptom.id)).forEach(symptom => {
+                const month = symptom.timestamp.slice(0, 7);
+                const byType = archive.months[month] = archive.months[month] || {};
+                const key = symptom.profileId ? `${symptom.profileId}:${symptom.type}` : symptom.type;
+                const summary = byType[key] = byType[key] || {
+                    profileId: symptom.profileId || null,
+                    type: symptom.type,
+                    displayName: symptom.displayName,
+                    count: 0,
+                    severityTotal: 0,
+                    minSeverity: symptom.severity,
+                    maxSeverity: symptom.severity
+                };
+                summary.count++;
+                summary.severityTotal += symptom.severity;
+                summary.minSeverity = Math.min(summary.minSeverity, symptom.severity);
+                summary.maxSeverity = Math.max(summary.maxSeverity, symptom.severity);
+                archive.archivedIds.push(symptom.id);
+            });
+            archive.updatedAt = new Date().toISOString();
+
+            // Summaries are stored before the records go, so a failed write loses nothing
+            await this.saveArchive(archive, userId);
+            const expiredIds = new Set(expired.map(symptom => symptom.id));
+            const kept = symptoms.filter(symptom => !expiredIds.has(symptom.id));
+            await this.saveLocalSymptoms(kept, userId);
+            this.indexSymptoms(kept, userId);
+
+            await this.recordAudit(expired.map(symptom => ({
+                entity: 'symptom',
+                entityId: symptom.id,
+                action: 'archive',
+                before: symptom,
+                after: null
+            })), userId);
+            this.announceChange(userId);
+            return expired.length;
+        });
+
+        const expiredTrash = (await this.loadTrashEntries(userId))
+            .filter(entry => new Date(entry.deletedAt).getTime() < cutoff)
+            .map(entry => entry.id);
+        if (expiredTrash.length > 0) await this.purgeTrash(expiredTrash, userId);
+
+        await this.checkStorageQuota();
+        return archived;
+    }
+
+    // { months: { 'YYYY-MM': { [type or 'profileId:type']: summary } }, archivedIds, updatedAt },
+    // sealed as a whole when the account uses encryption
+    async loadArchive(userId = this.getActiveUserId()) {
+        const stored = this.loadFromLocalStorage('archive', userId);
+        if (!stored) return { months: {}, archivedIds: [], updatedAt: null };
+        if (!CryptoVault.isSealed(stored.sealed)) return stored;
+
+        if (!this.isUnlocked(userId)) throw new VaultLockedError();
+        return this.getVault(userId).decrypt(stored.sealed);
+    }
+
+    async saveArchive(archive, userId, vault = this.getVault(userId)) {
+        const stored = vault && vault.isEnabled() ? { sealed: await vault.encrypt(archive) } : archive;
+        if (!this.saveToLocalStorage('archive', stored, userId)) {
+            throw new StorageWriteError('Your device storage is full, so old records could not be archived.');
+        }
+    }
+
+    // Family members logged from this account (AccountManager.listDependents):
+    // [{ id, name, dateOfBirth, emergencyContact, createdAt }]. Their birth
+    // dates and contacts stay with the account's records, sealed like the
+    // archive when it uses encryption.
+    async loadDependents(userId = this.getActiveUserId()) {
+        const stored = this.loadFromLocalStorage('dependents', userId);
+        if (!stored) return [];
+        if (!CryptoVault.isSealed(stored.sealed)) return stored;
+
+        if (!this.isUnlocked(userId)) throw new VaultLockedError();
+        return this.getVault(userId).decrypt(stored.sealed);
+    }
+
+    async saveDependents(dependents, userId = this.getActiveUserId(), vault = this.getVault(userId)) {
+        this.assertCanWriteRecords(userId);
+        const stored = vault && vault.isEnabled() ? { sealed: await vault.encrypt(dependents) } : dependents;
+        if (!this.saveToLocalStorage('dependents', stored, userId)) {
+            throw new StorageWriteError('Your device storage is full, so the profile was not saved.');
+        }
+    }
+
+    // Newest month first: [{ month, profileId, type, displayName, count, averageSeverity, minSeverity, maxSeverity }];
+    // profileId narrows them to one profile as in querySymptoms
+    async getArchivedSummaries(userId = this.getActiveUserId(), profileId = undefined) {
+        await this.assertCanReadRecords(userId);
+        await this.ready;
+        const archive = await this.loadArchive(userId);
+
+        return Object.keys(archive.months).sort().reverse().flatMap(month =>
+            Object.values(archive.months[month])
+                .filter(summary => profileId === undefined || (summary.profileId || null) === (profileId || null))
+                .sort((a, b) => b.count - a.count)
+                .map(({ severityTotal, ...summary }) => ({
+                    month: month,
+                    ...summary,
+                    averageSeverity: Math.round((severityTotal / summary.count) * 10) / 10
+                }))
+        );
+    }
+
+    // Backup Operations
+    // A snapshot holds one account's records, sealed as they are stored. Only
+    // that account can take or restore it, and a restore is saved like any
+    // other edit: audited, queued for sync and checked there for conflicts.
+    async createBackupIfDue(userId = this.getActiveUserId()) {
+        if (!this.getSetting('backupEnabled') || !this.canWriteRecords(userId)) return null;
+
+        try {
+            const backups = await this.listBackups(userId);
+            const latest = backups[0];
+            if (latest && Date.now() - new Date(latest.createdAt).getTime() < this.getSetting('backupInterval')) {
+                return null;
+            }
+
+            // Nothing worth snapshotting yet
+            if ((await this.readStoredSymptoms(userId)).length === 0) return null;
+
+            return await this.createBackup(userId);
+        } catch (error) {
+            // Backup failed - live data is unaffected
+            return null;
+        }
+    }
+
+    async createBackup(userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        const symptoms = await this.readStoredSymptoms(userId);
+        // Every account's snapshots share one IndexedDB store, so ids never repeat
+        this.lastBackupId = Math.max(Date.now(), this.lastBackupId + 1);
+        const backup = {
+            id: this.lastBackupId,
+            userId: userId,
+            createdAt: new Date().toISOString(),
+            totalRecords: symptoms.length,
+            symptoms: symptoms
+        };
+
+        if (this.symptomStore) {
+            await this.symptomStore.putBackup(backup);
+        } else {
+            const backups = this.loadFromLocalStorage('backups', userId) || [];
+            backups.unshift(backup);
+            if (!this.saveToLocalStorage('backups', backups, userId)) {
+                throw new Error('Not enough storage space for backup');
+            }
+        }
+
+        await this.pruneBackups(userId);
+        return backup;
+    }
+
+    // The account's snapshots with their (sealed) records
+    async loadBackups(userId) {
+        if (this.symptomStore) {
+            return (await this.symptomStore.getBackups()).filter(backup => backup.userId === userId);
+        }
+        return this.loadFromLocalStorage('backups', userId) || [];
+    }
+
+    // Newest first; only summaries, the snapshot data is fetched on restore
+    async listBackups(userId = this.getActiveUserId()) {
+        return (await this.loadBackups(userId))
+            .map(({ id, createdAt, totalRecords }) => ({ id, createdAt, totalRecords }))
+            .sort((a, b) => b.id - a.id);
+    }
+
+    async pruneBackups(userId = this.getActiveUserId()) {
+        const maxBackups = this.getSetting('maxBackups');
+        const expired = (await this.listBackups(userId)).slice(maxBackups);
+        if (expired.length === 0) return;
+
+        if (this.symptomStore) {
+            for (const backup of expired) {
+                await this.symptomStore.deleteBackup(backup.id);
+            }
+        } else {
+            const expiredIds = new Set(expired.map(backup => backup.id));
+            const backups = (this.loadFromLocalStorage('backups', userId) || []).filter(backup => !expiredIds.has(backup.id));
+            this.saveToLocalStorage('backups', backups, userId);
+        }
+    }
+
+    async restoreBackup(backupId, userId = this.getActiveUserId()) {
+        this.assertCanWriteRecords(userId);
+        await this.ready;
+
+        const backup = (await this.loadBackups(userId)).find(b => b.id === backupId);
+        if (!backup) throw new Error(`Backup ${backupId} not found`);
+
+        // Opened before anything changes, so a locked vault stops the restore here
+        const records = await this.openRecords(backup.symptoms, userId);
+
+        // Snapshot the current state first so a restore can itself be undone
+        await this.createBackup(userId);
+
+        await this.saveSymptoms(records, userId);
+        return records.length;
+    }
+
+    // Local symptom storage: IndexedDB when available, localStorage otherwise.
+    // Records are sealed first when the account has encryption turned on.
+    async saveLocalSymptoms(symptoms, userId = this.getActiveUserId()) {
+        const records = await this.sealRecords(symptoms, userId);
+
+        if (this.symptomStore) {
+            try {
+                await this.symptomStore.replaceUserSymptoms(userId, records);
+                return true;
+            } catch (error) {
+                // IndexedDB write failed - falling back to localStorage
+            }
+        }
+        if (!this.saveToLocalStorage('symptoms', records, userId)) {
+            throw new StorageWriteError();
+        }
+        return true;
+    }
+
+    async loadAllLocalSymptoms() {
+        if (this.symptomStore) {
+            return this.symptomStore.getAllSymptoms();
+        }
+
+        return this.listLocalSymptomOwners().flatMap(userId =>
+            (this.loadFromLocalStorage('symptoms', userId) || []).map(symptom => ({ ...symptom, userId: userId }))
+        );
+    }
+
+    // Accounts that have a symptom list in localStorage ('default' = unowned records)
+    listLocalSymptomOwners() {
+        const owners = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key === this.getStorageKey('symptoms')) {
+                owners.push('default');
+            } else if (key.startsWith(this.getStorageKey('user_')) && key.endsWith('_symptoms')) {
+                owners.push(key.slice(this.getStorageKey('user_').length, -'_symptoms'.length));
+            }
+        }
+        return owners;
+    }
+
+    async loadLocalSymptoms(userId = this.getActiveUserId()) {
+        return this.openRecords(await this.readStoredSymptoms(userId), userId);
+    }
+
+    // As stored: still sealed when the account has encryption turned on
+    async readStoredSymptoms(userId) {
+        if (this.symptomStore) {
+            try {
+                return (await this.symptomStore.getSymptomsByUser(userId)).sort((a, b) => a.id - b.id);
+            } catch (error) {
+                // IndexedDB read failed - falling back to localStorage
+            }
+        }
+        return this.loadFromLocalStorage('symptoms', userId) || [];
+    }
+
+    // Encryption at rest
+    // Only id, userId, date and groupId stay readable so the IndexedDB indexes
+    // keep working; everything else (type, severity, notes...) is sealed.
+    getVault(userId = this.getActiveUserId()) {
+        if (!this.vaults.has(userId)) {
+            this.vaults.set(userId, new CryptoVault(this.getStorageKey('vault', userId)));
+        }
+        return this.vaults.get(userId);
+    }
+
+    isEncryptionEnabled(userId = this.getActiveUserId()) {
+        return !!window.CryptoVault && this.getVault(userId).isEnabled();
+    }
+
+    isUnlocked(userId = this.getActiveUserId()) {
+        return !this.isEncryptionEnabled(userId) || this.getVault(userId).isUnlocked();
+    }
+
+    async sealRecords(symptoms, userId, vault = this.getVault(userId)) {
+        if (!vault.isEnabled()) return symptoms;
+        if (!vault.isUnlocked()) throw new VaultLockedError();
+
+        return Promise.all(symptoms.map(async symptom => {
+            if (CryptoVault.isSealed(symptom.sealed)) return symptom;
+
+            const { id, userId: owner, date, groupId, ...rest } = symptom;
+            const record = { id, date, groupId, sealed: await vault.encrypt(rest) };
+            if (owner !== undefined) record.userId = owner;
+            return record;
+        }));
+    }
+
+    async openRecords(records, userId, vault = this.getVault(userId)) {
+        if (!records.some(record => CryptoVault.isSealed(record.sealed))) return records;
+        if (!vault.isUnlocked()) throw new VaultLockedError();
+
+        return Promise.all(records.map(async record => {
+            if (!CryptoVault.isSealed(record.sealed)) return record;
+
+            const { sealed, ...clear } = record;
+            return { ...clear, ...(await vault.decrypt(sealed)) };
+        }));
+    }
+
+    async enableEncryption(passphrase, userId = this.getActiveUserId()) {
+        await this.ready;
+        if (!window.CryptoVault || !CryptoVault.isSupported()) {
+            throw new Error('Encryption is not supported in this browser');
+        }
+        if (this.isEncryptionEnabled(userId)) throw new Error('Encryption is already enabled');
+
+        const symptoms = await this.loadLocalSymptoms(userId);
+        await this.getVault(userId).enable(passphrase);
+        await this.saveLocalSymptoms(symptoms, userId);
+        await this.resealBackups(userId, null, this.getVault(userId));
+        await this.resealHistory(userId, null, this.getVault(userId));
+        this.announceChange(userId, 'encryption');
+        return true;
+    }
+
+    async unlockEncryption(passphrase, userId = this.getActiveUserId()) {
+        return this.getVault(userId).unlock(passphrase);
+    }
+
+    lockEncryption(userId = this.getActiveUserId()) {
+        this.getVault(userId).lock();
+        this.cache.delete(`symptoms:${userId}`);
+    }
+
+    // Re-keys every stored record (and backup) for the account under the new passphrase
+    async changePassphrase(currentPassphrase, newPassphrase, userId = this.getActiveUserId()) {
+        await this.ready;
+        const vault = this.getVault(userId);
+        await vault.unlock(currentPassphrase);
+
+        const symptoms = await this.loadLocalSymptoms(userId);
+        const nextVault = await vault.prepareRekey(newPassphrase);
+        const records = await this.sealRecords(symptoms, userId, nextVault);
+
+        await this.resealBackups(userId, vault, nextVault);
+        await this.resealHistory(userId, vault, nextVault);
+        nextVault.commit();
+
+        if (this.symptomStore) {
+            await this.symptomStore.replaceUserSymptoms(userId, records);
+        } else {
+            this.saveToLocalStorage('symptoms', records, userId);
+        }
+        this.announceChange(userId, 'encryption');
+        return true;
+    }
+
+    async disableEncryption(passphrase, userId = this.getActiveUserId()) {
+        await this.ready;
+        const vault = this.getVault(userId);
+        await vault.unlock(passphrase);
+
+        const symptoms = await this.loadLocalSymptoms(userId);
+        await this.resealBackups(userId, vault, null);
+        await this.resealHistory(userId, vault, null);
+        vault.disable();
+        await this.saveLocalSymptoms(symptoms, userId);
+        this.announceChange(userId, 'encryption');
+        return true;
+    }
+
+    // Moves the account's records inside every backup from one key to another
+    // (null = plaintext) so old snapshots stay restorable after a key change.
+    async resealBackups(userId, fromVault, toVault) {
+        const backups = await this.loadBackups(userId);
+        for (const backup of backups) {
+            const opened = fromVault ? await this.openRecords(backup.symptoms, userId, fromVault) : backup.symptoms;
+            backup.symptoms = toVault ? await this.sealRecords(opened, userId, toVault) : opened;
+            if (this.symptomStore) await this.symptomStore.putBackup(backup);
+        }
+        if (!this.symptomStore) this.saveToLocalStorage('backups', backups, userId);
+    }
+
+    // Same for the account's trash, archive, dependents and audit trail (the
+    // audit entries keep their contents and order; only the encryption changes)
+    async resealHistory(userId, fromVault, toVault) {
+        const archive = this.loadFromLocalStorage('archive', userId);
+        if (archive) {
+            const opened = fromVault && CryptoVault.isSealed(archive.sealed) ? await fromVault.decrypt(archive.sealed) : archive;
+            await this.saveArchive(opened, userId, toVault);
+        }
+
+        const dependents = this.loadFromLocalStorage('dependents', userId);
+        if (dependents) {
+            const opened = fromVault && CryptoVault.isSealed(dependents.sealed) ? await fromVault.decrypt(dependents.sealed) : dependents;
+            const stored = toVault ? { sealed: await toVault.encrypt(opened) } : opened;
+            this.saveToLocalStorage('dependents', stored, userId);
+        }
+
+        const trash = await this.loadTrashEntries(userId);
+        if (trash.length > 0) {
+            let records = trash.map(entry => entry.record);
+            if (fromVault) records = await this.openRecords(records, userId, fromVault);
+            if (toVault) records = await this.sealRecords(records, userId, toVault);
+            await this.saveTrashEntries(trash.map((entry, index) => ({ ...entry, record: records[index] })), userId);
+        }
+
+        const reseal = async value => {
+            if (value && fromVault && CryptoVault.isSealed(value.sealed)) value = await fromVault.decrypt(value.sealed);
+            if (value && toVault && !value.redacted) value = { sealed: await toVault.encrypt(value) };
+            return value;
+        };
+        const rekey = async trail => Promise.all(trail.map(async entry => ({
+            ...entry,
+            before: await reseal(entry.before),
+            after: await reseal(entry.after)
+        })));
+
+        if (this.symptomStore) {
+            const trail = await this.symptomStore.getAuditByUser(userId);
+            if (trail.length > 0) await this.symptomStore.rekeyAudit(await rekey(trail));
+        } else {
+            const trail = this.loadFromLocalStorage('audit', userId) || [];
+            if (trail.length > 0) this.saveToLocalStorage('audit', await rekey(trail), userId);
+        }
+    }
+
+    // User Operations
+    // With the persistence server running, accounts live in users.json and only
+    // the server reads or writes them: it checks passwords, strips secrets from
+    // what it sends and decides who may change what. Without it they live in a
+    // local directory of the same structure ('users').
+    // Usernames and emails are unique, checked through indexes.byUsername/byEmail.
+    // options.internal: written by the app itself (demo accounts, sign-in
+    // bookkeeping) rather than on behalf of the signed-in account
+    async saveUser(userData, options = {}) {
+        await this.ready;
+
+        if (this.validator && this.config?.security?.validateSchema !== false) {
+            const errors = this.validator.validate('user', userData);
+            if (errors.length > 0) {
+                await this.quarantineRecords('user', [{ record: userData, errors: errors }], this.getActiveUserId(), 'save');
+                return false;
+            }
+        }
+
+        if (this.isServerConnected()) return this.saveServerUser(userData);
+
+        const directory = await this.loadUserDirectory();
+        if (!options.internal) this.assertCanSaveUser(userData, directory.users.find(user => user.id === userData.id));
+        const duplicate = this.findDuplicateField(directory, userData);
+        if (duplicate) throw new DuplicateAccountError(duplicate);
+
+        const existingIndex = directory.users.findIndex(user => user.id === userData.id);
+        const previous = existingIndex >= 0 ? directory.users[existingIndex] : null;
+        if (existingIndex >= 0) {
+            directory.users[existingIndex] = userData;
+        } else {
+            directory.users.push(userData);
+        }
+        this.indexUserDirectory(directory);
+
+        if (!this.saveToLocalStorage('users', directory)) {
+            throw new StorageWriteError('Your device storage is full, so this account was not saved.');
+        }
+        if (userData.id === this.getActiveUserId()) this.saveToLocalStorage('user', userData);
+
+        // Password and recovery code hashes never go into the audit trail
+        const withoutSecrets = ({ passwordHash, recoveryCodes, ...rest }) => rest;
+        await this.recordAudit([{
+            entity: 'user',
+            entityId: userData.id,
+            action: previous ? 'update' : 'create',
+            before: previous ? withoutSecrets(previous) : null,
+            after: withoutSecrets(userData)
+        }], userData.id);
+
+        return true;
+    }
+
+    // The server applies the fields the signed-in account may change and
+    // answers with the stored account, which never includes secrets
+    async saveServerUser(userData) {
+        const previous = await this.loadUser(userData.id);
+        let result;
+        try {
+            result = await this.remoteRequest('PUT', `/users/${encodeURIComponent(userData.id)}`, userData);
+        } catch (error) {
+            if (error.status === 409) throw new DuplicateAccountError(/email/.test(error.message) ? 'email' : 'username');
+            if (error.status === 403) throw new PermissionError(error.message);
+            throw error;
         }
+
+        if (userData.id === this.getActiveUserId()) this.saveToLocalStorage('user', result.user);
+        await this.recordAudit([{
+            entity: 'user',
+            entityId: userData.id,
+            action: 'update',
+            before: previous,
+            after: result.user
+        }], userData.id);
+        return true;
     }
 
-    // User Operations
-    async saveUser(userData) {
-        if (this.fallbackMode) {
-            return this.saveToLocalStorage('user', userData);
-        }
+    async loadUser(userId) {
+        await this.ready;
 
         try {
-            const data = await this.loadDatabaseFile('users.json');
-            
-            // Check if user exists
-            const existingUserIndex = data.users.findIndex(user => user.id === userData.id);
-            
-            if (existingUserIndex >= 0) {
-                data.users[existingUserIndex] = userData;
-            } else {
-                data.users.push(userData);
+            if (this.isServerConnected()) {
+                const result = await this.remoteRequest('GET', `/users/${encodeURIComponent(userId)}`);
+                if (userId === this.getActiveUserId()) this.saveToLocalStorage('user', result.user);
+                return result.user;
             }
+        } catch (error) {
+            // Not on the server (or unreachable) - look in the local directory
+        }
 
-            data.metadata.lastModified = new Date().toISOString();
-            data.metadata.totalUsers = data.users.length;
+        const directory = await this.loadUserDirectory();
+        return directory.users.find(user => user.id === userId) || null;
+    }
 
-            // Update indexes
-            data.indexes.byUsername[userData.username] = userData.id;
-            data.indexes.byEmail[userData.email] = userData.id;
+    // Accounts without secrets. filters: { role } and/or { sharedWith: viewerId };
+    // none lists every account, which on the server needs accounts:manage.
+    async listUsers(filters = {}) {
+        await this.ready;
 
-            // Save to localStorage as primary storage
-            this.saveToLocalStorage('user', userData);
-            
-            // User data saved to database
-            return true;
-        } catch (error) {
-            // Failed to save user to database - using localStorage fallback
-            return this.saveToLocalStorage('user', userData);
+        if (this.isServerConnected()) {
+            const query = new URLSearchParams(filters).toString();
+            try {
+                return (await this.remoteRequest('GET', `/users${query ? `?${query}` : ''}`)).users;
+            } catch (error) {
+                if (error.status === 403) throw new PermissionError(error.message);
+                throw error;
+            }
         }
+
+        const directory = await this.loadUserDirectory();
+        return directory.users
+            .filter(user => !filters.role || user.role === filters.role)
+            .filter(user => !filters.sharedWith || ((user.sharedWith || []).includes(filters.sharedWith) && user.isActive !== false))
+            .map(({ passwordHash, recoveryCodes, loginAttempts, ...account }) => account);
     }
 
-    async loadUser(userId) {
-        if (this.fallbackMode) {
-            return this.loadFromLocalStorage('user') || null;
-        }
+    // users.json merged with accounts only this device knows about (registered
+    // while the server was unreachable, or on a static host where users.json is
+    // read-only). The shared copy wins for accounts present in both. The
+    // persistence server serves users.json without its accounts.
+    async loadUserDirectory() {
+        const local = this.loadFromLocalStorage('users') || this.createUserDirectory();
+        let shared = null;
 
-        try {
-            // Try localStorage first
-            const localUser = this.loadFromLocalStorage('user');
-            if (localUser && localUser.id === userId) {
-                return localUser;
+        if (!this.fallbackMode) {
+            try {
+                shared = await this.loadDatabaseFile('users.json');
+            } catch (error) {
+                // Shared directory unavailable - accounts on this device still work
             }
+        }
 
-            // Fallback to database file
-            const data = await this.loadDatabaseFile('users.json');
-            const user = data.users.find(user => user.id === userId);
-            
-            if (user) {
-                this.saveToLocalStorage('user', user);
-            }
-            
-            return user;
-        } catch (error) {
-            // Failed to load user from database - using localStorage fallback
-            return this.loadFromLocalStorage('user') || null;
+        const directory = shared && Array.isArray(shared.users)
+            ? { ...this.createUserDirectory(), ...shared, users: [...shared.users] }
+            : local;
+        if (directory !== local) {
+            local.users.forEach(user => {
+                if (!directory.users.some(existing => existing.id === user.id)) directory.users.push(user);
+            });
         }
+
+        this.indexUserDirectory(directory);
+        return directory;
+    }
+
+    createUserDirectory() {
+        return {
+            metadata: { version: '1.0', lastModified: null, totalUsers: 0, description: 'Health Tracker Users Database' },
+            users: [],
+            sessions: [],
+            indexes: { byUsername: {}, byEmail: {}, bySession: {} }
+        };
+    }
+
+    // Index keys are lower-cased so 'Alice' and 'alice' count as the same name
+    indexUserDirectory(directory) {
+        directory.indexes = { ...directory.indexes, byUsername: {}, byEmail: {} };
+        directory.users.forEach(user => {
+            if (user.username) directory.indexes.byUsername[user.username.toLowerCase()] = user.id;
+            if (user.email) directory.indexes.byEmail[user.email.toLowerCase()] = user.id;
+        });
+        directory.metadata = { ...directory.metadata, totalUsers: directory.users.length, lastModified: new Date().toISOString() };
+    }
+
+    // 'username' / 'email' when another account already holds that value
+    findDuplicateField(directory, userData) {
+        const owner = (index, value) => value ? directory.indexes[index][String(value).toLowerCase()] : undefined;
+        const usernameOwner = owner('byUsername', userData.username);
+        if (usernameOwner !== undefined && usernameOwner !== userData.id) return 'username';
+        const emailOwner = owner('byEmail', userData.email);
+        if (emailOwner !== undefined && emailOwner !== userData.id) return 'email';
+        return null;
+    }
+
+    async findUserBy(field, value) {
+        if (!value) return null;
+        const directory = await this.loadUserDirectory();
+        const index = field === 'email' ? directory.indexes.byEmail : directory.indexes.byUsername;
+        const userId = index[String(value).trim().toLowerCase()];
+        return userId === undefined ? null : directory.users.find(user => user.id === userId) || null;
     }
 
     // Symptom Definitions Operations
@@ -202,63 +1704,173 @@ class DatabaseManager {
     }
 
     // Session Management
+    // The signed-in session lives under 'healthtracker_session': in localStorage
+    // with "remember me", otherwise in sessionStorage so it ends with the tab.
+    // With the persistence server the session is the one it issued at sign-in:
+    // sessionId is the bearer token sent with every request, and the server
+    // keeps its own copy in users.json (sessions[]) to check and revoke.
+    readSession() {
+        const key = this.getStorageKey('session');
+        try {
+            const stored = localStorage.getItem(key) || sessionStorage.getItem(key);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Stores the session on this device only; the server copy changes through
+    // sign-in, touchSession and endSession
     async saveSession(sessionData) {
-        if (this.fallbackMode) {
-            return this.saveToLocalStorage('session', sessionData);
+        const key = this.getStorageKey('session');
+        const [store, other] = sessionData.rememberMe ? [localStorage, sessionStorage] : [sessionStorage, localStorage];
+        other.removeItem(key);
+        store.setItem(key, JSON.stringify(sessionData));
+        return true;
+    }
+
+    // null while the session may be used, otherwise 'missing', 'revoked',
+    // 'expired', 'idle' or 'locked' (idle with quick unlock, which re-opens it).
+    // Sessions from before expiry existed count as expired. A locked session
+    // has no sessionId until quick unlock restores it.
+    getSessionProblem(session, now = Date.now()) {
+        if (!session) return 'missing';
+        if (session.isActive === false) return 'revoked';
+        if (!session.expiresAt || !(Date.parse(session.expiresAt) > now)) return 'expired';
+        if (session.locked) return 'locked';
+        if (!session.sessionId) return 'missing';
+        if (session.idleTimeout && !(Date.parse(session.lastActivityAt) + session.idleTimeout > now)) {
+            return session.quickUnlock ? 'locked' : 'idle';
         }
+        return null;
+    }
 
-        try {
-            const data = await this.loadDatabaseFile('users.json');
-            
-            // Remove expired sessions
-            data.sessions = data.sessions.filter(session => 
-                new Date(session.expiresAt) > new Date()
-            );
+    // Resolves with { valid, reason, session }. Checked locally first, then
+    // against the server copy when the server is reachable.
+    async validateSession(sessionId = this.readSession()?.sessionId) {
+        const session = this.readSession();
+        if (!session || session.sessionId !== sessionId) {
+            return { valid: false, reason: 'missing', session: null };
+        }
 
-            // Add new session
-            data.sessions.push(sessionData);
-            data.indexes.bySession[sessionData.sessionId] = sessionData.userId;
+        const reason = this.getSessionProblem(session) ||
+            await this.checkServerSession(session) ||
+            await this.checkSessionAccount(session);
+        return { valid: !reason, reason: reason, session: reason ? null : this.readSession() };
+    }
 
-            // Save to localStorage
-            this.saveToLocalStorage('session', sessionData);
-            
-            return true;
-        } catch (error) {
-            // Failed to save session - using localStorage fallback
-            return false;
+    // A deactivated account ends its sessions; a changed role applies right away.
+    // The server checks both itself, so this only covers local accounts.
+    async checkSessionAccount(session) {
+        if (this.isServerConnected()) return null;
+
+        const directory = await this.loadUserDirectory();
+        const account = directory.users.find(user => user.id === (session.userId || session.username));
+        if (!account) return null;
+        if (account.isActive === false) return 'revoked';
+
+        if (account.role && account.role !== session.role) {
+            await this.saveSession({ ...session, role: account.role });
         }
+        return null;
     }
 
-    async validateSession(sessionId) {
+    // The server's answer wins: its expiry, idle state and the role on the
+    // account replace whatever this device has stored
+    async checkServerSession(session) {
+        await this.ready;
+        if (!this.isServerConnected()) return null;
+
         try {
-            const localSession = this.loadFromLocalStorage('session');
-            if (localSession && localSession.sessionId === sessionId) {
-                return new Date(localSession.expiresAt) > new Date();
-            }
+            const result = await this.remoteRequest('GET', '/sessions/current');
+            await this.saveSession({ ...session, ...result.session });
+            return null;
+        } catch (error) {
+            // Unreachable - the local check stands until the server answers again
+            return error.status === 401 ? error.reason || 'revoked' : null;
+        }
+    }
 
-            if (!this.fallbackMode) {
-                const data = await this.loadDatabaseFile('users.json');
-                const session = data.sessions.find(s => s.sessionId === sessionId);
-                return session && new Date(session.expiresAt) > new Date();
-            }
+    // Sliding renewal: activity pushes the idle deadline back and, for
+    // remembered sessions, the expiry too. Returns the session, or null once
+    // it can no longer be used.
+    touchSession(now = Date.now()) {
+        const session = this.readSession();
+        if (this.getSessionProblem(session, now)) return null;
+        if (now - Date.parse(session.lastActivityAt) < SESSION_RENEWAL_INTERVAL) return session;
 
-            return false;
-        } catch (error) {
-            // Error loading database file - using fallback
-            throw error;
+        const renewed = { ...session, lastActivityAt: new Date(now).toISOString() };
+        if (session.rememberMe) {
+            renewed.expiresAt = new Date(now + this.getSetting('rememberedSessionLifetime')).toISOString();
+        }
+        this.saveSession(renewed);
+        if (this.isServerConnected()) {
+            // A rejected touch is picked up by the next validateSession
+            this.remoteRequest('POST', '/sessions/current').catch(() => {});
+        }
+        return renewed;
+    }
+
+    // Quick unlock (quick_unlock.js) keeps an encrypted copy of the token, so
+    // the stored session drops it: nothing on this device can use the session
+    // until the PIN has opened that copy again
+    async lockSession() {
+        const session = this.readSession();
+        const problem = this.getSessionProblem(session);
+        if (!session || !session.quickUnlock || (problem && problem !== 'locked')) return false;
+        await this.saveSession({ ...session, locked: true, sessionId: null });
+        return true;
+    }
+
+    // Signs out on this device and marks the server copy inactive, which also
+    // ends quick unlock for it
+    async endSession(reason = 'logout') {
+        const session = this.readSession();
+        const key = this.getStorageKey('session');
+        localStorage.removeItem(key);
+        sessionStorage.removeItem(key);
+        if (!session) return;
+        localStorage.removeItem(this.getStorageKey('quick_unlock', session.username));
+
+        await this.ready;
+        if (this.isServerConnected() && session.sessionId) {
+            await this.remoteRequest('POST', '/auth/logout', { reason: reason }, session.sessionId).catch(() => {});
         }
     }
 
     // Utility Methods
-    async loadDatabaseFile(filename) {
-        try {
-            const response = await fetch(`./database/${filename}`);
-            if (!response.ok) throw new Error(`Failed to load ${filename}`);
-            return await response.json();
-        } catch (error) {
-            // Error loading database file - using fallback
+    // Sends the signed-in session as a bearer token. Failed requests reject
+    // with error.status plus the server's details (error.reason, error.field).
+    async remoteRequest(method, path, body, sessionId = this.readSession()?.sessionId) {
+        const baseUrl = this.config?.server?.baseUrl || '/api';
+        const options = { method: method, headers: {} };
+
+        if (sessionId) options.headers.Authorization = `Bearer ${sessionId}`;
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + path, options);
+        if (!response.ok) {
+            const error = new Error(`${method} ${path} failed with status ${response.status}`);
+            error.status = response.status;
+            try {
+                const { error: message, ...details } = await response.json();
+                Object.assign(error, details);
+                error.message = message || error.message;
+            } catch (parseError) {
+                // No JSON body - keep the generic message
+            }
             throw error;
         }
+        return await response.json();
+    }
+
+    // Files come from the shared data root (see data_root.js); failures are
+    // recorded there for the status page
+    async loadDatabaseFile(filename) {
+        return dataRoot.fetchJson(filename);
     }
 
     updateIndexes(data, symptoms) {
@@ -289,21 +1901,35 @@ class DatabaseManager {
         });
     }
 
-    saveToLocalStorage(key, data) {
+    getSetting(name) {
+        const settings = this.config?.settings || {};
+        return settings[name] !== undefined ? settings[name] : DEFAULT_DATABASE_SETTINGS[name];
+    }
+
+    // Pass a userId to get that account's namespaced key (see UserStorage.scopedKey);
+    // 'default' is the shared, unowned namespace.
+    getStorageKey(key, userId = 'default') {
+        const prefix = this.config?.fallback?.localStoragePrefix || 'healthtracker_';
+        if (userId === 'default' || !window.userStorage) return prefix + key;
+        return userStorage.scopedKey(prefix + key, userId);
+    }
+
+    saveToLocalStorage(key, data, userId = 'default') {
         try {
-            const prefix = this.config?.fallback?.localStoragePrefix || 'healthtracker_';
-            localStorage.setItem(prefix + key, JSON.stringify(data));
+            localStorage.setItem(this.getStorageKey(key, userId), JSON.stringify(data));
+            this.storageWriteError = null;
             return true;
         } catch (error) {
-            // Failed to save to localStorage
+            // Failed to save to localStorage (usually the quota) - reported through onStorageStatusChange
+            this.storageWriteError = { key: key, message: error.message, at: new Date().toISOString() };
+            this.checkStorageQuota();
             return false;
         }
     }
 
-    loadFromLocalStorage(key) {
+    loadFromLocalStorage(key, userId = 'default') {
         try {
-            const prefix = this.config?.fallback?.localStoragePrefix || 'healthtracker_';
-            const data = localStorage.getItem(prefix + key);
+            const data = localStorage.getItem(this.getStorageKey(key, userId));
             return data ? JSON.parse(data) : null;
         } catch (error) {
             // Failed to load from localStorage
@@ -311,23 +1937,428 @@ class DatabaseManager {
         }
     }
 
-    async syncWithDatabase() {
-        if (this.fallbackMode || !this.isOnline) return;
+    // Two-way Sync
+    // Pushes the account's outbox, then pulls what other devices changed since
+    // the last pull. Never throws; the outcome is reported through the status.
+    async syncWithDatabase(userId = this.getActiveUserId()) {
+        if (!this.isOnline || (!this.syncRemote && !(await this.connectServer()))) {
+            this.notifySyncStatus(userId);
+            return this.getSyncStatus(userId);
+        }
+
+        if (this.syncRuns.has(userId)) {
+            this.syncAgain.add(userId);
+            return this.syncRuns.get(userId);
+        }
+
+        const run = this.runSync(userId).finally(() => {
+            this.syncRuns.delete(userId);
+            if (this.syncAgain.delete(userId)) this.syncWithDatabase(userId);
+        });
+        this.syncRuns.set(userId, run);
+        this.notifySyncStatus(userId);
+        return run;
+    }
+
+    async runSync(userId) {
+        const state = this.getSyncState(userId);
+        let changed = false;
 
         try {
-            // Syncing local data with database...
-            // In a real implementation, this would sync with server
-            // For now, we'll just validate local data integrity
-            
-            const symptoms = this.loadFromLocalStorage('symptoms');
-            const user = this.loadFromLocalStorage('user');
-            
-            if (symptoms && user) {
-                // Database sync completed
-            }
+            // First sync for this account on this device: offer everything stored locally
+            if (!state.lastPulledAt) await this.queueLocalRecords(userId);
+
+            changed = await this.pushOutbox(userId);
+            const pulled = await this.syncRemote.pull(userId, state.lastPulledAt || null);
+            const pendingIds = new Set((this.loadFromLocalStorage('outbox', userId) || []).map(entry => entry.id));
+            changed = await this.mergeIntoLocal(userId, pulled.records || [], pulled.deleted || [], pendingIds) || changed;
+
+            state.lastPulledAt = pulled.serverTime;
+            state.lastSyncedAt = new Date().toISOString();
+            state.lastError = null;
         } catch (error) {
-            // Database sync failed - continuing with local data
+            // Remote unreachable or rejected the push - the outbox is kept for the next attempt
+            state.lastError = error.message;
+        }
+
+        this.saveToLocalStorage('sync', state, userId);
+        this.syncRuns.delete(userId);
+        this.notifySyncStatus(userId, { changed: changed });
+        return this.getSyncStatus(userId);
+    }
+
+    // Resolves conflicts by last-modified: the newer side wins and the other
+    // version is kept in the account's conflict log. Returns true when a server
+    // version replaced a local record.
+    async pushOutbox(userId) {
+        const outbox = await this.loadOutbox(userId);
+        if (outbox.length === 0) return false;
+
+        const result = await this.syncRemote.push(userId, outbox);
+        const settled = new Map(); // changeId -> lastModified the server now holds for that record
+        const forced = [];
+        const adopted = [];
+
+        (result.applied || []).forEach(changeId => {
+            const change = outbox.find(entry => entry.changeId === changeId);
+            if (change) settled.set(changeId, change.lastModified);
+        });
+
+        for (const conflict of result.conflicts || []) {
+            const change = outbox.find(entry => entry.changeId === conflict.changeId);
+            if (!change) continue;
+
+            const serverModified = conflict.server ? conflict.server.lastModified || null : conflict.deletedAt;
+            const localWins = (change.lastModified || '') >= (serverModified || '');
+            await this.logSyncConflict(userId, change, conflict, localWins ? 'local' : 'server');
+
+            if (localWins) {
+                forced.push({ ...change, force: true });
+            } else {
+                adopted.push(conflict);
+                settled.set(change.changeId, serverModified);
+            }
+        }
+
+        if (forced.length > 0) {
+            const retry = await this.syncRemote.push(userId, forced);
+            (retry.applied || []).forEach(changeId => {
+                const change = forced.find(entry => entry.changeId === changeId);
+                if (change) settled.set(changeId, change.lastModified);
+            });
+        }
+
+        // Drop settled entries. Edits queued while the push was in flight are
+        // rebased onto the version the server now holds.
+        const remaining = await this.withLocalWriteLock(async () => {
+            const current = await this.loadOutbox(userId);
+            const kept = current.filter(entry => !settled.has(entry.changeId));
+            kept.forEach(entry => {
+                const pushed = outbox.find(change => change.id === entry.id && settled.has(change.changeId));
+                if (pushed) entry.baseModified = settled.get(pushed.changeId);
+            });
+            await this.saveOutbox(kept, userId);
+            return kept;
+        });
+
+        if (adopted.length === 0) return false;
+        const pendingIds = new Set(remaining.map(entry => entry.id));
+        return this.mergeIntoLocal(
+            userId,
+            adopted.filter(conflict => conflict.server).map(conflict => conflict.server),
+            adopted.filter(conflict => !conflict.server).map(conflict => ({ id: conflict.id, deletedAt: conflict.deletedAt })),
+            pendingIds
+        );
+    }
+
+    // Applies remote records/deletions to the local store without queueing them
+    // again; records with unsent local edits are left alone.
+    // deleted: [{ id, deletedAt }]
+    async mergeIntoLocal(userId, records, deleted, skipIds = new Set()) {
+        if (records.length === 0 && deleted.length === 0) return false;
+
+        return this.withLocalWriteLock(async () => {
+            const byId = new Map((await this.loadLocalSymptoms(userId)).map(symptom => [symptom.id, symptom]));
+            const audit = [];
+            const removed = [];
+
+            records.forEach(record => {
+                if (skipIds.has(record.id)) return;
+                const existing = byId.get(record.id);
+                if (existing && existing.lastModified === record.lastModified &&
+                    recordContent(existing) === recordContent(record)) return;
+
+                const { syncedAt, ...clean } = record;
+                const merged = { ...clean, userId: userId };
+                byId.set(record.id, merged);
+                audit.push({
+                    entity: 'symptom',
+                    entityId: record.id,
+                    action: existing ? 'update' : 'create',
+                    before: existing || null,
+                    after: merged
+                });
+            });
+
+            deleted.forEach(({ id, deletedAt }) => {
+                const existing = byId.get(id);
+                if (skipIds.has(id) || !existing) return;
+
+                byId.delete(id);
+                removed.push({ record: existing, deletedAt: deletedAt || new Date().toISOString() });
+                audit.push({ entity: 'symptom', entityId: id, action: 'delete', before: existing, after: null });
+            });
+
+            const changed = audit.length > 0;
+            if (changed) {
+                this.indexSymptoms([...byId.values()], userId);
+                await this.saveLocalSymptoms([...byId.values()], userId);
+                if (removed.length > 0) await this.moveToTrash(removed, userId, 'sync');
+                await this.recordAudit(audit, userId, 'sync');
+                this.announceChange(userId);
+            }
+            return changed;
+        });
+    }
+
+    // Diffs a save against the stored copy and stamps lastModified on what
+    // changed. Runs inside withLocalWriteLock; nothing is written yet.
+    async diffChanges(symptoms, userId) {
+        const previous = new Map((await this.loadLocalSymptoms(userId)).map(symptom => [symptom.id, symptom]));
+        const now = new Date().toISOString();
+        const changes = [];
+        const audit = [];
+
+        // Records coming back (undo, trash restore) are based on their deletion
+        const trashed = symptoms.some(symptom => !previous.has(symptom.id))
+            ? new Map((await this.loadTrashEntries(userId)).map(entry => [entry.id, entry]))
+            : new Map();
+
+        const stamped = symptoms.map(symptom => {
+            const old = previous.get(symptom.id);
+            previous.delete(symptom.id);
+
+            if (old && recordContent(old) === recordContent(symptom)) {
+                return old.lastModified ? { ...symptom, lastModified: old.lastModified } : symptom;
+            }
+
+            const binned = trashed.get(symptom.id);
+            const base = old ? old.lastModified || null : (binned && binned.deletedAt) || null;
+            const record = { ...symptom, lastModified: now };
+            changes.push({ op: 'put', id: symptom.id, record: record, baseModified: base, lastModified: now });
+            audit.push({
+                entity: 'symptom',
+                entityId: symptom.id,
+                action: old ? 'update' : binned ? 'restore' : 'create',
+                before: old || null,
+                after: record
+            });
+            return record;
+        });
+
+        const removed = [...previous.values()];
+        removed.forEach(old => {
+            changes.push({ op: 'delete', id: old.id, baseModified: old.lastModified || null, lastModified: now });
+            audit.push({ entity: 'symptom', entityId: old.id, action: 'delete', before: old, after: null });
+        });
+
+        return { stamped: stamped, changes: changes, audit: audit, removed: removed, at: now };
+    }
+
+    // Queues a diff for sync and files it in the trash and audit trail, once
+    // the records themselves have been stored
+    async recordChanges({ changes, audit, removed, at }, userId) {
+        if (changes.length > 0) {
+            const outbox = await this.loadOutbox(userId);
+            changes.forEach(change => this.enqueueChange(outbox, change));
+            await this.saveOutbox(outbox, userId);
+        }
+
+        const restored = audit.filter(entry => entry.action === 'restore').map(entry => entry.entityId);
+        if (restored.length > 0) await this.removeFromTrash(restored, userId);
+        if (removed.length > 0) await this.moveToTrash(removed.map(record => ({ record: record, deletedAt: at })), userId);
+        await this.recordAudit(audit, userId);
+    }
+
+    async queueLocalRecords(userId) {
+        return this.withLocalWriteLock(async () => {
+            const outbox = await this.loadOutbox(userId);
+            const queued = new Set(outbox.map(entry => entry.id));
+
+            (await this.loadLocalSymptoms(userId)).forEach(symptom => {
+                if (queued.has(symptom.id)) return;
+                // No base: matches the server copy if identical, otherwise last-modified decides
+                this.enqueueChange(outbox, {
+                    op: 'put',
+                    id: symptom.id,
+                    record: symptom,
+                    baseModified: null,
+                    lastModified: symptom.lastModified || null
+                });
+            });
+
+            await this.saveOutbox(outbox, userId);
+        });
+    }
+
+    // One entry per record: a newer edit replaces the queued one but keeps its
+    // base, which is still the version the server last confirmed
+    enqueueChange(outbox, change) {
+        const entry = { ...change, changeId: `${Date.now()}-${this.changeCounter++}`, queuedAt: new Date().toISOString() };
+        const index = outbox.findIndex(queued => queued.id === change.id);
+
+        if (index >= 0) {
+            entry.baseModified = outbox[index].baseModified;
+            outbox[index] = entry;
+        } else {
+            outbox.push(entry);
+        }
+    }
+
+    // Outbox records are sealed like the symptom store when encryption is on
+    async loadOutbox(userId = this.getActiveUserId()) {
+        const outbox = this.loadFromLocalStorage('outbox', userId) || [];
+        return Promise.all(outbox.map(async entry =>
+            entry.record ? { ...entry, record: (await this.openRecords([entry.record], userId))[0] } : entry
+        ));
+    }
+
+    async saveOutbox(outbox, userId) {
+        const stored = await Promise.all(outbox.map(async entry =>
+            entry.record ? { ...entry, record: (await this.sealRecords([entry.record], userId))[0] } : entry
+        ));
+        return this.saveToLocalStorage('outbox', stored, userId);
+    }
+
+    async logSyncConflict(userId, change, conflict, resolution) {
+        const conflicts = this.loadFromLocalStorage('syncConflicts', userId) || [];
+        const seal = async record => (record ? (await this.sealRecords([record], userId))[0] : null);
+
+        conflicts.push({
+            id: change.id,
+            op: change.op,
+            resolution: resolution,
+            local: await seal(change.record),
+            server: await seal(conflict.server),
+            serverDeletedAt: conflict.deletedAt || null,
+            detectedAt: new Date().toISOString()
+        });
+        this.saveToLocalStorage('syncConflicts', conflicts, userId);
+    }
+
+    getSyncConflicts(userId = this.getActiveUserId()) {
+        return this.loadFromLocalStorage('syncConflicts', userId) || [];
+    }
+
+    clearSyncConflicts(userId = this.getActiveUserId()) {
+        localStorage.removeItem(this.getStorageKey('syncConflicts', userId));
+        this.notifySyncStatus(userId);
+    }
+
+    // With autoSave on, pushes are debounced by settings.saveInterval so a burst
+    // of edits becomes one request; otherwise every save syncs straight away.
+    scheduleSync(userId = this.getActiveUserId()) {
+        this.notifySyncStatus(userId);
+        if (!this.syncRemote || !this.isOnline) return;
+
+        clearTimeout(this.autoSaveTimer);
+        const delay = this.getSetting('autoSave') ? this.getSetting('saveInterval') : 0;
+        this.autoSaveTimer = setTimeout(() => this.syncWithDatabase(userId), delay);
+    }
+
+    setSyncRemote(remote) {
+        this.syncRemote = remote;
+        this.notifySyncStatus();
+        if (remote) this.scheduleSync();
+    }
+
+    getSyncState(userId = this.getActiveUserId()) {
+        return this.loadFromLocalStorage('sync', userId) || { lastPulledAt: null, lastSyncedAt: null, lastError: null };
+    }
+
+    getSyncStatus(userId = this.getActiveUserId()) {
+        const state = this.getSyncState(userId);
+        const pending = (this.loadFromLocalStorage('outbox', userId) || []).length;
+
+        let status = 'synced';
+        if (!this.isOnline) status = 'offline';
+        else if (!this.syncRemote) status = 'local';
+        else if (this.syncRuns.has(userId)) status = 'syncing';
+        else if (state.lastError) status = 'error';
+        else if (pending > 0) status = 'pending';
+
+        return {
+            status: status,
+            pending: pending,
+            conflicts: this.getSyncConflicts(userId).length,
+            lastSyncedAt: state.lastSyncedAt,
+            error: state.lastError
+        };
+    }
+
+    // listener(status) runs on every status change; returns an unsubscribe function
+    onSyncStatusChange(listener) {
+        this.syncListeners.add(listener);
+        return () => this.syncListeners.delete(listener);
+    }
+
+    notifySyncStatus(userId = this.getActiveUserId(), details = {}) {
+        const status = { ...this.getSyncStatus(userId), ...details, userId: userId };
+        this.syncListeners.forEach(listener => {
+            try {
+                listener(status);
+            } catch (error) {
+                // A failing listener must not stop the others
+            }
+        });
+    }
+
+    // Cross-tab Change Notifications
+    // Every open tab shares the same stores but keeps its own cache and rendered
+    // state, so each local write is announced to the others. kind is 'symptoms'
+    // or 'encryption'; a null userId means every account (backup restore).
+    listenForOtherTabs() {
+        if (window.BroadcastChannel) {
+            this.changeChannel = new BroadcastChannel('healthtracker-changes');
+            this.changeChannel.onmessage = event => this.receiveChange(event.data);
+            return;
+        }
+
+        // No BroadcastChannel: the storage event fires in every other tab instead
+        window.addEventListener('storage', event => {
+            if (event.key !== this.getStorageKey('change') || !event.newValue) return;
+            try {
+                this.receiveChange(JSON.parse(event.newValue));
+            } catch (error) {
+                // Malformed notification - ignore
+            }
+        });
+    }
+
+    announceChange(userId, kind = 'symptoms') {
+        const message = { tabId: this.tabId, userId: userId, kind: kind, at: new Date().toISOString() };
+        if (this.changeChannel) {
+            this.changeChannel.postMessage(message);
+        } else {
+            this.saveToLocalStorage('change', message);
+        }
+    }
+
+    receiveChange(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        if (message.userId === null) {
+            this.clearSymptomIndexes();
+        } else {
+            this.cache.delete(`symptoms:${message.userId}`);
         }
+        // The other tab re-keyed or turned on encryption; our key is stale
+        if (message.kind === 'encryption' && message.userId !== null) {
+            this.getVault(message.userId).lock();
+        }
+
+        const change = { ...message, source: 'tab' };
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                // A failing listener must not stop the others
+            }
+        });
+    }
+
+    // listener({ userId, kind, at, source: 'tab' }) runs when another tab changed data
+    onDataChange(listener) {
+        this.changeListeners.add(listener);
+        return () => this.changeListeners.delete(listener);
+    }
+
+    // Serialises local read-modify-write cycles: saves can land while a sync is
+    // merging pulled records or trimming the outbox
+    withLocalWriteLock(task) {
+        const next = this.localWriteQueue.catch(() => {}).then(task);
+        this.localWriteQueue = next;
+        return next;
     }
 
     getDefaultSymptomDefinitions() {
@@ -347,50 +2378,132 @@ class DatabaseManager {
     }
 
     // Database Statistics
+    // Computed from the store in use (IndexedDB or localStorage) rather than the
+    // static JSON files. A locked encrypted account's records are counted, but
+    // their types and times cannot be read until it is unlocked.
     async getDatabaseStats() {
-        try {
-            const symptomsData = await this.loadDatabaseFile('symptoms.json');
-            const usersData = await this.loadDatabaseFile('users.json');
-            
-            return {
-                totalSymptoms: symptomsData.metadata.totalRecords,
-                totalUsers: usersData.metadata.totalUsers,
-                lastModified: symptomsData.metadata.lastModified,
-                databaseSize: await this.calculateDatabaseSize(),
-                isOnline: this.isOnline,
-                fallbackMode: this.fallbackMode
-            };
-        } catch (error) {
-            return {
-                totalSymptoms: 0,
-                totalUsers: 0,
-                lastModified: new Date().toISOString(),
-                databaseSize: 0,
-                isOnline: this.isOnline,
-                fallbackMode: this.fallbackMode
+        await this.ready;
+        const records = await this.loadAllLocalSymptoms();
+        const owners = {};
+        records.forEach(record => {
+            const userId = record.userId || 'default';
+            (owners[userId] = owners[userId] || []).push(record);
+        });
+
+        const users = await Promise.all(Object.entries(owners).map(async ([userId, owned]) => {
+            const stats = {
+                userId: userId,
+                total: owned.length,
+                byType: null,
+                oldest: null,
+                newest: null,
+                lastModified: null,
+                lastSyncedAt: this.getSyncState(userId).lastSyncedAt || null,
+                locked: !this.isUnlocked(userId)
             };
-        }
+            if (stats.locked) return stats;
+
+            const opened = await this.openRecords(owned, userId);
+            stats.byType = {};
+            opened.forEach(symptom => {
+                stats.byType[symptom.type] = (stats.byType[symptom.type] || 0) + 1;
+            });
+            const times = opened.map(symptom => symptom.timestamp).filter(Boolean).sort();
+            const modified = opened.map(symptom => symptom.lastModified).filter(Boolean).sort();
+            stats.oldest = times[0] || null;
+            stats.newest = times[times.length - 1] || null;
+            stats.lastModified = modified[modified.length - 1] || null;
+            return stats;
+        }));
+
+        const latest = values => values.filter(Boolean).sort().pop() || null;
+        const storage = await this.calculateDatabaseSize();
+        const backups = await this.listBackups();
+
+        return {
+            backend: this.symptomStore ? 'indexeddb' : 'localStorage',
+            totalSymptoms: records.length,
+            totalUsers: users.length,
+            users: users.sort((a, b) => b.total - a.total),
+            lastModified: latest(users.map(user => user.lastModified)),
+            lastSyncedAt: latest(users.map(user => user.lastSyncedAt)),
+            lastBackupAt: backups.length > 0 ? backups[0].createdAt : null,
+            databaseSize: storage.totalBytes,
+            storage: storage,
+            usage: await this.getStorageUsage(),
+            indexes: this.checkIndexHealth(records),
+            isOnline: this.isOnline,
+            fallbackMode: this.fallbackMode,
+            serverAvailable: this.serverAvailable
+        };
     }
 
+    // Bytes per localStorage key (this app's keys only) plus, with IndexedDB,
+    // an estimate per object store: { totalBytes, keys: [{ key, bytes }], stores }
     async calculateDatabaseSize() {
-        try {
-            let totalSize = 0;
-            const files = ['symptoms.json', 'users.json', 'symptom_definitions.json', 'config.json'];
-            
-            for (const file of files) {
-                const response = await fetch(`./database/${file}`);
-                if (response.ok) {
-                    const text = await response.text();
-                    totalSize += text.length;
-                }
+        const prefix = this.getStorageKey('');
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(prefix)) continue;
+            keys.push({ key: key, bytes: (key.length + (localStorage.getItem(key) || '').length) * 2 }); // UTF-16
+        }
+        keys.sort((a, b) => b.bytes - a.bytes);
+
+        let stores = null;
+        if (this.symptomStore) {
+            try {
+                stores = await this.symptomStore.getStoreSizes();
+            } catch (error) {
+                // IndexedDB unreadable - localStorage figures only
             }
-            
-            return totalSize;
-        } catch (error) {
-            return 0;
         }
+
+        const storeBytes = stores ? Object.values(stores).reduce((sum, store) => sum + store.bytes, 0) : 0;
+        return {
+            totalBytes: keys.reduce((sum, entry) => sum + entry.bytes, 0) + storeBytes,
+            keys: keys,
+            stores: stores
+        };
+    }
+
+    // Cross-checks stored records against the indexes queries go through:
+    // the store's own owner/date indexes and each loaded account's query index
+    checkIndexHealth(records) {
+        const problems = [];
+        const unowned = records.filter(record => record.userId === undefined || record.userId === null).length;
+        const undated = records.filter(record => !record.date).length;
+        if (unowned > 0) problems.push(`${unowned} record(s) have no owner and are invisible to account queries`);
+        if (undated > 0) problems.push(`${undated} record(s) have no date and are missing from the date index`);
+
+        let checked = 0;
+        this.cache.forEach((entry, key) => {
+            if (!key.startsWith('symptoms:')) return;
+            const userId = key.slice('symptoms:'.length);
+            const stored = records.filter(record => (record.userId || 'default') === userId).length;
+            const typed = Object.values(entry.indexes.byType).reduce((sum, ids) => sum + ids.length, 0);
+            const untimed = entry.timeline.filter(item => Number.isNaN(item.time)).length;
+            checked++;
+
+            if (entry.records.size !== stored) {
+                problems.push(`Query index for ${userId} holds ${entry.records.size} record(s) but the store has ${stored}`);
+            }
+            if (typed !== entry.records.size) {
+                problems.push(`Type index for ${userId} covers ${typed} of ${entry.records.size} record(s)`);
+            }
+            if (untimed > 0) {
+                problems.push(`${untimed} record(s) for ${userId} have an unreadable timestamp and drop out of date ranges`);
+            }
+        });
+
+        return { healthy: problems.length === 0, checkedAccounts: checked, problems: problems };
     }
 }
 
+window.StorageWriteError = StorageWriteError;
+window.DuplicateAccountError = DuplicateAccountError;
+window.PermissionError = PermissionError;
+window.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
 // Global database manager instance
 window.dbManager = new DatabaseManager();
\ No newline at end of file
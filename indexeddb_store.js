@@ -0,0 +1,268 @@
+// IndexedDB Store for Health Tracker Application
+// Keeps symptom records in IndexedDB so large histories are not limited by the
+// ~5MB localStorage quota. Indexes mirror DatabaseManager.updateIndexes.
+
+class IndexedDBStore {
+    constructor(dbName = 'healthtracker', version = 3) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.opening = null;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = window.indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('symptoms')) {
+                    const symptoms = db.createObjectStore('symptoms', { keyPath: 'id' });
+                    symptoms.createIndex('byDate', 'date', { unique: false });
+                    symptoms.createIndex('byType', 'type', { unique: false });
+                    symptoms.createIndex('byUser', 'userId', { unique: false });
+                    symptoms.createIndex('byGroup', 'groupId', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                }
+
+                if (!db.objectStoreNames.contains('backups')) {
+                    db.createObjectStore('backups', { keyPath: 'id' });
+                }
+
+                // v3: append-only audit trail and soft-deleted records
+                if (!db.objectStoreNames.contains('audit')) {
+                    const audit = db.createObjectStore('audit', { keyPath: 'seq', autoIncrement: true });
+                    audit.createIndex('byUser', 'userId', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('trash')) {
+                    const trash = db.createObjectStore('trash', { keyPath: 'id' });
+                    trash.createIndex('byUser', 'userId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema - release our handle so it can proceed
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.opening = null;
+                };
+                resolve(this.db);
+            };
+
+            request.onerror = () => {
+                this.opening = null;
+                reject(request.error);
+            };
+        });
+
+        return this.opening;
+    }
+
+    // Symptom Operations
+    async getSymptomsByUser(userId) {
+        return this.getAllFromIndex('symptoms', 'byUser', userId);
+    }
+
+    async getAllSymptoms() {
+        const db = await this.open();
+        return this.promisify(db.transaction('symptoms', 'readonly').objectStore('symptoms').getAll());
+    }
+
+    // Replaces the stored set for a user: records missing from `symptoms` are
+    // deleted, everything else is written in a single transaction.
+    async replaceUserSymptoms(userId, symptoms) {
+        const db = await this.open();
+        const tx = db.transaction('symptoms', 'readwrite');
+        const store = tx.objectStore('symptoms');
+        const keepIds = new Set(symptoms.map(symptom => symptom.id));
+
+        const existingKeys = await this.promisify(store.index('byUser').getAllKeys(userId));
+        existingKeys.forEach(key => {
+            if (!keepIds.has(key)) store.delete(key);
+        });
+
+        symptoms.forEach(symptom => {
+            store.put({ ...symptom, userId: userId });
+        });
+
+        return this.transactionDone(tx);
+    }
+
+    async reassignUser(fromUserId, toUserId) {
+        const db = await this.open();
+        const tx = db.transaction('symptoms', 'readwrite');
+        const store = tx.objectStore('symptoms');
+
+        const records = await this.promisify(store.index('byUser').getAll(fromUserId));
+        records.forEach(record => store.put({ ...record, userId: toUserId }));
+
+        await this.transactionDone(tx);
+        return records.length;
+    }
+
+    // { storeName: { count, bytes } }; bytes is the JSON size, an estimate
+    async getStoreSizes() {
+        const db = await this.open();
+        const sizes = {};
+        for (const name of [...db.objectStoreNames]) {
+            const records = await this.promisify(db.transaction(name, 'readonly').objectStore(name).getAll());
+            sizes[name] = {
+                count: records.length,
+                bytes: records.reduce((sum, record) => sum + JSON.stringify(record).length, 0)
+            };
+        }
+        return sizes;
+    }
+
+    async getAllFromIndex(storeName, indexName, key) {
+        const db = await this.open();
+        const index = db.transaction(storeName, 'readonly').objectStore(storeName).index(indexName);
+        return this.promisify(index.getAll(key));
+    }
+
+    // Backup Operations
+    async putBackup(backup) {
+        const db = await this.open();
+        const tx = db.transaction('backups', 'readwrite');
+        tx.objectStore('backups').put(backup);
+        return this.transactionDone(tx);
+    }
+
+    async getBackup(id) {
+        const db = await this.open();
+        return this.promisify(db.transaction('backups', 'readonly').objectStore('backups').get(id));
+    }
+
+    async getBackups() {
+        const db = await this.open();
+        return this.promisify(db.transaction('backups', 'readonly').objectStore('backups').getAll());
+    }
+
+    async deleteBackup(id) {
+        const db = await this.open();
+        const tx = db.transaction('backups', 'readwrite');
+        tx.objectStore('backups').delete(id);
+        return this.transactionDone(tx);
+    }
+
+    // Audit Operations (no update or delete - the trail is append-only)
+    async appendAudit(entries) {
+        const db = await this.open();
+        const tx = db.transaction('audit', 'readwrite');
+        const store = tx.objectStore('audit');
+        entries.forEach(entry => store.add(entry));
+        return this.transactionDone(tx);
+    }
+
+    async getAuditByUser(userId) {
+        return this.getAllFromIndex('audit', 'byUser', userId);
+    }
+
+    // Only for re-encrypting existing entries after a key change
+    async rekeyAudit(entries) {
+        const db = await this.open();
+        const tx = db.transaction('audit', 'readwrite');
+        const store = tx.objectStore('audit');
+        entries.forEach(entry => store.put(entry));
+        return this.transactionDone(tx);
+    }
+
+    // Trash Operations
+    async putTrash(entries) {
+        const db = await this.open();
+        const tx = db.transaction('trash', 'readwrite');
+        const store = tx.objectStore('trash');
+        entries.forEach(entry => store.put(entry));
+        return this.transactionDone(tx);
+    }
+
+    async getTrashByUser(userId) {
+        return this.getAllFromIndex('trash', 'byUser', userId);
+    }
+
+    async deleteTrash(ids) {
+        const db = await this.open();
+        const tx = db.transaction('trash', 'readwrite');
+        const store = tx.objectStore('trash');
+        ids.forEach(id => store.delete(id));
+        return this.transactionDone(tx);
+    }
+
+    // Meta Operations
+    async getMeta(key) {
+        const db = await this.open();
+        const entry = await this.promisify(db.transaction('meta', 'readonly').objectStore('meta').get(key));
+        return entry ? entry.value : null;
+    }
+
+    async setMeta(key, value) {
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key: key, value: value });
+        return this.transactionDone(tx);
+    }
+
+    // One-time import of the legacy localStorage symptom array
+    async migrateFromLocalStorage(storageKey, defaultUserId = 'default') {
+        if (await this.getMeta('migratedFromLocalStorage')) return 0;
+
+        let legacy = [];
+        try {
+            legacy = JSON.parse(localStorage.getItem(storageKey) || '[]');
+        } catch (error) {
+            legacy = [];
+        }
+
+        const db = await this.open();
+        const tx = db.transaction(['symptoms', 'meta'], 'readwrite');
+        const store = tx.objectStore('symptoms');
+
+        legacy.forEach(symptom => {
+            if (symptom && symptom.id !== undefined) {
+                store.put({ ...symptom, userId: symptom.userId || defaultUserId });
+            }
+        });
+        tx.objectStore('meta').put({
+            key: 'migratedFromLocalStorage',
+            value: { migratedAt: new Date().toISOString(), records: legacy.length }
+        });
+
+        await this.transactionDone(tx);
+
+        // The data now lives in IndexedDB; drop the copy that eats into the quota
+        localStorage.removeItem(storageKey);
+        return legacy.length;
+    }
+
+    // Helpers
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve(true);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+window.IndexedDBStore = IndexedDBStore;
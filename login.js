@@ -1,19 +1,45 @@
 // Login Authentication System
+// Sign-in and registration UI; accounts are checked by AccountManager. The
+// static methods guard app pages: sessions are stored and validated by
+// DatabaseManager and end after expiry or inactivity.
+
+// Shown on login.html?reason=... after the app signs someone out
+const SESSION_END_MESSAGES = {
+    expired: 'Your session has expired. Please sign in again.',
+    idle: 'You were signed out after a period of inactivity. Please sign in again.',
+    revoked: 'Your session was ended. Please sign in again.',
+    locked: 'Your session was locked after a period of inactivity.'
+};
+
+// Heading and subtitle for each form on login.html
+const FORM_TITLES = {
+    login: ['Welcome Back', 'Please sign in to your account'],
+    register: ['Create Account', 'Start tracking your health in a minute'],
+    reset: ['Reset Password', 'Use one of the recovery codes you saved when you registered'],
+    unlock: ['Welcome Back', 'Unlock to continue where you left off']
+};
+
 class AuthManager {
     constructor() {
-        this.validCredentials = [
-            { username: 'admin', password: 'password123', role: 'admin' },
-            { username: 'user', password: 'password123', role: 'user' },
-            { username: 'doctor', password: 'password123', role: 'doctor' },
-            { username: 'patient', password: 'password123', role: 'patient' }
-        ];
-        this.sessionKey = 'healthtracker_session';
+        this.accounts = window.accountManager;
+        this.quickUnlock = window.quickUnlock;
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+        this.showSessionEndMessage();
         this.checkExistingSession();
+        this.showQuickUnlock();
+    }
+
+    showSessionEndMessage() {
+        const reason = new URLSearchParams(window.location.search).get('reason');
+        if (!SESSION_END_MESSAGES[reason]) return;
+
+        const notice = document.getElementById('sessionNotice');
+        document.getElementById('sessionNoticeText').textContent = SESSION_END_MESSAGES[reason];
+        notice.style.display = 'flex';
     }
 
     setupEventListeners() {
@@ -21,12 +47,56 @@ class AuthManager {
         const togglePassword = document.getElementById('togglePassword');
         const passwordInput = document.getElementById('password');
 
-        // Form submission
+        // Form submission (also covers the Enter key)
         loginForm.addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleLogin();
         });
 
+        document.getElementById('registerForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleRegister();
+        });
+
+        document.getElementById('showRegister').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForm('register');
+        });
+
+        document.getElementById('showLogin').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForm('login');
+        });
+
+        document.getElementById('resetForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleReset();
+        });
+
+        document.getElementById('showReset').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForm('reset');
+        });
+
+        document.getElementById('showLoginFromReset').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showForm('login');
+        });
+
+        document.getElementById('unlockForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleUnlock();
+        });
+
+        document.getElementById('usePasswordInstead').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.usePasswordInstead();
+        });
+
+        document.getElementById('recoveryContinueBtn').addEventListener('click', () => {
+            window.location.href = AuthManager.getReturnTarget();
+        });
+
         // Password toggle
         togglePassword.addEventListener('click', () => {
             const type = passwordInput.getAttribute('type') === 'password' ? 'text' : 'password';
@@ -37,13 +107,6 @@ class AuthManager {
             icon.classList.toggle('fa-eye-slash');
         });
 
-        // Enter key support
-        document.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.handleLogin();
-            }
-        });
-
         // Input validation
         const inputs = document.querySelectorAll('input[required]');
         inputs.forEach(input => {
@@ -68,7 +131,7 @@ class AuthManager {
 
     async handleLogin() {
         const username = document.getElementById('username').value.trim();
-        const password = document.getElementById('password').value.trim();
+        const password = document.getElementById('password').value;
         const rememberMe = document.getElementById('rememberMe').checked;
         const loginBtn = document.getElementById('loginBtn');
 
@@ -84,23 +147,30 @@ class AuthManager {
         // Show loading state
         this.setLoadingState(true);
 
-        // Simulate API call delay
-        await this.delay(1500);
-
         // Authenticate user
-        const user = this.authenticateUser(username, password);
+        let user;
+        try {
+            user = await this.authenticateUser(username, password, rememberMe);
+        } catch (error) {
+            // Throttled (the password was not checked), or the server could not answer
+            this.setLoadingState(false);
+            if (error.name === 'LoginLockedError') {
+                this.showLockoutNotice(error);
+            } else {
+                this.showError(error.message);
+                this.shakeForm();
+            }
+            return;
+        }
         
         if (user) {
-            this.createSession(user, rememberMe);
-            
-            // Reset wellness score by clearing symptoms data
-            this.resetWellnessData();
+            await this.createSession(user, rememberMe);
             
             this.showSuccess('Login successful! Redirecting...');
             
             // Redirect after success message
             setTimeout(() => {
-                window.location.href = 'index.html';
+                window.location.href = AuthManager.getReturnTarget();
             }, 1500);
         } else {
             this.setLoadingState(false);
@@ -109,48 +179,202 @@ class AuthManager {
         }
     }
 
-    authenticateUser(username, password) {
-        return this.validCredentials.find(cred => 
-            cred.username === username && cred.password === password
-        );
+    async authenticateUser(username, password, rememberMe) {
+        try {
+            return await this.accounts.authenticate(username, password, rememberMe);
+        } catch (error) {
+            if (error.name === 'InvalidLoginError') return null;
+            throw error;
+        }
     }
 
-    createSession(user, rememberMe) {
-        const sessionData = {
-            username: user.username,
-            role: user.role,
-            loginTime: new Date().toISOString(),
-            rememberMe: rememberMe,
-            sessionId: this.generateSessionId()
-        };
+    showLockoutNotice(error) {
+        const notice = document.getElementById('lockoutNotice');
+        const seconds = Math.max(1, Math.ceil((error.retryAt.getTime() - Date.now()) / 1000));
+        const wait = seconds < 60 ? `${seconds} second${seconds > 1 ? 's' : ''}` : `${Math.ceil(seconds / 60)} minutes`;
 
-        // Store session
-        if (rememberMe) {
-            localStorage.setItem(this.sessionKey, JSON.stringify(sessionData));
-        } else {
-            sessionStorage.setItem(this.sessionKey, JSON.stringify(sessionData));
+        document.getElementById('lockoutText').textContent = error.locked
+            ? `Too many failed sign-in attempts. Sign-in is locked for ${wait}; an administrator can unlock your account sooner.`
+            : `Too many failed sign-in attempts. Please wait ${wait} before trying again.`;
+        notice.style.display = 'flex';
+
+        clearTimeout(this.lockoutTimer);
+        this.lockoutTimer = setTimeout(() => {
+            notice.style.display = 'none';
+        }, seconds * 1000);
+    }
+
+    async handleRegister() {
+        const password = document.getElementById('registerPassword').value;
+        const registerBtn = document.getElementById('registerBtn');
+
+        this.clearError('register');
+
+        if (password !== document.getElementById('registerConfirm').value) {
+            this.showError('Passwords do not match', 'register');
+            return;
+        }
+
+        registerBtn.disabled = true;
+        try {
+            const { account, recoveryCodes } = await this.accounts.register({
+                username: document.getElementById('registerUsername').value,
+                email: document.getElementById('registerEmail').value,
+                password: password,
+                profile: {
+                    firstName: document.getElementById('registerFirstName').value,
+                    lastName: document.getElementById('registerLastName').value
+                }
+            });
+
+            await this.createSession(account, false);
+            this.showRecoveryCodes(recoveryCodes);
+        } catch (error) {
+            registerBtn.disabled = false;
+            this.showError(error.message, 'register');
+            this.shakeForm();
         }
     }
 
-    checkExistingSession() {
-        const session = this.getSession();
-        if (session) {
-            // User is already logged in, redirect to main app
-            window.location.href = 'index.html';
+    async handleReset() {
+        const password = document.getElementById('resetPassword').value;
+        const resetBtn = document.getElementById('resetBtn');
+
+        this.clearError('reset');
+
+        if (password !== document.getElementById('resetConfirm').value) {
+            this.showError('Passwords do not match', 'reset');
+            return;
+        }
+
+        resetBtn.disabled = true;
+        try {
+            const account = await this.accounts.resetPassword(
+                document.getElementById('resetIdentifier').value,
+                document.getElementById('resetCode').value,
+                password
+            );
+
+            ['resetCode', 'resetPassword', 'resetConfirm'].forEach(id => {
+                document.getElementById(id).value = '';
+            });
+            this.showForm('login');
+            document.getElementById('username').value = account.username;
+            this.showSuccess(`Password changed - sign in with your new password. ${account.recoveryCodesLeft} recovery code${account.recoveryCodesLeft === 1 ? '' : 's'} left.`);
+        } catch (error) {
+            if (error.name === 'LoginLockedError') {
+                this.showForm('login');
+                this.showLockoutNotice(error);
+            } else {
+                this.showError(error.message, 'reset');
+                this.shakeForm();
+            }
+        } finally {
+            resetBtn.disabled = false;
         }
     }
 
-    getSession() {
-        const localSession = localStorage.getItem(this.sessionKey);
-        const sessionSession = sessionStorage.getItem(this.sessionKey);
-        
-        if (localSession) {
-            return JSON.parse(localSession);
-        } else if (sessionSession) {
-            return JSON.parse(sessionSession);
+    // A locked session with quick unlock set up opens with the PIN instead of
+    // the password
+    showQuickUnlock() {
+        const session = this.quickUnlock && this.quickUnlock.getLockedSession();
+        if (!session) return;
+
+        document.getElementById('unlockGreeting').textContent = `Signed in as ${session.username}`;
+        this.showForm('unlock');
+        document.getElementById('unlockPin').focus();
+    }
+
+    async handleUnlock() {
+        const pinInput = document.getElementById('unlockPin');
+        const unlockBtn = document.getElementById('unlockBtn');
+
+        this.clearError('unlock');
+        unlockBtn.disabled = true;
+        try {
+            await this.quickUnlock.unlock(pinInput.value);
+            window.location.href = AuthManager.getReturnTarget();
+        } catch (error) {
+            pinInput.value = '';
+            unlockBtn.disabled = false;
+            if (error.attemptsLeft === 0) {
+                // The session has ended - back to a full sign-in
+                this.showForm('login');
+                this.showError(error.message);
+            } else {
+                this.showError(error.message, 'unlock');
+            }
+            this.shakeForm();
+        }
+    }
+
+    async usePasswordInstead() {
+        const session = window.dbManager.readSession();
+        await window.dbManager.endSession('logout');
+        this.showForm('login');
+        if (session) document.getElementById('username').value = session.username;
+    }
+
+    // Shown once after registering; the codes cannot be looked up later
+    showRecoveryCodes(codes) {
+        const list = document.getElementById('recoveryCodesList');
+        list.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            list.appendChild(item);
+        });
+
+        this.showForm(null);
+        document.getElementById('formTitle').textContent = 'Save Your Recovery Codes';
+        document.getElementById('formSubtitle').textContent = 'Your account is ready';
+        document.getElementById('recoveryCodesPanel').style.display = '';
+    }
+
+    // name: 'login', 'register', 'reset' or 'unlock'; null hides them all
+    showForm(name) {
+        Object.keys(FORM_TITLES).forEach(form => {
+            document.getElementById(`${form}Form`).style.display = form === name ? '' : 'none';
+            this.clearError(form);
+        });
+        if (!name) return;
+
+        const [title, subtitle] = FORM_TITLES[name];
+        document.getElementById('formTitle').textContent = title;
+        document.getElementById('formSubtitle').textContent = subtitle;
+    }
+
+    // The persistence server issues the session along with the account
+    // (user.session); without it the session is made here
+    async createSession(user, rememberMe) {
+        const db = window.dbManager;
+        if (user.session) {
+            await db.saveSession(user.session);
+            return;
+        }
+
+        const now = Date.now();
+        const lifetime = db.getSetting(rememberMe ? 'rememberedSessionLifetime' : 'sessionLifetime');
+
+        await db.saveSession({
+            sessionId: this.generateSessionId(),
+            userId: user.id,
+            username: user.username,
+            role: user.role,
+            createdAt: new Date(now).toISOString(),
+            lastActivityAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + lifetime).toISOString(),
+            idleTimeout: rememberMe ? null : db.getSetting('sessionIdleTimeout'),
+            rememberMe: rememberMe,
+            isActive: true
+        });
+    }
+
+    checkExistingSession() {
+        if (AuthManager.isAuthenticated()) {
+            // User is already logged in, redirect to main app
+            window.location.href = AuthManager.getReturnTarget();
         }
-        
-        return null;
     }
 
     generateSessionId() {
@@ -176,20 +400,22 @@ class AuthManager {
         }
     }
 
-    showError(message) {
-        const errorDiv = document.getElementById('errorMessage');
-        const errorText = document.getElementById('errorText');
+    // form: 'login', 'register', 'reset' or 'unlock'
+    showError(message, form = 'login') {
+        const prefix = form === 'login' ? 'e' : `${form}E`;
+        const errorDiv = document.getElementById(`${prefix}rrorMessage`);
+        const errorText = document.getElementById(`${prefix}rrorText`);
         
         errorText.textContent = message;
         errorDiv.style.display = 'flex';
         
         // Auto-hide after 5 seconds
         setTimeout(() => {
-            this.clearError();
+            this.clearError(form);
         }, 5000);
     }
 
-    showSuccess(message) {
+    showSuccess(message, formId = 'loginForm') {
         // Remove existing error
         this.clearError();
         
@@ -201,12 +427,12 @@ class AuthManager {
             <span>${message}</span>
         `;
         
-        const form = document.getElementById('loginForm');
+        const form = document.getElementById(formId);
         form.appendChild(successDiv);
     }
 
-    clearError() {
-        const errorDiv = document.getElementById('errorMessage');
+    clearError(form = 'login') {
+        const errorDiv = document.getElementById(form === 'login' ? 'errorMessage' : `${form}ErrorMessage`);
         errorDiv.style.display = 'none';
     }
 
@@ -219,65 +445,87 @@ class AuthManager {
         }, 500);
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Static method to check authentication from other pages (local check only)
+    static isAuthenticated() {
+        return !window.dbManager.getSessionProblem(window.dbManager.readSession());
     }
 
-    resetWellnessData() {
-        // Clear symptoms data to reset wellness score
-        localStorage.removeItem('healthtracker_symptoms');
-        
-        // Also clear any other health data that might affect the score
-        localStorage.removeItem('healthtracker_insights');
-        localStorage.removeItem('healthtracker_patterns');
+    // Static method to get current user
+    static getCurrentUser() {
+        return AuthManager.isAuthenticated() ? window.dbManager.readSession() : null;
     }
 
-    // Static method to check authentication from other pages
-    static isAuthenticated() {
-        const sessionKey = 'healthtracker_session';
-        const localSession = localStorage.getItem(sessionKey);
-        const sessionSession = sessionStorage.getItem(sessionKey);
-        
-        return !!(localSession || sessionSession);
+    // Validates the session on page load (including the server copy) and sends
+    // the user to the login page when it can no longer be used
+    static async requireSession(returnTo = AuthManager.getCurrentPage()) {
+        const result = await window.dbManager.validateSession();
+        if (!result.valid) await AuthManager.logout(result.reason, returnTo);
+        return result.valid;
     }
 
-    // Static method to get current user
-    static getCurrentUser() {
-        const sessionKey = 'healthtracker_session';
-        const localSession = localStorage.getItem(sessionKey);
-        const sessionSession = sessionStorage.getItem(sessionKey);
-        
-        if (localSession) {
-            return JSON.parse(localSession);
-        } else if (sessionSession) {
-            return JSON.parse(sessionSession);
+    // Activity renews the session; a periodic check signs out once it lapses,
+    // including when another tab signed out
+    static watchSession() {
+        ['click', 'keydown', 'touchstart', 'scroll'].forEach(type => {
+            document.addEventListener(type, () => window.dbManager.touchSession(), { passive: true });
+        });
+
+        setInterval(() => {
+            const problem = window.dbManager.getSessionProblem(window.dbManager.readSession());
+            if (problem) AuthManager.logout(problem, AuthManager.getCurrentPage());
+        }, SESSION_RENEWAL_INTERVAL);
+    }
+
+    // Static method to logout; reason ('expired', 'idle', ...) is shown on the
+    // login page, which returns to returnTo after signing in again. A locked
+    // session is kept for quick unlock there.
+    static async logout(reason = 'logout', returnTo = null) {
+        if (reason === 'locked') {
+            await window.dbManager.lockSession();
+        } else {
+            await window.dbManager.endSession(reason);
         }
-        
-        return null;
+
+        const params = new URLSearchParams();
+        if (SESSION_END_MESSAGES[reason]) params.set('reason', reason);
+        if (returnTo) params.set('returnTo', returnTo);
+        const query = params.toString();
+        window.location.href = query ? `login.html?${query}` : 'login.html';
     }
 
-    // Static method to logout
-    static logout() {
-        const sessionKey = 'healthtracker_session';
-        localStorage.removeItem(sessionKey);
-        sessionStorage.removeItem(sessionKey);
-        window.location.href = 'login.html';
+    // 'debug.html?tab=1' for the page being shown
+    static getCurrentPage() {
+        return (window.location.pathname.split('/').pop() || 'index.html') + window.location.search;
+    }
+
+    // Where to go after signing in: ?returnTo when it names one of the app's
+    // own pages (never an outside URL), otherwise the main app
+    static getReturnTarget() {
+        const returnTo = new URLSearchParams(window.location.search).get('returnTo');
+        if (returnTo && /^[\w-]+\.html(\?[^#]*)?$/.test(returnTo) && !returnTo.startsWith('login.html')) {
+            return returnTo;
+        }
+        return 'index.html';
     }
 }
 
 // Initialize authentication when page loads
 document.addEventListener('DOMContentLoaded', () => {
-    new AuthManager();
+    if (document.getElementById('loginForm')) new AuthManager();
 });
 
-// Demo credentials auto-fill (for testing convenience)
+// Demo credentials auto-fill (for testing convenience), shown only while the
+// demo accounts are seeded
 document.addEventListener('DOMContentLoaded', () => {
     const demoInfo = document.querySelector('.demo-info');
     if (demoInfo) {
+        window.dbManager.ready.then(() => {
+            if (window.dbManager.config?.security?.seedDemoAccounts === true) demoInfo.style.display = '';
+        }).catch(() => {});
         demoInfo.addEventListener('click', (e) => {
             if (e.target.tagName === 'CODE') {
                 const text = e.target.textContent;
-                if (text === 'admin' || text === 'user') {
+                if (['doctor', 'patient', 'user'].includes(text)) {
                     document.getElementById('username').value = text;
                 } else if (text === 'password123') {
                     document.getElementById('password').value = text;
@@ -0,0 +1,1116 @@
+// Persistence Server for Health Tracker Application
+// Serves the app and writes symptoms.json / users.json to disk so every
+// browser on the machine shares the same records. Accounts, passwords and
+// sessions are checked here: every API call other than /health and the
+// sign-in routes needs the bearer token of a session this server issued.
+//
+// Usage: node persistence_server.js [port]
+//   PORT                      - port to listen on (default 8000)
+//   HEALTHTRACKER_DATA_DIR    - directory holding the JSON database files
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { recordContent } = require('./record_content.js');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// The app's own files. Nothing else under the static root (the database
+// files, demo_accounts.json, .git, this script) is ever served.
+const APP_ASSETS = [
+    'index.html', 'login.html', 'admin.html', 'audit_log.html', 'clear_all_data.html', 'database_status.html',
+    'debug.html', 'debug_whatsapp.html', 'test.html', 'test_symptom_input.html', 'test_whatsapp.html',
+    'styles.css', 'login.css',
+    'account_manager.js', 'ai_suggestion_engine.js', 'auth_guard.js', 'crypto_vault.js', 'data_root.js',
+    'database_manager.js', 'indexeddb_store.js', 'login.js', 'quick_unlock.js', 'record_content.js', 'schema_validator.js',
+    'script.js', 'symptom_migrations.js', 'sync_remote.js', 'user_storage.js', 'whatsapp_service.js'
+];
+
+// Data files the client reads from ./database/. symptoms.json and users.json
+// only go out with their metadata and schema blocks; records and accounts are
+// read through the API, which checks who is asking.
+const PUBLIC_DATABASE_FILES = ['symptom_definitions.json', 'config.json', 'health_knowledge.json'];
+const SCHEMA_ONLY_DATABASE_FILES = ['symptoms.json', 'users.json'];
+const MAX_BODY_SIZE = 10 * 1024 * 1024; // matches files.symptoms.maxSize in config.json
+
+// Same hash format and account rules as account_manager.js
+const PASSWORD_PBKDF2_ITERATIONS = 310000;
+const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_CODE_ITERATIONS = 10000;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const QUICK_UNLOCK_PIN_PATTERN = /^\d{4,6}$/;
+const QUICK_UNLOCK_MAX_FAILURES = 5;
+
+// Mirrors ROLE_PERMISSIONS in database_manager.js. Checked against the role
+// stored on the account, never one a client sends.
+const ROLE_PERMISSIONS = {
+    patient: ['records:own', 'records:share'],
+    user: ['records:own', 'records:share'],
+    doctor: ['records:read-shared'],
+    admin: ['records:own', 'accounts:manage']
+};
+
+// Account fields the owner may change with PUT /api/users/:id; accounts:manage
+// may also change the protected ones. Secrets never leave the server.
+const OWNER_ACCOUNT_FIELDS = ['email', 'profile', 'preferences', 'sharedWith'];
+const PROTECTED_ACCOUNT_FIELDS = ['role', 'isActive'];
+const SECRET_ACCOUNT_FIELDS = ['passwordHash', 'recoveryCodes', 'loginAttempts'];
+
+// Mirrors the session settings in config.json, used when it has none
+const DEFAULT_SESSION_SETTINGS = {
+    sessionLifetime: 86400000,
+    rememberedSessionLifetime: 2592000000,
+    sessionIdleTimeout: 1800000
+};
+
+// Sign-in throttling; security.rateLimiting in config.json overrides these, or
+// turns it off when false. Each failure doubles the wait before the next
+// attempt, up to maxDelay; maxAttempts failures in a row lock the account for
+// lockoutDuration, or until an administrator unlocks it.
+const DEFAULT_RATE_LIMITING = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    lockoutDuration: 900000,
+    attemptWindow: 900000 // a failure this long after the previous one starts the count again
+};
+
+const SESSION_ERRORS = {
+    missing: 'Please sign in',
+    revoked: 'Your session was ended',
+    expired: 'Your session has expired',
+    idle: 'You were signed out after a period of inactivity',
+    locked: 'Your session is locked'
+};
+
+class PersistenceServer {
+    constructor(options = {}) {
+        this.staticRoot = options.staticRoot || __dirname;
+        this.dataDir = options.dataDir || process.env.HEALTHTRACKER_DATA_DIR || __dirname;
+        this.writeQueues = new Map();
+        this.loginFailures = new Map(); // 'account:<id>' / 'client:<address>' -> { failures, lastFailureAt, lockedUntil }
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    }
+
+    async listen(port) {
+        try {
+            await this.seedDemoAccounts();
+        } catch (error) {
+            // users.json missing or unreadable - API calls report it
+        }
+        return new Promise(resolve => {
+            this.server.listen(port, () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (url.pathname.startsWith('/api/')) {
+                await this.handleApi(req, res, url);
+            } else {
+                await this.serveStatic(res, url.pathname);
+            }
+        } catch (error) {
+            this.sendJson(res, error.statusCode || 500, { error: error.message, ...error.details });
+        }
+    }
+
+    // REST API
+    async handleApi(req, res, url) {
+        const parts = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+        const [resource, id] = parts;
+
+        if (resource === 'health' && req.method === 'GET') {
+            return this.sendJson(res, 200, { status: 'ok', time: new Date().toISOString() });
+        }
+
+        if (resource === 'auth' && req.method === 'POST') {
+            return this.handleAuth(req, res, id);
+        }
+
+        // The PIN stands in for the bearer token the locked device no longer holds
+        if (resource === 'quick-unlock' && id && req.method === 'POST') {
+            const body = await this.readBody(req);
+            return this.sendJson(res, 200, await this.attemptQuickUnlock(id, body.pin));
+        }
+
+        // Everything else acts as the account whose session is presented
+        const auth = await this.requireSession(req);
+
+        if (resource === 'symptoms') {
+            if (req.method === 'GET') {
+                const userId = await this.assertCanReadRecords(auth, url.searchParams.get('userId'));
+                const data = await this.readDatabase('symptoms.json');
+                const symptoms = data.symptoms.filter(s => s.userId === userId);
+                return this.sendJson(res, 200, { symptoms, metadata: data.metadata });
+            }
+            if (req.method === 'PUT') {
+                const body = await this.readBody(req);
+                if (!Array.isArray(body.symptoms)) throw this.httpError(400, 'symptoms must be an array');
+                const userId = this.assertCanWriteRecords(auth, body.userId);
+                const data = await this.replaceUserSymptoms(userId, body.symptoms);
+                return this.sendJson(res, 200, { saved: true, metadata: data.metadata });
+            }
+        }
+
+        if (resource === 'sync') {
+            if (id === 'push' && req.method === 'POST') {
+                const body = await this.readBody(req);
+                if (!Array.isArray(body.changes)) throw this.httpError(400, 'changes must be an array');
+                const userId = this.assertCanWriteRecords(auth, body.userId);
+                const result = await this.applySyncChanges(userId, body.changes);
+                return this.sendJson(res, 200, result);
+            }
+            if (id === 'pull' && req.method === 'GET') {
+                const userId = await this.assertCanReadRecords(auth, url.searchParams.get('userId'));
+                const since = url.searchParams.get('since');
+                const serverTime = new Date().toISOString();
+                const data = await this.readAfterWrites('symptoms.json');
+
+                // >= so a write stamped in the same millisecond as `since` is not skipped
+                const changed = entry => entry.userId === userId && (!since || (entry.syncedAt && entry.syncedAt >= since));
+                return this.sendJson(res, 200, {
+                    records: data.symptoms.filter(changed),
+                    deleted: (data.deleted || []).filter(changed).map(({ id, deletedAt }) => ({ id, deletedAt })),
+                    serverTime: serverTime
+                });
+            }
+        }
+
+        if (resource === 'users') {
+            if (req.method === 'POST' && parts[2] === 'unlock') {
+                const user = await this.unlockAccount(auth, id);
+                return this.sendJson(res, 200, { user });
+            }
+            if (req.method === 'GET' && !id) {
+                const users = await this.listAccounts(auth, url.searchParams);
+                return this.sendJson(res, 200, { users });
+            }
+            if (req.method === 'GET') {
+                const user = await this.readAccount(auth, id);
+                return this.sendJson(res, 200, { user });
+            }
+            if (req.method === 'PUT') {
+                const body = await this.readBody(req);
+                const user = await this.updateAccount(auth, id, body);
+                return this.sendJson(res, 200, { saved: true, user });
+            }
+        }
+
+        if (resource === 'quick-unlock' && !id) {
+            if (req.method === 'POST') {
+                const body = await this.readBody(req);
+                return this.sendJson(res, 200, await this.enableQuickUnlock(auth, body.pin));
+            }
+            if (req.method === 'DELETE') {
+                const session = await this.updateSession(auth.session.tokenHash, stored => {
+                    delete stored.quickUnlock;
+                    if (stored.rememberMe) stored.idleTimeout = null;
+                });
+                return this.sendJson(res, 200, { session: this.toClientSession(session, auth.user, auth.token) });
+            }
+        }
+
+        if (resource === 'sessions' && id === 'current') {
+            if (req.method === 'GET') {
+                return this.sendJson(res, 200, { session: this.toClientSession(auth.session, auth.user, auth.token) });
+            }
+            // Activity in the app: pushes the idle deadline (and a remembered session's expiry) back
+            if (req.method === 'POST') {
+                const session = await this.touchSession(auth);
+                return this.sendJson(res, 200, { session: this.toClientSession(session, auth.user, auth.token) });
+            }
+        }
+
+        throw this.httpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+
+    // Registration, sign-in and password changes. Passwords are only ever
+    // checked here; the response carries a new session where one starts.
+    async handleAuth(req, res, action) {
+        const body = await this.readBody(req);
+
+        if (action === 'register') {
+            const { user, recoveryCodes } = await this.registerAccount(body);
+            const session = await this.startSession(user, body.rememberMe);
+            return this.sendJson(res, 201, { account: this.toPublicAccount(user), recoveryCodes, session });
+        }
+
+        if (action === 'login') {
+            const user = await this.findAccount(body.identifier);
+            const accepted = await this.throttledCheck(req, user ? user.id : body.identifier, async () =>
+                !!user && user.isActive !== false && this.verifyPassword(String(body.password || ''), user.passwordHash)
+            );
+            if (!accepted) throw this.httpError(401, 'Invalid username or password');
+            const session = await this.startSession(user, body.rememberMe);
+            return this.sendJson(res, 200, { account: this.toPublicAccount({ ...user, lastLogin: session.createdAt }), session });
+        }
+
+        // Forgotten password: a recovery code stands in for the old password and is used up
+        if (action === 'reset') {
+            this.checkPasswordStrength(body.password);
+            const user = await this.findAccount(body.identifier);
+            let used = -1;
+            await this.throttledCheck(req, user ? user.id : body.identifier, async () => {
+                if (user && user.isActive !== false) used = await this.findRecoveryCode(body.recoveryCode, user.recoveryCodes || []);
+                return used >= 0;
+            });
+            if (used < 0) throw this.httpError(401, 'Invalid username or recovery code');
+
+            const updated = await this.updateSecrets(user.id, {
+                passwordHash: await this.hashPassword(body.password),
+                recoveryCodes: user.recoveryCodes.filter((hash, index) => index !== used)
+            });
+            return this.sendJson(res, 200, { account: this.toPublicAccount(updated) });
+        }
+
+        const auth = await this.requireSession(req);
+
+        if (action === 'password') {
+            await this.checkCurrentPassword(req, auth.user, body.currentPassword);
+            this.checkPasswordStrength(body.password);
+            const updated = await this.updateSecrets(auth.user.id, { passwordHash: await this.hashPassword(body.password) });
+            return this.sendJson(res, 200, { account: this.toPublicAccount(updated) });
+        }
+
+        // Replaces any unused codes; the new ones are only ever sent now
+        if (action === 'recovery-codes') {
+            await this.checkCurrentPassword(req, auth.user, body.currentPassword);
+            const recoveryCodes = this.createRecoveryCodes();
+            await this.updateSecrets(auth.user.id, { recoveryCodes: await this.hashRecoveryCodes(recoveryCodes) });
+            return this.sendJson(res, 200, { recoveryCodes });
+        }
+
+        if (action === 'logout') {
+            await this.endSession(auth.session.tokenHash, body.reason || 'logout');
+            return this.sendJson(res, 200, { ended: true });
+        }
+
+        throw this.httpError(404, `No route for POST /api/auth/${action}`);
+    }
+
+    // Accounts
+    async registerAccount(body) {
+        const username = String(body.username || '').trim().toLowerCase();
+        const email = String(body.email || '').trim().toLowerCase();
+        if (!USERNAME_PATTERN.test(username)) {
+            throw this.httpError(400, 'Username must be 3-32 letters, numbers, dots, dashes or underscores', { field: 'username' });
+        }
+        if (!EMAIL_PATTERN.test(email)) throw this.httpError(400, 'Please enter a valid email address', { field: 'email' });
+        this.checkPasswordStrength(body.password);
+
+        const recoveryCodes = this.createRecoveryCodes();
+        const user = {
+            id: username,
+            username: username,
+            email: email,
+            passwordHash: await this.hashPassword(body.password),
+            recoveryCodes: await this.hashRecoveryCodes(recoveryCodes),
+            role: 'patient',
+            profile: this.isPlainObject(body.profile) ? body.profile : {},
+            preferences: {},
+            createdAt: new Date().toISOString(),
+            lastLogin: null,
+            isActive: true
+        };
+
+        await this.updateDatabase('users.json', data => {
+            if (data.users.some(existing => existing.id === user.id)) throw this.httpError(409, 'username is already registered');
+            this.assertUnique(data, user);
+            data.users.push(user);
+            this.indexUsers(data);
+        });
+        return { user, recoveryCodes };
+    }
+
+    // Username or email, case-insensitive
+    async findAccount(identifier) {
+        const value = String(identifier || '').trim().toLowerCase();
+        if (!value) return null;
+
+        const data = await this.readAfterWrites('users.json');
+        const userId = data.indexes[value.includes('@') ? 'byEmail' : 'byUsername'][value];
+        return userId === undefined ? null : data.users.find(user => user.id === userId) || null;
+    }
+
+    // Everyone signed in may list the active doctors (to share with); a doctor
+    // lists the accounts that shared with them; accounts:manage lists everyone
+    async listAccounts(auth, query) {
+        const data = await this.readDatabase('users.json');
+        const active = data.users.filter(user => user.isActive !== false);
+
+        if (query.get('role') === 'doctor') {
+            return active.filter(user => user.role === 'doctor').map(user => this.toDirectoryEntry(user));
+        }
+        if (query.has('sharedWith')) {
+            if (query.get('sharedWith') !== auth.user.id) throw this.httpError(403, 'You can only list the records shared with you');
+            return active.filter(user => (user.sharedWith || []).includes(auth.user.id)).map(user => this.toPublicAccount(user));
+        }
+        if (!this.hasPermission(auth.user, 'accounts:manage')) throw this.httpError(403, 'Only administrators can list accounts');
+        return data.users.map(user => this.toManagedAccount(user));
+    }
+
+    // Lifts a sign-in lockout before it runs out
+    async unlockAccount(auth, userId) {
+        if (!this.hasPermission(auth.user, 'accounts:manage')) throw this.httpError(403, 'Only administrators can unlock accounts');
+        const data = await this.readDatabase('users.json');
+        const user = data.users.find(u => u.id === userId);
+        if (!user) throw this.httpError(404, 'User not found');
+        this.loginFailures.delete(`account:${user.id}`);
+        return this.toManagedAccount(user);
+    }
+
+    // What administrators see of an account: the public fields and when a
+    // sign-in lockout ends (null when there is none)
+    toManagedAccount(user, now = Date.now()) {
+        const lockedUntil = this.loginFailures.get(`account:${user.id}`)?.lockedUntil;
+        return { ...this.toPublicAccount(user), lockedUntil: lockedUntil > now ? new Date(lockedUntil).toISOString() : null };
+    }
+
+    // The whole account (without secrets) for its owner, administrators and
+    // doctors it is shared with; other accounts only see doctors' names
+    async readAccount(auth, userId) {
+        const data = await this.readDatabase('users.json');
+        const user = data.users.find(u => u.id === userId);
+        if (user && this.canSeeAccount(auth, user)) return this.toPublicAccount(user);
+        if (user && user.role === 'doctor' && user.isActive !== false) return this.toDirectoryEntry(user);
+        throw this.httpError(404, 'User not found');
+    }
+
+    canSeeAccount(auth, user) {
+        return user.id === auth.user.id ||
+            this.hasPermission(auth.user, 'accounts:manage') ||
+            (user.sharedWith || []).includes(auth.user.id);
+    }
+
+    // Owners change their own details; role and active status need accounts:manage
+    async updateAccount(auth, userId, changes) {
+        const manage = this.hasPermission(auth.user, 'accounts:manage');
+        if (userId !== auth.user.id && !manage) throw this.httpError(403, 'You can only change your own account');
+
+        let saved;
+        await this.updateDatabase('users.json', data => {
+            const index = data.users.findIndex(user => user.id === userId);
+            if (index < 0) throw this.httpError(404, 'User not found');
+            const current = data.users[index];
+
+            PROTECTED_ACCOUNT_FIELDS.forEach(field => {
+                if (changes[field] === undefined || changes[field] === current[field]) return;
+                if (!manage) throw this.httpError(403, 'Only an administrator can change account roles or status');
+                if (userId === auth.user.id) throw this.httpError(403, 'You cannot change your own role or status');
+            });
+
+            const updated = { ...current };
+            [...OWNER_ACCOUNT_FIELDS, ...(manage ? PROTECTED_ACCOUNT_FIELDS : [])].forEach(field => {
+                if (changes[field] !== undefined) updated[field] = changes[field];
+            });
+            // Dependents are kept on the owner's device now; null drops the copy an older version stored here
+            if (changes.dependents === null) delete updated.dependents;
+            if (!manage && !this.hasPermission(current, 'records:share') &&
+                JSON.stringify(updated.sharedWith || []) !== JSON.stringify(current.sharedWith || [])) {
+                throw this.httpError(403, 'Your account cannot share records');
+            }
+            this.validateAccount(updated);
+            this.assertUnique(data, updated);
+            this.assertSharedWithDoctors(data, (updated.sharedWith || []).filter(id => !(current.sharedWith || []).includes(id)));
+
+            data.users[index] = updated;
+            this.indexUsers(data);
+            saved = updated;
+        });
+        return this.toPublicAccount(saved);
+    }
+
+    validateAccount(user) {
+        if (!EMAIL_PATTERN.test(String(user.email || ''))) throw this.httpError(400, 'Please enter a valid email address', { field: 'email' });
+        if (!ROLE_PERMISSIONS[user.role]) throw this.httpError(400, `Unknown role "${user.role}"`);
+        ['profile', 'preferences'].forEach(field => {
+            if (user[field] !== undefined && !this.isPlainObject(user[field])) throw this.httpError(400, `${field} must be an object`);
+        });
+        if (user.sharedWith !== undefined && !Array.isArray(user.sharedWith)) throw this.httpError(400, 'sharedWith must be an array');
+        if (typeof user.isActive !== 'boolean') throw this.httpError(400, 'isActive must be a boolean');
+    }
+
+    // Records can only be shared with doctor accounts
+    assertSharedWithDoctors(data, added) {
+        added.forEach(id => {
+            const doctor = data.users.find(user => user.id === id);
+            if (!doctor || doctor.role !== 'doctor') throw this.httpError(400, 'Records can only be shared with a doctor account');
+        });
+    }
+
+    // Usernames and emails are unique across accounts (case-insensitive); a
+    // clash with another account is rejected with 409
+    assertUnique(data, user) {
+        ['username', 'email'].forEach(field => {
+            const index = field === 'username' ? 'byUsername' : 'byEmail';
+            const owner = user[field] ? data.indexes[index][String(user[field]).toLowerCase()] : undefined;
+            if (owner !== undefined && owner !== user.id) throw this.httpError(409, `${field} is already registered`);
+        });
+    }
+
+    // Password hash, recovery codes and sign-in bookkeeping; never sent by a client
+    // New secrets start sign-in throttling for the account afresh, including
+    // any loginAttempts an older version left on the record
+    async updateSecrets(userId, changes) {
+        let saved;
+        await this.updateDatabase('users.json', data => {
+            const index = data.users.findIndex(user => user.id === userId);
+            if (index < 0) throw this.httpError(404, 'User not found');
+            const { loginAttempts, ...user } = data.users[index];
+            saved = data.users[index] = { ...user, ...changes };
+        });
+        this.loginFailures.delete(`account:${userId}`);
+        return saved;
+    }
+
+    // Throttled like sign-in, so a signed-in session cannot be used to guess the password
+    async checkCurrentPassword(req, user, password) {
+        const accepted = await this.throttledCheck(req, user.id, () => this.verifyPassword(String(password || ''), user.passwordHash));
+        if (!accepted) throw this.httpError(401, 'Current password is incorrect', { field: 'currentPassword' });
+    }
+
+    hasPermission(user, permission) {
+        return (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+    }
+
+    // Records are only ever written by the account they belong to, and only
+    // when its role keeps a log
+    assertCanWriteRecords(auth, userId = auth.user.id) {
+        if (userId !== auth.user.id) throw this.httpError(403, 'You can only change your own records');
+        if (!this.hasPermission(auth.user, 'records:own')) throw this.httpError(403, 'Your account cannot keep a symptom log');
+        return userId;
+    }
+
+    // Read by their owner, or by a records:read-shared account the owner listed
+    // in sharedWith. Resolves with the userId, the caller's own when none is given.
+    async assertCanReadRecords(auth, userId) {
+        if (!userId || userId === auth.user.id) return auth.user.id;
+
+        const data = await this.readAfterWrites('users.json');
+        const owner = data.users.find(user => user.id === userId);
+        if (!this.hasPermission(auth.user, 'records:read-shared') || !owner || owner.isActive === false ||
+            !(owner.sharedWith || []).includes(auth.user.id)) {
+            throw this.httpError(403, 'This patient has not shared their records with you');
+        }
+        return userId;
+    }
+
+    toPublicAccount(user) {
+        const account = { ...user };
+        SECRET_ACCOUNT_FIELDS.forEach(field => delete account[field]);
+        return { ...account, recoveryCodesLeft: (user.recoveryCodes || []).length };
+    }
+
+    // What any signed-in account may see of a doctor
+    toDirectoryEntry(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            profile: { firstName: user.profile?.firstName, lastName: user.profile?.lastName },
+            isActive: user.isActive !== false
+        };
+    }
+
+    // Sign-in throttling
+    // Failures are counted in memory per account (or per name typed, when no
+    // account has it) and per client address; only the account count locks.
+    // check() resolves true when the password or code was right; while a wait
+    // or lockout is running it is not called at all and the request fails
+    // with 429, retryAt and locked.
+    async throttledCheck(req, account, check, now = Date.now()) {
+        const limits = await this.readRateLimits();
+        const keys = [`account:${String(account || '').trim().toLowerCase()}`, `client:${req.socket.remoteAddress}`];
+
+        if (limits) {
+            const counters = keys.map(key => this.loginFailures.get(key)).filter(Boolean);
+            const retryAt = Math.max(0, ...counters.map(attempts => this.getRetryAt(attempts, limits)));
+            if (retryAt > now) {
+                const locked = counters.some(attempts => attempts.lockedUntil > now);
+                throw this.httpError(429, locked ? 'Too many failed sign-in attempts' : 'Please wait before trying again', {
+                    retryAt: new Date(retryAt).toISOString(),
+                    locked: locked
+                });
+            }
+        }
+
+        const accepted = await check();
+        if (accepted) {
+            this.loginFailures.delete(keys[0]);
+        } else if (limits) {
+            this.forgetOldFailures(limits, now);
+            keys.forEach((key, index) => {
+                this.loginFailures.set(key, this.countFailure(this.loginFailures.get(key), limits, now, index === 0));
+            });
+        }
+        return accepted;
+    }
+
+    countFailure(attempts, limits, now, lockable) {
+        const failures = attempts && now - attempts.lastFailureAt < limits.attemptWindow ? attempts.failures + 1 : 1;
+        return {
+            failures: failures,
+            lastFailureAt: now,
+            lockedUntil: lockable && failures >= limits.maxAttempts ? now + limits.lockoutDuration : null
+        };
+    }
+
+    getRetryAt(attempts, limits) {
+        if (!attempts) return 0;
+        const backoff = attempts.lastFailureAt + Math.min(limits.maxDelay, limits.baseDelay * 2 ** (attempts.failures - 1));
+        return Math.max(backoff, attempts.lockedUntil || 0);
+    }
+
+    // Counts nobody has added to for a whole window are dropped, so the map
+    // stays small; a lockout is kept until it ends
+    forgetOldFailures(limits, now) {
+        this.loginFailures.forEach((attempts, key) => {
+            if (now - attempts.lastFailureAt > limits.attemptWindow && !(attempts.lockedUntil > now)) this.loginFailures.delete(key);
+        });
+    }
+
+    async readRateLimits() {
+        const setting = (await this.readConfig()).security?.rateLimiting;
+        if (setting === false) return null;
+        return { ...DEFAULT_RATE_LIMITING, ...(this.isPlainObject(setting) ? setting : {}) };
+    }
+
+    // Sessions
+    // The client holds a random bearer token; users.json only keeps its hash
+    // (sessions[].tokenHash), so a copy of the file cannot be used to sign in.
+    async startSession(user, rememberMe) {
+        const settings = await this.readSessionSettings();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const lifetime = rememberMe ? settings.rememberedSessionLifetime : settings.sessionLifetime;
+        const session = {
+            tokenHash: this.hashToken(token),
+            userId: user.id,
+            username: user.username,
+            createdAt: new Date(now).toISOString(),
+            lastActivityAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + lifetime).toISOString(),
+            idleTimeout: rememberMe ? null : settings.sessionIdleTimeout,
+            rememberMe: !!rememberMe,
+            isActive: true
+        };
+
+        await this.updateDatabase('users.json', data => {
+            const account = data.users.find(u => u.id === user.id);
+            if (account) account.lastLogin = session.createdAt;
+            this.storeSession(data, session);
+        });
+        return this.toClientSession(session, user, token);
+    }
+
+    // Resolves with { session, user, token } for the request's bearer token, or
+    // rejects with 401 and the reason ('missing', 'revoked', 'expired', 'idle', 'locked')
+    async requireSession(req) {
+        const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+        const data = await this.readAfterWrites('users.json');
+        const tokenHash = match ? this.hashToken(match[1]) : null;
+        const session = tokenHash ? (data.sessions || []).find(s => s.tokenHash === tokenHash) : null;
+        const user = session ? data.users.find(u => u.id === session.userId) : null;
+
+        let reason = session ? this.getSessionProblem(session) : 'missing';
+        if (!reason && (!user || user.isActive === false)) reason = 'revoked';
+        if (reason) throw this.httpError(401, SESSION_ERRORS[reason], { reason });
+        return { session, user, token: match[1] };
+    }
+
+    // Same rules as DatabaseManager.getSessionProblem
+    getSessionProblem(session, now = Date.now()) {
+        if (session.isActive === false) return 'revoked';
+        if (!(Date.parse(session.expiresAt) > now)) return 'expired';
+        if (session.locked) return 'locked';
+        if (session.idleTimeout && !(Date.parse(session.lastActivityAt) + session.idleTimeout > now)) {
+            return session.quickUnlock ? 'locked' : 'idle';
+        }
+        return null;
+    }
+
+    async touchSession(auth) {
+        const settings = await this.readSessionSettings();
+        return this.updateSession(auth.session.tokenHash, session => {
+            const now = Date.now();
+            session.lastActivityAt = new Date(now).toISOString();
+            if (session.rememberMe) session.expiresAt = new Date(now + settings.rememberedSessionLifetime).toISOString();
+        });
+    }
+
+    endSession(tokenHash, reason) {
+        return this.updateSession(tokenHash, session => {
+            session.isActive = false;
+            session.endedAt = new Date().toISOString();
+            session.endReason = reason;
+            delete session.quickUnlock;
+        });
+    }
+
+    async updateSession(tokenHash, change) {
+        let updated;
+        await this.updateDatabase('users.json', data => {
+            const session = (data.sessions || []).find(s => s.tokenHash === tokenHash);
+            if (!session) throw this.httpError(401, SESSION_ERRORS.missing, { reason: 'missing' });
+            change(session);
+            updated = session;
+        });
+        return updated;
+    }
+
+    // Expired sessions are dropped whenever one is added
+    storeSession(data, session) {
+        const now = new Date();
+        data.sessions = (data.sessions || []).filter(existing =>
+            existing.tokenHash && existing.tokenHash !== session.tokenHash && new Date(existing.expiresAt) > now
+        );
+        data.sessions.push(session);
+
+        data.indexes.bySession = {};
+        data.sessions.forEach(existing => {
+            data.indexes.bySession[existing.tokenHash] = existing.userId;
+        });
+    }
+
+    // The session as the client stores it: the token is its sessionId and
+    // the role is always the one on the account. Without a token the client
+    // keeps the one it has.
+    toClientSession(session, user, token) {
+        const { tokenHash, quickUnlock, ...details } = session;
+        const client = { ...details, quickUnlock: !!quickUnlock, role: user.role };
+        if (token) client.sessionId = token;
+        return client;
+    }
+
+    // Quick unlock
+    // A remembered session that locks when idle instead of ending. The device
+    // keeps its bearer token only encrypted under a key from the PIN and a
+    // secret (session.quickUnlock.secret) that is released here once the PIN
+    // checks out. Every attempt is counted before the PIN is checked, and the
+    // last allowed failure ends the session.
+    async enableQuickUnlock(auth, pin) {
+        if (!QUICK_UNLOCK_PIN_PATTERN.test(String(pin || ''))) {
+            throw this.httpError(400, 'Your PIN must be 4 to 6 digits', { field: 'pin' });
+        }
+
+        const settings = await this.readSessionSettings();
+        const quickUnlock = {
+            handle: crypto.randomBytes(16).toString('base64url'),
+            secret: crypto.randomBytes(32).toString('base64'),
+            pinHash: await this.hashPassword(pin),
+            failures: 0
+        };
+        const session = await this.updateSession(auth.session.tokenHash, stored => {
+            stored.quickUnlock = quickUnlock;
+            stored.rememberMe = true;
+            stored.expiresAt = new Date(Date.now() + settings.rememberedSessionLifetime).toISOString();
+            stored.idleTimeout = settings.sessionIdleTimeout;
+        });
+        return { handle: quickUnlock.handle, secret: quickUnlock.secret, session: this.toClientSession(session, auth.user, auth.token) };
+    }
+
+    async attemptQuickUnlock(handle, pin) {
+        const signIn = this.httpError(401, 'Please sign in with your password', { attemptsLeft: 0 });
+        const data = await this.readAfterWrites('users.json');
+        const found = (data.sessions || []).find(s => s.quickUnlock && s.quickUnlock.handle === handle);
+        const user = found ? data.users.find(u => u.id === found.userId) : null;
+        const problem = found ? this.getSessionProblem(found) : 'missing';
+        if (!user || user.isActive === false || (problem && problem !== 'locked')) throw signIn;
+
+        let attempt;
+        await this.updateSession(found.tokenHash, session => {
+            if (!session.quickUnlock || session.quickUnlock.handle !== handle) throw signIn;
+            attempt = session.quickUnlock.failures = (session.quickUnlock.failures || 0) + 1;
+        });
+
+        const verified = attempt <= QUICK_UNLOCK_MAX_FAILURES &&
+            QUICK_UNLOCK_PIN_PATTERN.test(String(pin || '')) &&
+            await this.verifyPassword(String(pin), found.quickUnlock.pinHash);
+
+        if (!verified) {
+            const left = QUICK_UNLOCK_MAX_FAILURES - attempt;
+            if (left > 0) throw this.httpError(401, `Incorrect PIN. ${left} attempt${left > 1 ? 's' : ''} left.`, { attemptsLeft: left });
+            await this.endSession(found.tokenHash, 'quick-unlock-failed');
+            throw this.httpError(401, 'Too many failed attempts. Sign in with your password to continue.', { attemptsLeft: 0 });
+        }
+
+        const settings = await this.readSessionSettings();
+        const session = await this.updateSession(found.tokenHash, stored => {
+            if (!stored.quickUnlock || stored.isActive === false) throw signIn;
+            const now = Date.now();
+            stored.quickUnlock.failures = 0;
+            stored.locked = false;
+            stored.lastActivityAt = new Date(now).toISOString();
+            stored.expiresAt = new Date(now + settings.rememberedSessionLifetime).toISOString();
+        });
+        return { secret: session.quickUnlock.secret, session: this.toClientSession(session, user) };
+    }
+
+    async readSessionSettings() {
+        const config = await this.readConfig();
+        const settings = { ...DEFAULT_SESSION_SETTINGS };
+        Object.keys(settings).forEach(name => {
+            if (typeof config.settings?.[name] === 'number') settings[name] = config.settings[name];
+        });
+        return settings;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Passwords and recovery codes
+    async hashPassword(password, salt = crypto.randomBytes(16), iterations = PASSWORD_PBKDF2_ITERATIONS) {
+        const hash = await pbkdf2(password, salt, iterations, 32, 'sha256');
+        return `pbkdf2-sha256$${iterations}$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, iterations, salt, expected] = String(stored || '').split('$');
+        if (scheme !== 'pbkdf2-sha256' || !salt || !expected) return false;
+
+        const hash = await pbkdf2(password, Buffer.from(salt, 'base64'), Number(iterations), 32, 'sha256');
+        const expectedHash = Buffer.from(expected, 'base64');
+        return hash.length === expectedHash.length && crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    checkPasswordStrength(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw this.httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, { field: 'password' });
+        }
+    }
+
+    // Bytes past the last whole multiple of the alphabet are drawn again, so
+    // every character is equally likely
+    createRecoveryCodes() {
+        const limit = 256 - (256 % RECOVERY_CODE_ALPHABET.length);
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const chars = [];
+            while (chars.length < 10) {
+                const byte = crypto.randomBytes(1)[0];
+                if (byte < limit) chars.push(RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+            }
+            return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+        });
+    }
+
+    async hashRecoveryCodes(codes) {
+        const hashes = [];
+        for (const code of codes) {
+            hashes.push(await this.hashPassword(this.normalizeRecoveryCode(code), undefined, RECOVERY_CODE_ITERATIONS));
+        }
+        return hashes;
+    }
+
+    // Index of the matching hash, or -1
+    async findRecoveryCode(code, hashes) {
+        const normalized = this.normalizeRecoveryCode(code);
+        for (let i = 0; i < hashes.length; i++) {
+            if (await this.verifyPassword(normalized, hashes[i])) return i;
+        }
+        return -1;
+    }
+
+    normalizeRecoveryCode(code) {
+        return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    // Database mutations
+    replaceUserSymptoms(userId, symptoms) {
+        return this.updateDatabase('symptoms.json', data => {
+            const now = new Date().toISOString();
+            const others = data.symptoms.filter(s => s.userId !== userId);
+            const owned = symptoms.map(symptom => ({ ...symptom, userId, syncedAt: now }));
+            const keepIds = new Set(owned.map(symptom => symptom.id));
+
+            // Leave tombstones so other devices drop the removed records on their next pull
+            data.deleted = (data.deleted || []).filter(entry => !(entry.userId === userId && keepIds.has(entry.id)));
+            data.symptoms.forEach(symptom => {
+                if (symptom.userId === userId && !keepIds.has(symptom.id)) {
+                    data.deleted.push({ id: symptom.id, userId, deletedAt: now, syncedAt: now });
+                }
+            });
+
+            data.symptoms = [...others, ...owned];
+            data.metadata.lastModified = new Date().toISOString();
+            data.metadata.totalRecords = data.symptoms.length;
+            this.updateSymptomIndexes(data);
+        });
+    }
+
+    // Applies a client's outbox. A change conflicts when the server copy was
+    // modified since the version the client based it on (baseModified), unless
+    // the contents already match or the client forces it after resolving.
+    async applySyncChanges(userId, changes) {
+        const result = { applied: [], conflicts: [], serverTime: null };
+
+        await this.updateDatabase('symptoms.json', data => {
+            const now = new Date().toISOString();
+            data.deleted = data.deleted || [];
+
+            changes.forEach(change => {
+                const index = data.symptoms.findIndex(s => s.id === change.id && s.userId === userId);
+                const current = index >= 0 ? data.symptoms[index] : null;
+                const tombstoneIndex = data.deleted.findIndex(t => t.id === change.id && t.userId === userId);
+                const tombstone = tombstoneIndex >= 0 ? data.deleted[tombstoneIndex] : null;
+                const serverModified = current ? current.lastModified || null : (tombstone ? tombstone.deletedAt : null);
+
+                const sameContent = change.op === 'delete'
+                    ? !current
+                    : !!current && recordContent(current) === recordContent(change.record);
+
+                if (!change.force && !sameContent && serverModified !== (change.baseModified || null)) {
+                    result.conflicts.push({
+                        changeId: change.changeId,
+                        id: change.id,
+                        server: current,
+                        deletedAt: tombstone ? tombstone.deletedAt : null
+                    });
+                    return;
+                }
+
+                if (change.op === 'delete') {
+                    if (current) data.symptoms.splice(index, 1);
+                    if (!tombstone) {
+                        data.deleted.push({ id: change.id, userId, deletedAt: change.lastModified || now, syncedAt: now });
+                    }
+                } else {
+                    const record = { ...change.record, userId, syncedAt: now };
+                    if (current) {
+                        data.symptoms[index] = record;
+                    } else {
+                        data.symptoms.push(record);
+                    }
+                    if (tombstone) data.deleted.splice(tombstoneIndex, 1);
+                }
+                result.applied.push(change.changeId);
+            });
+
+            data.metadata.lastModified = now;
+            data.metadata.totalRecords = data.symptoms.length;
+            this.updateSymptomIndexes(data);
+            result.serverTime = now;
+        });
+
+        return result;
+    }
+
+    indexUsers(data) {
+        data.metadata.lastModified = new Date().toISOString();
+        data.metadata.totalUsers = data.users.length;
+        data.indexes.byUsername = {};
+        data.indexes.byEmail = {};
+        data.users.forEach(user => {
+            if (user.username) data.indexes.byUsername[user.username.toLowerCase()] = user.id;
+            if (user.email) data.indexes.byEmail[user.email.toLowerCase()] = user.id;
+        });
+    }
+
+    // Adds the accounts in demo_accounts.json when the directory is empty, so a
+    // fresh install can be tried out. Only with security.seedDemoAccounts set to
+    // true, and never an admin: the demo password is public.
+    async seedDemoAccounts() {
+        const config = await this.readConfig();
+        if (config.security?.seedDemoAccounts !== true) return 0;
+
+        let seed;
+        try {
+            seed = await this.readDatabase('demo_accounts.json');
+        } catch (error) {
+            // No seed file deployed - accounts have to be registered
+            return 0;
+        }
+
+        let added = 0;
+        await this.updateDatabase('users.json', data => {
+            if (data.users.length > 0) return;
+            const createdAt = new Date().toISOString();
+            (seed.accounts || []).filter(account => account.role !== 'admin').forEach(account => {
+                data.users.push({ ...account, createdAt: account.createdAt || createdAt });
+            });
+            added = data.users.length;
+            this.indexUsers(data);
+        });
+        return added;
+    }
+
+    updateSymptomIndexes(data) {
+        data.indexes = { byDate: {}, byType: {}, byUser: {}, byGroup: {} };
+
+        data.symptoms.forEach(symptom => {
+            const add = (index, key) => {
+                if (key === undefined || key === null) return;
+                if (!data.indexes[index][key]) data.indexes[index][key] = [];
+                data.indexes[index][key].push(symptom.id);
+            };
+            add('byDate', symptom.date);
+            add('byType', symptom.type);
+            add('byUser', symptom.userId);
+            add('byGroup', symptom.groupId);
+        });
+    }
+
+    // File access
+    async readDatabase(filename) {
+        const text = await fs.promises.readFile(path.join(this.dataDir, filename), 'utf8');
+        return JSON.parse(text);
+    }
+
+    async readConfig() {
+        try {
+            return await this.readDatabase('config.json');
+        } catch (error) {
+            // No config.json in the data directory - defaults apply
+            return {};
+        }
+    }
+
+    // Reads behind any queued writes so a pull never misses a change stamped before it
+    readAfterWrites(filename) {
+        const pending = this.writeQueues.get(filename) || Promise.resolve();
+        return pending.catch(() => {}).then(() => this.readDatabase(filename));
+    }
+
+    // Serialises read-modify-write cycles per file so concurrent requests
+    // from several browsers never overwrite each other's changes.
+    updateDatabase(filename, mutate) {
+        const previous = this.writeQueues.get(filename) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            const data = await this.readDatabase(filename);
+            mutate(data);
+            await this.writeAtomic(path.join(this.dataDir, filename), JSON.stringify(data, null, 2));
+            return data;
+        });
+        this.writeQueues.set(filename, next);
+        return next;
+    }
+
+    // Write to a temp file in the same directory and rename over the target,
+    // so a crash mid-write never leaves a truncated database file behind.
+    async writeAtomic(filePath, contents) {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async serveStatic(res, pathname) {
+        const relative = pathname === '/' ? 'index.html' : decodeURIComponent(pathname.replace(/^\/+/, ''));
+        let contents;
+
+        // The client reads database files from ./database/, which maps onto the data directory
+        if (relative.startsWith('database/')) {
+            const filename = relative.slice('database/'.length);
+            if (PUBLIC_DATABASE_FILES.includes(filename)) {
+                contents = await this.readStaticFile(path.join(this.dataDir, filename));
+            } else if (SCHEMA_ONLY_DATABASE_FILES.includes(filename)) {
+                const data = JSON.parse(await this.readStaticFile(path.join(this.dataDir, filename)));
+                contents = JSON.stringify({ metadata: { version: data.metadata?.version, description: data.metadata?.description }, schema: data.schema });
+            }
+        } else if (APP_ASSETS.includes(relative)) {
+            contents = await this.readStaticFile(path.join(this.staticRoot, relative));
+        }
+        if (contents === undefined) throw this.httpError(404, 'Not found');
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(relative)] || 'application/octet-stream',
+            'Cache-Control': 'no-store'
+        });
+        res.end(contents);
+    }
+
+    async readStaticFile(filePath) {
+        try {
+            return await fs.promises.readFile(filePath);
+        } catch (error) {
+            throw this.httpError(404, 'Not found');
+        }
+    }
+
+    // Helpers
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > MAX_BODY_SIZE) {
+                    reject(this.httpError(413, 'Request body too large'));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                try {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    resolve(text ? JSON.parse(text) : {});
+                } catch (error) {
+                    reject(this.httpError(400, 'Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    sendJson(res, statusCode, payload) {
+        if (res.headersSent) return;
+        res.writeHead(statusCode, {
+            'Content-Type': MIME_TYPES['.json'],
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(payload));
+    }
+
+    // details are added to the JSON error body (e.g. { field } or { reason })
+    httpError(statusCode, message, details = {}) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        error.details = details;
+        return error;
+    }
+
+    isPlainObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || '8000', 10);
+    const persistenceServer = new PersistenceServer();
+    persistenceServer.listen(port).then(actualPort => {
+        console.log(`HealthTracker persistence server running at http://localhost:${actualPort}`);
+        console.log(`Data directory: ${persistenceServer.dataDir}`);
+    });
+}
+
+module.exports = PersistenceServer;
@@ -0,0 +1,214 @@
+// Quick Unlock for Health Tracker Application
+// Optional PIN unlock for a remembered session on one device. While it is on,
+// inactivity locks the session instead of ending it and the sign-in page opens
+// it again with a 4-6 digit PIN. The device only keeps its session token
+// encrypted under a key derived from the PIN and a secret. With the
+// persistence server the secret stays there until the server has checked the
+// PIN, and the server counts the attempts. Without one (static hosting or
+// offline) the secret is kept in the setup and this device counts them, which
+// stops guessing in the app but not in a copy of the browser's storage. Too
+// many failures end the session, so the password is needed again.
+
+const QUICK_UNLOCK_PIN_PATTERN = /^\d{4,6}$/;
+const QUICK_UNLOCK_MAX_FAILURES = 5;
+const QUICK_UNLOCK_PBKDF2_ITERATIONS = 100000;
+
+class QuickUnlockError extends Error {
+    constructor(message, attemptsLeft = null) {
+        super(message);
+        this.name = 'QuickUnlockError';
+        this.attemptsLeft = attemptsLeft; // 0 once the session has been ended
+    }
+}
+
+class QuickUnlock {
+    constructor(db = window.dbManager) {
+        this.db = db;
+        this.crypto = new CryptoVault(null); // only for its key derivation and AES-GCM helpers
+    }
+
+    static isSupported() {
+        return !!window.CryptoVault && CryptoVault.isSupported();
+    }
+
+    isAvailable() {
+        return QuickUnlock.isSupported();
+    }
+
+    // { method: 'pin', handle, token: { iv, data }, createdAt } when the server
+    // checks the PIN, { method: 'pin', secret, failures, token, createdAt } when
+    // this device does, or null. Setups from before either (no handle or
+    // secret) are ignored.
+    getSetup(userId = this.db.getActiveUserId()) {
+        const setup = this.db.loadFromLocalStorage('quick_unlock', userId);
+        return setup && (setup.handle || setup.secret) ? setup : null;
+    }
+
+    isEnabled(userId = this.db.getActiveUserId()) {
+        return !!this.getSetup(userId);
+    }
+
+    async enablePin(pin) {
+        if (!QUICK_UNLOCK_PIN_PATTERN.test(pin)) {
+            throw new QuickUnlockError('Your PIN must be 4 to 6 digits');
+        }
+
+        const userId = this.requireSignedIn();
+        const session = this.db.readSession();
+        const result = this.db.isServerConnected()
+            ? await this.request('POST', '/quick-unlock', { pin })
+            : this.startLocalSetup(session);
+
+        const key = await this.deriveKey(pin, result.secret);
+        const setup = {
+            method: 'pin',
+            ...(result.handle ? { handle: result.handle } : { secret: result.secret, failures: 0 }),
+            token: await this.crypto.encrypt(session.sessionId, key),
+            createdAt: new Date().toISOString()
+        };
+        if (!this.db.saveToLocalStorage('quick_unlock', setup, userId)) {
+            await this.disable(userId);
+            throw new QuickUnlockError('Quick unlock could not be saved on this device');
+        }
+        await this.db.saveSession({ ...session, ...result.session });
+        return setup;
+    }
+
+    async disable(userId = this.db.getActiveUserId()) {
+        const setup = this.getSetup(userId);
+        const session = this.db.readSession();
+        this.removeSetup(userId);
+        const result = setup && setup.secret
+            ? { session: { quickUnlock: false, idleTimeout: session.rememberMe ? null : session.idleTimeout } }
+            : await this.request('DELETE', '/quick-unlock');
+        await this.db.saveSession({ ...this.db.readSession(), ...result.session });
+    }
+
+    // Without a server: a random secret for the setup to keep, and the session
+    // changes the server would make
+    startLocalSetup(session, now = Date.now()) {
+        return {
+            secret: this.crypto.toBase64(crypto.getRandomValues(new Uint8Array(32))),
+            session: {
+                quickUnlock: true,
+                rememberMe: true,
+                expiresAt: new Date(now + this.db.getSetting('rememberedSessionLifetime')).toISOString(),
+                idleTimeout: this.db.getSetting('sessionIdleTimeout')
+            }
+        };
+    }
+
+    removeSetup(userId) {
+        localStorage.removeItem(this.db.getStorageKey('quick_unlock', userId));
+    }
+
+    requireSignedIn() {
+        if (this.db.getSessionProblem(this.db.readSession())) {
+            throw new QuickUnlockError('Sign in to set up quick unlock');
+        }
+        if (!this.isAvailable()) {
+            throw new QuickUnlockError('Quick unlock is not supported by this browser');
+        }
+        return this.db.getActiveUserId();
+    }
+
+    // The locked session quick unlock can re-open, or null
+    getLockedSession() {
+        const session = this.db.readSession();
+        if (this.db.getSessionProblem(session) !== 'locked') return null;
+        return this.isEnabled() ? session : null;
+    }
+
+    // Re-opens the locked session. A wrong PIN throws with the attempts left;
+    // the last one ends the session.
+    async unlock(pin = '') {
+        const session = this.getLockedSession();
+        if (!session) throw new QuickUnlockError('Please sign in with your password', 0);
+        if (!QUICK_UNLOCK_PIN_PATTERN.test(pin)) {
+            throw new QuickUnlockError('Enter your 4 to 6 digit PIN');
+        }
+
+        const userId = this.db.getActiveUserId();
+        const setup = this.getSetup(userId);
+        if (!setup.handle) return this.unlockLocally(session, setup, pin, userId);
+
+        let result;
+        try {
+            result = await this.request('POST', `/quick-unlock/${encodeURIComponent(setup.handle)}`, { pin }, null);
+        } catch (error) {
+            if (error.attemptsLeft === 0) await this.endLockedSession(userId);
+            throw error;
+        }
+
+        let token;
+        try {
+            token = await this.crypto.decrypt(setup.token, await this.deriveKey(pin, result.secret));
+        } catch (error) {
+            // The stored token was altered or belongs to another setup
+            await this.endLockedSession(userId);
+            throw new QuickUnlockError('Quick unlock is not set up correctly. Sign in with your password to continue.', 0);
+        }
+
+        const unlocked = { ...session, ...result.session, sessionId: token };
+        await this.db.saveSession(unlocked);
+        return unlocked;
+    }
+
+    // Without a server a wrong PIN shows up as a token that will not decrypt.
+    // Like the server, the attempt is counted before the PIN is tried.
+    async unlockLocally(session, setup, pin, userId, now = Date.now()) {
+        const failures = (setup.failures || 0) + 1;
+        this.db.saveToLocalStorage('quick_unlock', { ...setup, failures: failures }, userId);
+
+        let token = null;
+        if (failures <= QUICK_UNLOCK_MAX_FAILURES) {
+            try {
+                token = await this.crypto.decrypt(setup.token, await this.deriveKey(pin, setup.secret));
+            } catch (error) {
+                // Wrong PIN
+            }
+        }
+
+        if (token === null) {
+            const left = QUICK_UNLOCK_MAX_FAILURES - failures;
+            if (left > 0) throw new QuickUnlockError(`Incorrect PIN. ${left} attempt${left > 1 ? 's' : ''} left.`, left);
+            await this.endLockedSession(userId);
+            throw new QuickUnlockError('Too many failed attempts. Sign in with your password to continue.', 0);
+        }
+
+        this.db.saveToLocalStorage('quick_unlock', { ...setup, failures: 0 }, userId);
+        const unlocked = {
+            ...session,
+            sessionId: token,
+            locked: false,
+            lastActivityAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.db.getSetting('rememberedSessionLifetime')).toISOString()
+        };
+        await this.db.saveSession(unlocked);
+        return unlocked;
+    }
+
+    async endLockedSession(userId) {
+        this.removeSetup(userId);
+        await this.db.endSession('quick-unlock-failed');
+    }
+
+    // Server errors come back as QuickUnlockErrors carrying attemptsLeft. A
+    // sessionId of null sends no token; undefined sends the signed-in one.
+    async request(method, path, body, sessionId) {
+        try {
+            return await this.db.remoteRequest(method, path, body, sessionId);
+        } catch (error) {
+            if (!error.status) throw new QuickUnlockError('The server could not be reached. Please try again.');
+            throw new QuickUnlockError(error.message, error.attemptsLeft === undefined ? null : error.attemptsLeft);
+        }
+    }
+
+    deriveKey(pin, secret) {
+        return this.crypto.deriveKey(pin, this.crypto.fromBase64(secret), QUICK_UNLOCK_PBKDF2_ITERATIONS);
+    }
+}
+
+window.QuickUnlock = QuickUnlock;
+window.QuickUnlockError = QuickUnlockError;
+window.quickUnlock = new QuickUnlock();
@@ -0,0 +1,32 @@
+// Record Content for Health Tracker Application
+// Stable comparison of record contents, shared by DatabaseManager and the
+// persistence server so both decide the same way whether an edit changed
+// anything. Keys are sorted at every level and sync bookkeeping fields are
+// left out.
+
+const SYNC_BOOKKEEPING_FIELDS = ['lastModified', 'syncedAt', 'userId'];
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function recordContent(record) {
+    if (!record) return null;
+    const content = { ...record };
+    SYNC_BOOKKEEPING_FIELDS.forEach(field => delete content[field]);
+    return stableStringify(content);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { stableStringify, recordContent };
+} else {
+    window.stableStringify = stableStringify;
+    window.recordContent = recordContent;
+}
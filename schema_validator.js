@@ -0,0 +1,154 @@
+// Schema Validator for Health Tracker Application
+// Checks records against the "schema" blocks declared in symptoms.json and
+// users.json, where each field is described as "<type> - <description>".
+
+class SchemaValidator {
+    constructor(schemas = {}) {
+        this.schemas = { ...SchemaValidator.DEFAULT_SCHEMAS, ...schemas };
+    }
+
+    // Copies of the blocks in symptoms.json / users.json, used until those load
+    static get DEFAULT_SCHEMAS() {
+        return {
+            symptom: {
+                id: 'number - unique identifier',
+                type: 'string - symptom type/category',
+                displayName: 'string - human readable name',
+                severity: 'number - 1-10 scale',
+                duration: 'string - duration description',
+                notes: 'string - additional notes',
+                timestamp: 'string - ISO date string',
+                date: 'string - formatted date',
+                isMultiple: 'boolean - part of multiple symptom entry',
+                groupId: 'number - group identifier for multiple symptoms',
+                userId: 'string - user identifier',
+                profileId: "string - dependent profile the entry was logged for; missing for the account holder's own entries",
+                lastModified: 'string - ISO date string of the last local edit',
+                syncedAt: 'string - ISO date string the server stored this version'
+            },
+            user: {
+                id: 'string - unique user identifier',
+                username: 'string - username',
+                email: 'string - email address',
+                passwordHash: 'string - pbkdf2-sha256$<iterations>$<salt>$<hash>',
+                recoveryCodes: 'object - hashes of the unused one-time recovery codes, same format as passwordHash',
+                role: 'string - patient, doctor, admin or user',
+                sharedWith: "object - ids of doctor accounts allowed to read this account's records",
+                profile: {
+                    firstName: 'string',
+                    lastName: 'string',
+                    dateOfBirth: 'string',
+                    gender: 'string',
+                    emergencyContact: 'string'
+                },
+                preferences: {
+                    theme: 'string',
+                    notifications: 'boolean',
+                    dataRetention: 'number'
+                },
+                createdAt: 'string - ISO date string',
+                lastLogin: 'string - ISO date string',
+                isActive: 'boolean'
+            }
+        };
+    }
+
+    // The declared schemas don't say which fields are mandatory; these are the
+    // ones the UI cannot render or look up a record without. Everything else
+    // is type-checked only when present (null allowed).
+    static get REQUIRED_FIELDS() {
+        return {
+            symptom: ['id', 'type', 'displayName', 'severity', 'timestamp', 'date'],
+            user: ['id', 'username']
+        };
+    }
+
+    setSchema(name, schema) {
+        if (schema) this.schemas[name] = schema;
+    }
+
+    // Returns a list of human readable problems; empty when the record is valid
+    validate(name, record) {
+        const schema = this.schemas[name];
+        if (!schema) return [`Unknown schema "${name}"`];
+        if (!record || typeof record !== 'object' || Array.isArray(record)) return ['Record is not an object'];
+
+        const errors = [];
+        const required = SchemaValidator.REQUIRED_FIELDS[name] || [];
+
+        required.forEach(field => {
+            if (record[field] === undefined || record[field] === null || record[field] === '') {
+                errors.push(`Missing required field "${field}"`);
+            }
+        });
+
+        this.checkFields(schema, record, '', errors);
+
+        if (name === 'symptom' && typeof record.severity === 'number' &&
+            (record.severity < 1 || record.severity > 10)) {
+            errors.push(`"severity" must be between 1 and 10 (got ${record.severity})`);
+        }
+
+        return errors;
+    }
+
+    checkFields(schema, record, path, errors) {
+        Object.entries(schema).forEach(([field, descriptor]) => {
+            const value = record[field];
+            if (value === undefined || value === null) return;
+
+            const fieldPath = path + field;
+
+            if (typeof descriptor === 'object') {
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`"${fieldPath}" must be an object`);
+                } else {
+                    this.checkFields(descriptor, value, fieldPath + '.', errors);
+                }
+                return;
+            }
+
+            const expected = this.parseType(descriptor);
+            if (expected === 'number' && (typeof value !== 'number' || Number.isNaN(value))) {
+                errors.push(`"${fieldPath}" must be a number`);
+            } else if (expected !== 'number' && typeof value !== expected) {
+                errors.push(`"${fieldPath}" must be a ${expected}`);
+            } else if (expected === 'string' && /ISO date/.test(descriptor) && Number.isNaN(Date.parse(value))) {
+                errors.push(`"${fieldPath}" is not a valid date`);
+            }
+        });
+    }
+
+    parseType(descriptor) {
+        return descriptor.split('-')[0].trim();
+    }
+
+    // Fills in fields that older code paths left out but that can be derived
+    normalizeSymptom(symptom) {
+        if (!symptom || typeof symptom !== 'object') return symptom;
+
+        const normalized = { ...symptom };
+        if (!normalized.displayName && typeof normalized.type === 'string') {
+            normalized.displayName = normalized.type.split('-').map(word =>
+                word.charAt(0).toUpperCase() + word.slice(1)
+            ).join(' ');
+        }
+        if (!normalized.date && normalized.timestamp && !Number.isNaN(Date.parse(normalized.timestamp))) {
+            normalized.date = new Date(normalized.timestamp).toLocaleDateString();
+        }
+        return normalized;
+    }
+
+    // Strips markup from free-text fields; notes and names end up in innerHTML
+    sanitize(record, fields = ['displayName', 'notes', 'duration', 'type']) {
+        const clean = { ...record };
+        fields.forEach(field => {
+            if (typeof clean[field] === 'string') {
+                clean[field] = clean[field].replace(/<[^>]*>/g, '').replace(/[<>]/g, '').trim();
+            }
+        });
+        return clean;
+    }
+}
+
+window.SchemaValidator = SchemaValidator;
@@ -6,6 +6,13 @@ class HealthTracker {
         this.currentTab = 'log';
         this.charts = {};
         this.selectedSymptoms = []; // Changed to array for multiple symptoms
+        this.undoTimeout = 10000; // ms an edit or delete in History can be undone
+        this.undoRecords = null;
+        this.subjectId = null; // Account whose records are shown when it is not the signed-in one
+        this.readOnly = false;
+        this.periodId = null; // Tracking period shown in History and Insights; null is the current one
+        this.profileId = null; // Dependent whose log is shown and added to; null is the account holder
+        this.dependents = [];
         this.symptomDatabase = this.initializeSymptomDatabase();
         this.smartSuggestions = this.initializeSmartSuggestions();
         
@@ -22,7 +29,14 @@ class HealthTracker {
     async init() {
         // Apply persisted theme early
         this.applyPersistedTheme();
+        if (window.authGuard && !(await authGuard.ready)) return; // Redirecting to login
+        await this.applyRole();
         this.setupEventListeners();
+        await this.ensureUnlocked(); // Encrypted records need the passphrase first
+        await this.loadProfiles(); // Sealed with the records when encryption is on
+        this.watchSyncStatus();
+        this.watchStorage();
+        this.watchOtherTabs();
         await this.loadSymptoms(); // Load symptoms from database
         
         this.renderHistory();
@@ -43,6 +57,282 @@ class HealthTracker {
         }
     }
 
+    // Hides what the signed-in role may not use (elements with data-permission).
+    // Doctors keep no log of their own and read the patients who shared with them.
+    async applyRole() {
+        if (!this.dbManager) return;
+        await this.dbManager.ready;
+
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = this.dbManager.hasPermission(element.dataset.permission) ? '' : 'none';
+        });
+
+        this.readOnly = !this.dbManager.hasPermission('records:own');
+        if (!this.readOnly) return;
+
+        const patients = await this.dbManager.getSharedAccounts();
+        this.patients = patients;
+        const select = document.getElementById('patientSelect');
+        select.innerHTML = '';
+        patients.forEach(patient => {
+            const name = [patient.profile?.firstName, patient.profile?.lastName].filter(Boolean).join(' ');
+            select.add(new Option(name ? `${name} (${patient.username})` : patient.username, patient.id));
+        });
+        if (patients.length === 0) select.add(new Option('No patients have shared their records yet', ''));
+        select.disabled = patients.length === 0;
+
+        document.getElementById('patientViewBar').style.display = '';
+        this.subjectId = patients.length > 0 ? patients[0].id : null;
+        this.switchTab('patients');
+    }
+
+    async selectPatient(patientId) {
+        this.subjectId = patientId || null;
+        this.periodId = null;
+        await this.loadSymptoms();
+        this.renderHistory();
+        this.renderInsights();
+    }
+
+    getSubjectId() {
+        return this.subjectId || this.dbManager.getActiveUserId();
+    }
+
+    // Profiles: the account holder plus the family members they log for
+    // (AccountManager.listDependents). The active one is remembered per account.
+    async loadProfiles() {
+        if (this.readOnly || !window.accountManager) return;
+
+        try {
+            this.dependents = await window.accountManager.listDependents();
+        } catch (error) {
+            // Still locked - only the account holder can be picked until unlocked
+            if (error.name !== 'VaultLockedError') throw error;
+            this.dependents = [];
+        }
+        const stored = userStorage.getItem('activeProfile');
+        this.profileId = this.dependents.some(dependent => dependent.id === stored) ? stored : null;
+        this.renderProfileSelect();
+    }
+
+    renderProfileSelect() {
+        const select = document.getElementById('profileSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.add(new Option(this.getProfileName(null), ''));
+        this.dependents.forEach(dependent => select.add(new Option(dependent.name, dependent.id)));
+        select.add(new Option('+ Add family member', 'add'));
+        select.value = this.profileId || '';
+        document.getElementById('logProfileName').textContent = this.profileId ? ` for ${this.getProfileName(this.profileId)}` : '';
+    }
+
+    selectProfile(profileId) {
+        if (profileId === 'add') {
+            this.renderProfileSelect();
+            openSettingsModal();
+            document.getElementById('familyNameInput').focus();
+            return;
+        }
+
+        this.profileId = profileId || null;
+        if (this.profileId) {
+            userStorage.setItem('activeProfile', this.profileId);
+        } else {
+            userStorage.removeItem('activeProfile');
+        }
+        this.renderProfileSelect();
+        this.renderHistory();
+        this.renderInsights();
+        this.generateSuggestions();
+    }
+
+    // A doctor reads the account holder's own entries
+    getProfileId() {
+        return this.readOnly ? null : this.profileId;
+    }
+
+    isInActiveProfile(symptom) {
+        return (symptom.profileId || null) === this.getProfileId();
+    }
+
+    getProfileName(profileId) {
+        const dependent = this.dependents.find(candidate => candidate.id === profileId);
+        return dependent ? dependent.name : 'Me';
+    }
+
+    // Emergency alerts name the person the entry was logged for, whichever
+    // profile is shown by the time the alert goes out
+    getAlertProfile(symptom, userProfile) {
+        const dependent = this.dependents.find(candidate => candidate.id === symptom.profileId);
+        if (!dependent) return userProfile;
+        return {
+            ...userProfile,
+            name: dependent.name,
+            dateOfBirth: dependent.dateOfBirth,
+            emergencyContact: dependent.emergencyContact
+        };
+    }
+
+    // Drill-down from the dashboard into one patient's timeline and charts
+    async openPatient(patientId) {
+        document.getElementById('patientSelect').value = patientId;
+        await this.selectPatient(patientId);
+        this.switchTab('history');
+    }
+
+    // Doctor's overview: one card per patient, flagged and least well first.
+    // Summaries are kept so a change to one patient only re-reads that one.
+    async renderPatientDashboard() {
+        const container = document.getElementById('patientDashboard');
+        if (!container || !this.readOnly) return;
+
+        this.patientSummaries = new Map();
+        for (const patient of this.patients || []) {
+            this.patientSummaries.set(patient.id, await this.summarizePatient(patient));
+        }
+        this.drawPatientDashboard();
+    }
+
+    async refreshPatientSummary(patientId) {
+        const patient = (this.patients || []).find(candidate => candidate.id === patientId);
+        if (!patient || !this.patientSummaries) return;
+
+        this.patientSummaries.set(patient.id, await this.summarizePatient(patient));
+        this.drawPatientDashboard();
+    }
+
+    // Names, usernames and anything derived from records come from patients,
+    // so the cards are built from text nodes rather than HTML
+    drawPatientDashboard() {
+        const container = document.getElementById('patientDashboard');
+        if (!container) return;
+
+        if (!this.patients || this.patients.length === 0) {
+            container.innerHTML = `
+                <div class="no-data-message">
+                    <i class="fas fa-user-md"></i>
+                    <p>No patients have shared their records with you yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        const element = (tag, className, text) => {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text !== undefined) node.textContent = text;
+            return node;
+        };
+
+        const summaries = [...this.patientSummaries.values()];
+        summaries.sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || a.wellnessScore - b.wellnessScore);
+
+        container.innerHTML = '';
+        summaries.forEach(summary => {
+            const { patient, latest } = summary;
+            const name = [patient.profile?.firstName, patient.profile?.lastName].filter(Boolean).join(' ') || patient.username;
+
+            const card = element('div', `patient-card${summary.flags.length > 0 ? ' flagged' : ''}`);
+            card.addEventListener('click', () => this.openPatient(patient.id));
+
+            const header = element('div', 'patient-card-header');
+            header.append(element('h3', null, name), element('span', 'patient-username', patient.username));
+            card.appendChild(header);
+
+            if (summary.error) {
+                const error = element('p', 'patient-card-error');
+                error.append(element('i', 'fas fa-lock'), ` ${summary.error}`);
+                card.appendChild(error);
+                container.appendChild(card);
+                return;
+            }
+
+            const latestStat = element('div');
+            latestStat.appendChild(element('span', 'stat-label', 'Latest'));
+            if (latest) {
+                latestStat.append(
+                    element('span', `timeline-severity ${this.getSeverityClass(latest.severity)}`, `${latest.severity}/10`),
+                    element('small', null, `${this.formatSymptomName(latest.type)} \u00b7 ${new Date(latest.timestamp).toLocaleDateString()}`)
+                );
+            } else {
+                latestStat.appendChild(element('small', null, 'Nothing logged yet'));
+            }
+
+            const wellnessStat = element('div');
+            wellnessStat.append(
+                element('span', 'stat-label', 'Wellness'),
+                element('span', 'wellness-score', String(summary.wellnessScore)),
+                element('small', null, '7-day average')
+            );
+
+            const stats = element('div', 'patient-card-stats');
+            stats.append(latestStat, wellnessStat);
+            card.appendChild(stats);
+
+            summary.flags.forEach(flag => {
+                const text = element('span');
+                text.append(element('strong', null, flag.title), ` - ${flag.description}`);
+                const row = element('div', 'patient-flag');
+                row.append(element('i', flag.icon), text);
+                card.appendChild(row);
+            });
+            container.appendChild(card);
+        });
+    }
+
+    // Runs the single-patient analysis against one patient's records
+    async summarizePatient(patient) {
+        let symptoms;
+        try {
+            symptoms = await this.dbManager.loadSymptoms(patient.id);
+        } catch (error) {
+            return {
+                patient: patient,
+                latest: null,
+                wellnessScore: 100,
+                flags: [],
+                error: error.name === 'VaultLockedError' ? 'Records are encrypted and cannot be shown' : error.message
+            };
+        }
+
+        const viewing = { subjectId: this.subjectId, symptoms: this.symptoms };
+        this.subjectId = patient.id;
+        this.symptoms = symptoms;
+        try {
+            const trend = this.calculateWellnessTrend();
+            return {
+                patient: patient,
+                latest: this.querySymptoms({ limit: 1 })[0] || null,
+                wellnessScore: Math.round(trend.reduce((sum, day) => sum + day.score, 0) / trend.length),
+                flags: this.analyzeAdvancedPatterns().filter(pattern => pattern.priority === 'high'),
+                error: null
+            };
+        } finally {
+            this.subjectId = viewing.subjectId;
+            this.symptoms = viewing.symptoms;
+        }
+    }
+
+    // The stored shape of one logged symptom, for the active profile.
+    // details: { id, severity, duration, notes, timestamp, date, groupId }
+    createSymptomEntry(symptomName, details) {
+        const symptom = {
+            id: details.id,
+            type: symptomName.toLowerCase().replace(/\s+/g, '-'),
+            displayName: symptomName,
+            severity: details.severity,
+            duration: details.duration,
+            notes: details.notes,
+            timestamp: details.timestamp,
+            date: details.date,
+            isMultiple: details.groupId !== null,
+            groupId: details.groupId
+        };
+        if (this.getProfileId()) symptom.profileId = this.getProfileId();
+        return symptom;
+    }
+
     processAdditionalSymptoms(input) {
         // Split input by common delimiters and process each part
         const delimiters = /[,;]+/;
@@ -180,6 +470,14 @@ class HealthTracker {
                 });
             }
 
+            // Tracking period picker
+            const historyPeriod = document.getElementById('historyPeriod');
+            if (historyPeriod) {
+                historyPeriod.addEventListener('change', (e) => {
+                    this.selectPeriod(e.target.value);
+                });
+            }
+
             // History filter
             const historyFilter = document.getElementById('historyFilter');
             if (historyFilter) {
@@ -216,6 +514,8 @@ class HealthTracker {
             this.renderInsights();
         } else if (tabName === 'suggestions') {
             this.generateSuggestions();
+        } else if (tabName === 'patients') {
+            this.renderPatientDashboard();
         }
     }
 
@@ -323,7 +623,8 @@ class HealthTracker {
         try {
             if (window.AISuggestionEngine) {
                 this.aiEngine = new window.AISuggestionEngine();
-                // AI Suggestion Engine initialized successfully
+                // Redraw once the knowledge base (or its fallback) is in
+                this.aiEngine.ready.then(() => this.generateSuggestions());
             } else {
                 // AI Suggestion Engine not available, using fallback suggestions
             }
@@ -705,21 +1006,20 @@ class HealthTracker {
         const date = new Date().toLocaleDateString();
         const baseId = Date.now();
 
+        const logged = [];
         this.selectedSymptoms.forEach((symptomName, index) => {
-            const symptom = {
+            const symptom = this.createSymptomEntry(symptomName, {
                 id: baseId + index,
-                type: symptomName.toLowerCase().replace(/\s+/g, '-'),
-                displayName: symptomName,
                 severity: severity,
                 duration: duration,
                 notes: notes,
                 timestamp: timestamp,
                 date: date,
-                isMultiple: this.selectedSymptoms.length > 1,
                 groupId: this.selectedSymptoms.length > 1 ? baseId : null
-            };
+            });
 
             this.symptoms.push(symptom);
+            logged.push(symptom.id);
             
             // Check for emergency conditions
             this.checkEmergencyConditions(symptom);
@@ -734,8 +1034,11 @@ class HealthTracker {
                 : `${this.selectedSymptoms.length} symptoms logged successfully!`;
             this.showSuccessMessage(message);
         } catch (error) {
-            // Failed to save symptoms - showing user error message
-            this.showErrorMessage('Failed to save symptoms. Please try again.');
+            // Nothing was stored - drop the entries again so History does not show them
+            this.symptoms = this.symptoms.filter(symptom => !logged.includes(symptom.id));
+            this.showErrorMessage(error.name === 'StorageWriteError'
+                ? error.message
+                : 'Failed to save symptoms. Please try again.');
             return;
         }
         
@@ -777,7 +1080,7 @@ class HealthTracker {
 
     handleWhatsAppEmergencyAlert(symptom) {
         // Get user profile from localStorage
-        const userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+        const userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
         
         // Check if user has WhatsApp number configured
         if (userProfile.whatsappNumber) {
@@ -787,7 +1090,7 @@ class HealthTracker {
             }
             
             // Send emergency alert via WhatsApp
-            window.whatsappService.sendEmergencyAlert(userProfile, [symptom]);
+            window.whatsappService.sendEmergencyAlert(this.getAlertProfile(symptom, userProfile), [symptom]);
             
             // Show confirmation message
             this.showMessage('Emergency alert sent via WhatsApp!', 'success');
@@ -848,9 +1151,9 @@ class HealthTracker {
         }
         
         // Save to user profile
-        const userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+        const userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
         userProfile.whatsappNumber = phoneNumber;
-        localStorage.setItem('userProfile', JSON.stringify(userProfile));
+        userStorage.setItem('userProfile', JSON.stringify(userProfile));
         
         // Find the symptom and send alert
         const symptom = this.symptoms.find(s => s.id == symptomId);
@@ -861,7 +1164,7 @@ class HealthTracker {
             }
             
             // Send emergency alert
-            window.whatsappService.sendEmergencyAlert(userProfile, [symptom]);
+            window.whatsappService.sendEmergencyAlert(this.getAlertProfile(symptom, userProfile), [symptom]);
         }
         
         // Close modal and show success
@@ -880,7 +1183,7 @@ class HealthTracker {
 
     getUserProfile() {
         // Get user profile from localStorage or create default
-        let userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+        let userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
         
         // Set default values if not exists
         if (!userProfile.name) {
@@ -934,31 +1237,142 @@ class HealthTracker {
 
 
 
+    // Filtering goes through the database layer's indexed query API
+    // (see DatabaseManager.querySymptoms for the criteria), limited to the active
+    // profile and a tracking period
+    querySymptoms(criteria = {}, period = this.getViewedPeriod()) {
+        const scoped = this.scopeToPeriod({ ...criteria, profileId: this.getProfileId() }, period);
+        // No indexes without the database layer - the same criteria over the loaded records
+        if (!this.dbManager) return this.filterSymptoms(this.symptoms, scoped);
+        return this.dbManager.querySymptoms(scoped, this.getSubjectId()).results;
+    }
+
+    // Unindexed DatabaseManager.querySymptoms: same criteria, sorting and paging
+    filterSymptoms(symptoms, criteria) {
+        const time = value => new Date(value).getTime();
+        const ranged = criteria.from !== undefined || criteria.to !== undefined;
+        const from = criteria.from !== undefined ? time(criteria.from) : -Infinity;
+        const to = criteria.to !== undefined ? time(criteria.to) : Infinity;
+        const types = criteria.type !== undefined ? [].concat(criteria.type) : null;
+        const needle = criteria.text ? String(criteria.text).toLowerCase() : null;
+
+        const results = symptoms.filter(symptom =>
+            (types === null || types.includes(symptom.type)) &&
+            (criteria.groupId === undefined || criteria.groupId === null || symptom.groupId === criteria.groupId) &&
+            (criteria.date === undefined || symptom.date === criteria.date) &&
+            (!ranged || (time(symptom.timestamp) >= from && time(symptom.timestamp) <= to)) &&
+            (criteria.minSeverity === undefined || symptom.severity >= criteria.minSeverity) &&
+            (criteria.maxSeverity === undefined || symptom.severity <= criteria.maxSeverity) &&
+            (criteria.profileId === undefined || (symptom.profileId || null) === (criteria.profileId || null)) &&
+            (!needle || (typeof symptom.notes === 'string' && symptom.notes.toLowerCase().includes(needle)))
+        );
+
+        const field = criteria.sort || 'timestamp';
+        const direction = criteria.order === 'asc' ? 1 : -1;
+        results.sort((a, b) => {
+            if (field === 'timestamp') return direction * (time(a.timestamp) - time(b.timestamp));
+            if (typeof a[field] === 'number' && typeof b[field] === 'number') return direction * (a[field] - b[field]);
+            return direction * String(a[field] ?? '').localeCompare(String(b[field] ?? ''));
+        });
+
+        const offset = Math.max(0, criteria.offset || 0);
+        return criteria.limit !== undefined ? results.slice(offset, offset + criteria.limit) : results.slice(offset);
+    }
+
+    // Tracking periods (see DatabaseManager.getTrackingPeriods)
+    getTrackingPeriods() {
+        if (!this.dbManager) return [{ id: 'initial', startedAt: null, endedAt: null }];
+        return this.dbManager.getTrackingPeriods(this.getSubjectId());
+    }
+
+    getViewedPeriod() {
+        const periods = this.getTrackingPeriods();
+        return periods.find(period => period.id === this.periodId) || periods[periods.length - 1];
+    }
+
+    isViewingPastPeriod() {
+        return !!this.getViewedPeriod().endedAt;
+    }
+
+    // Narrows the query's from/to to the period
+    scopeToPeriod(criteria, period) {
+        const scoped = { ...criteria };
+        if (period.startedAt) {
+            const from = criteria.from !== undefined ? new Date(criteria.from).getTime() : -Infinity;
+            scoped.from = Math.max(from, new Date(period.startedAt).getTime());
+        }
+        if (period.endedAt) {
+            const to = criteria.to !== undefined ? new Date(criteria.to).getTime() : Infinity;
+            scoped.to = Math.min(to, new Date(period.endedAt).getTime() - 1);
+        }
+        return scoped;
+    }
+
+    formatPeriodLabel(period) {
+        const format = date => new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+        if (!period.endedAt) return period.startedAt ? `Current period (since ${format(period.startedAt)})` : 'Current period';
+        return period.startedAt ? `${format(period.startedAt)} - ${format(period.endedAt)}` : `Until ${format(period.endedAt)}`;
+    }
+
+    selectPeriod(periodId) {
+        const periods = this.getTrackingPeriods();
+        this.periodId = periodId === periods[periods.length - 1].id ? null : periodId;
+        this.renderHistory();
+        this.renderInsights();
+    }
+
+    // Closes the current period; its entries stay in History under the period picker
+    async startNewPeriod() {
+        if (!confirm('Start a new tracking period? Your current entries are kept and can still be viewed in History, but wellness scores and insights start fresh.')) return;
+
+        try {
+            await this.dbManager.startTrackingPeriod();
+            this.periodId = null;
+            this.renderHistory();
+            this.renderInsights();
+            this.generateSuggestions();
+            this.showMessage('New tracking period started', 'success');
+        } catch (error) {
+            this.showMessage(error.message, 'error');
+        }
+    }
+
+    renderPeriodSelect() {
+        const select = document.getElementById('historyPeriod');
+        if (!select) return;
+
+        const periods = this.getTrackingPeriods();
+        select.innerHTML = '';
+        [...periods].reverse().forEach(period => select.add(new Option(this.formatPeriodLabel(period), period.id)));
+        select.value = this.getViewedPeriod().id;
+        select.style.display = periods.length > 1 ? '' : 'none';
+    }
+
     getRecentSymptoms(days) {
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
         
-        return this.symptoms.filter(symptom => {
-            return new Date(symptom.timestamp) >= cutoffDate;
-        });
+        return this.querySymptoms({ from: cutoffDate, order: 'asc' });
     }
 
     renderHistory() {
         const timeline = document.getElementById('symptomTimeline');
         const filter = document.getElementById('historyFilter').value;
+        this.renderPeriodSelect();
         
-        let filteredSymptoms = [...this.symptoms];
+        let filteredSymptoms = this.querySymptoms();
         
         // Apply filter
         if (filter === 'today') {
-            const today = new Date().toLocaleDateString();
-            filteredSymptoms = filteredSymptoms.filter(s => s.date === today);
+            filteredSymptoms = this.querySymptoms({ date: new Date().toLocaleDateString() });
         } else if (filter === 'week') {
             filteredSymptoms = this.getRecentSymptoms(7);
         } else if (filter === 'month') {
             filteredSymptoms = this.getRecentSymptoms(30);
         }
         
+        this.renderArchive();
+
         // Group symptoms by timestamp (within 5 minutes of each other)
         const groupedSymptoms = this.groupSymptomsByTime(filteredSymptoms);
         
@@ -966,7 +1380,8 @@ class HealthTracker {
         groupedSymptoms.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
         
         if (groupedSymptoms.length === 0) {
-            timeline.innerHTML = '<p style="text-align: center; color: #666; padding: 40px;">No symptoms logged yet.</p>';
+            const message = this.getTrackingPeriods().length > 1 ? 'No symptoms logged in this period.' : 'No symptoms logged yet.';
+            timeline.innerHTML = `<p style="text-align: center; color: #666; padding: 40px;">${message}</p>`;
             return;
         }
         
@@ -975,6 +1390,10 @@ class HealthTracker {
             const avgSeverity = Math.round(group.symptoms.reduce((sum, s) => sum + s.severity, 0) / group.symptoms.length);
             const severityClass = this.getSeverityClass(avgSeverity);
             
+            // Closed periods are kept as they were
+            const editable = !!this.dbManager && !this.readOnly && !this.isViewingPastPeriod();
+            const groupIds = group.symptoms.map(s => s.id).join(',');
+
             // Create symptom list with individual severities
             const symptomList = group.symptoms.map(symptom => {
                 const individualSeverityClass = this.getSeverityClass(symptom.severity);
@@ -982,6 +1401,10 @@ class HealthTracker {
                     <div class="grouped-symptom">
                         <span class="symptom-name">${this.formatSymptomName(symptom)}</span>
                         <span class="individual-severity ${individualSeverityClass}">${symptom.severity}/10</span>
+                        ${editable ? `<span class="entry-actions">
+                            <button class="entry-action" onclick="healthTracker.openEditModal([${symptom.id}])" title="Edit entry"><i class="fas fa-pen"></i></button>
+                            <button class="entry-action delete" onclick="healthTracker.deleteEntries([${symptom.id}])" title="Delete entry"><i class="fas fa-trash"></i></button>
+                        </span>` : ''}
                     </div>
                 `;
             }).join('');
@@ -995,6 +1418,10 @@ class HealthTracker {
                     <div class="timeline-header">
                         <div class="timeline-date">${date.toLocaleDateString()} at ${date.toLocaleTimeString()}</div>
                         <div class="symptom-count">${group.symptoms.length} symptom${group.symptoms.length > 1 ? 's' : ''}</div>
+                        ${editable && group.symptoms.length > 1 ? `<span class="entry-actions">
+                            <button class="entry-action" onclick="healthTracker.openEditModal([${groupIds}])" title="Edit all symptoms in this entry"><i class="fas fa-pen"></i></button>
+                            <button class="entry-action delete" onclick="healthTracker.deleteEntries([${groupIds}])" title="Delete all symptoms in this entry"><i class="fas fa-trash"></i></button>
+                        </span>` : ''}
                     </div>
                     <div class="timeline-symptoms">
                         ${symptomList}
@@ -1090,6 +1517,7 @@ class HealthTracker {
         this.renderPatternAnalysis();
         this.renderWellnessTrend();
         this.renderRealTimeStats();
+        this.renderPeriodComparison();
     }
 
     renderFrequencyChart() {
@@ -1101,7 +1529,7 @@ class HealthTracker {
         }
         
         const symptomCounts = {};
-        this.symptoms.forEach(symptom => {
+        this.querySymptoms({ order: 'asc' }).forEach(symptom => {
             const name = this.formatSymptomName(symptom.type);
             symptomCounts[name] = (symptomCounts[name] || 0) + 1;
         });
@@ -1143,7 +1571,8 @@ class HealthTracker {
             this.charts.severity.destroy();
         }
         
-        const last30Days = this.getRecentSymptoms(30);
+        // A closed period is charted whole
+        const last30Days = this.isViewingPastPeriod() ? this.querySymptoms({ order: 'asc' }) : this.getRecentSymptoms(30);
         const dailyData = {};
         
         // Group by date and calculate average severity
@@ -1236,11 +1665,11 @@ class HealthTracker {
     }
 
     analyzeAdvancedPatterns() {
-        if (this.symptoms.length === 0) return [];
+        if (this.querySymptoms({ limit: 1 }).length === 0) return [];
         
         const patterns = [];
         const recentSymptoms = this.getRecentSymptoms(30);
-        const todaySymptoms = this.symptoms.filter(s => s.date === new Date().toLocaleDateString());
+        const todaySymptoms = this.querySymptoms({ date: new Date().toLocaleDateString(), order: 'asc' });
         const weekSymptoms = this.getRecentSymptoms(7);
         
         // Real-time symptom frequency analysis
@@ -1326,12 +1755,9 @@ class HealthTracker {
         
         // Wellness improvement pattern
         if (recentSymptoms.length > 5) {
-            const oldSymptoms = this.symptoms.filter(s => {
-                const date = new Date(s.timestamp);
-                const cutoff = new Date();
-                cutoff.setDate(cutoff.getDate() - 60);
-                return date < cutoff;
-            });
+            const cutoff = new Date();
+            cutoff.setDate(cutoff.getDate() - 60);
+            const oldSymptoms = this.querySymptoms({ to: cutoff.getTime() - 1, order: 'asc' });
             
             if (oldSymptoms.length > 0) {
                 const oldAvgSeverity = oldSymptoms.reduce((sum, s) => sum + s.severity, 0) / oldSymptoms.length;
@@ -1356,6 +1782,86 @@ class HealthTracker {
         return patterns.slice(0, 5); // Limit to top 5 patterns
     }
 
+    // The viewed tracking period side by side with the one before it
+    renderPeriodComparison() {
+        const container = document.getElementById('periodComparison');
+        if (!container) return;
+
+        const periods = this.getTrackingPeriods();
+        const viewedId = this.getViewedPeriod().id;
+        const index = periods.findIndex(period => period.id === viewedId);
+        if (index < 1) {
+            container.innerHTML = `
+                <div class="no-data-message">
+                    <i class="fas fa-layer-group"></i>
+                    <p>Start a new tracking period from History to compare periods</p>
+                </div>
+            `;
+            return;
+        }
+
+        const previous = this.calculatePeriodStats(periods[index - 1]);
+        const viewed = this.calculatePeriodStats(periods[index]);
+        // [label, stat, format, whether a higher value is better]
+        const rows = [
+            ['Entries logged', 'count', value => value, null],
+            ['Days tracked', 'days', value => value, null],
+            ['Average severity', 'averageSeverity', value => value === null ? '-' : `${value.toFixed(1)}/10`, false],
+            ['Average daily wellness', 'wellness', value => value, true],
+            ['Most common symptom', 'mostCommon', value => value, null]
+        ];
+
+        container.innerHTML = `
+            <table class="period-comparison">
+                <thead>
+                    <tr>
+                        <th></th>
+                        <th>${this.formatPeriodLabel(periods[index - 1])}</th>
+                        <th>${this.formatPeriodLabel(periods[index])}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([label, stat, format, higherIsBetter]) => {
+                        let change = '';
+                        if (higherIsBetter !== null && previous[stat] !== null && viewed[stat] !== null && previous[stat] !== viewed[stat]) {
+                            change = (viewed[stat] > previous[stat]) === higherIsBetter ? 'better' : 'worse';
+                        }
+                        return `
+                            <tr>
+                                <td>${label}</td>
+                                <td>${format(previous[stat])}</td>
+                                <td class="${change}">${format(viewed[stat])}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    calculatePeriodStats(period) {
+        const symptoms = this.querySymptoms({ order: 'asc' }, period);
+        const firstEntry = symptoms.length > 0 ? new Date(symptoms[0].timestamp).getTime() : Date.now();
+        const start = period.startedAt ? new Date(period.startedAt).getTime() : firstEntry;
+        const end = period.endedAt ? new Date(period.endedAt).getTime() : Date.now();
+
+        // Daily score as in calculateWellnessTrend; days without entries score 100
+        const severityByDay = {};
+        symptoms.forEach(symptom => {
+            severityByDay[symptom.date] = (severityByDay[symptom.date] || 0) + symptom.severity;
+        });
+        const days = Math.max(1, Math.ceil((end - start) / 86400000), Object.keys(severityByDay).length);
+        const pointsLost = Object.values(severityByDay).reduce((sum, severity) => sum + Math.min(100, severity * 2), 0);
+
+        return {
+            count: symptoms.length,
+            days: days,
+            averageSeverity: symptoms.length > 0 ? symptoms.reduce((sum, s) => sum + s.severity, 0) / symptoms.length : null,
+            wellness: Math.round(100 - pointsLost / days),
+            mostCommon: this.getMostCommonSymptom(symptoms)
+        };
+    }
+
     renderWellnessTrend() {
         // This will be rendered in a new insight card
         const wellnessData = this.calculateWellnessTrend();
@@ -1375,7 +1881,7 @@ class HealthTracker {
             date.setDate(date.getDate() - i);
             const dateStr = date.toLocaleDateString();
             
-            const daySymptoms = this.symptoms.filter(s => s.date === dateStr);
+            const daySymptoms = this.querySymptoms({ date: dateStr });
             let score = 100;
             daySymptoms.forEach(symptom => {
                 score -= symptom.severity * 2;
@@ -1393,7 +1899,7 @@ class HealthTracker {
 
     calculateRealTimeStats() {
         const today = new Date().toLocaleDateString();
-        const todaySymptoms = this.symptoms.filter(s => s.date === today);
+        const todaySymptoms = this.querySymptoms({ date: today, order: 'asc' });
         const weekSymptoms = this.getRecentSymptoms(7);
         const monthSymptoms = this.getRecentSymptoms(30);
         
@@ -1428,7 +1934,7 @@ class HealthTracker {
         const container = document.getElementById('suggestionsContainer');
         
         // Get current and recent symptoms
-        const todaySymptoms = this.symptoms.filter(s => s.date === new Date().toLocaleDateString());
+        const todaySymptoms = this.querySymptoms({ date: new Date().toLocaleDateString(), order: 'asc' });
         const recentSymptoms = this.getRecentSymptoms(7);
         
         // Generate AI-powered suggestions
@@ -1442,6 +1948,15 @@ class HealthTracker {
         const suggestions = aiSuggestions.length > 0 ? aiSuggestions : fallbackSuggestions;
         
         let html = '<h3><i class="fas fa-brain"></i> AI-Powered Health Insights</h3>';
+
+        if (this.aiEngine && this.aiEngine.knowledgeError) {
+            html += `
+                <div class="data-load-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <span>The health knowledge base could not be loaded, so suggestions come from a limited built-in set. (${this.aiEngine.knowledgeError})</span>
+                </div>
+            `;
+        }
         
         if (suggestions.length === 0) {
             html += `
@@ -1600,7 +2115,7 @@ class HealthTracker {
 
     // New ML Prediction Engine
     getSymptomPredictions() {
-        if (this.symptoms.length < 5) {
+        if (this.symptoms.filter(symptom => this.isInActiveProfile(symptom)).length < 5) {
             return []; // Need at least 5 symptoms for meaningful predictions
         }
 
@@ -1612,7 +2127,7 @@ class HealthTracker {
         // Analyze each potential symptom
         const potentialSymptoms = [
             'headache', 'fever', 'cough', 'fatigue', 'nausea', 
-            'dizziness', 'chest-pain', 'shortness-breath', 'stomach-pain', 'joint-pain'
+            'dizziness', 'chest-pain', 'shortness-of-breath', 'stomach-pain', 'joint-pain'
         ];
 
         potentialSymptoms.forEach(symptom => {
@@ -1634,22 +2149,24 @@ class HealthTracker {
             severityTrends: {}
         };
 
+        const symptoms = this.symptoms.filter(symptom => this.isInActiveProfile(symptom));
+
         // Analyze frequency patterns
-        this.symptoms.forEach(symptom => {
+        symptoms.forEach(symptom => {
             const name = symptom.type;
             patterns.frequency[name] = (patterns.frequency[name] || 0) + 1;
         });
 
         // Analyze symptom sequences (what follows what)
-        for (let i = 0; i < this.symptoms.length - 1; i++) {
-            const current = this.symptoms[i].type;
-            const next = this.symptoms[i + 1].type;
+        for (let i = 0; i < symptoms.length - 1; i++) {
+            const current = symptoms[i].type;
+            const next = symptoms[i + 1].type;
             const key = `${current}->${next}`;
             patterns.sequences[key] = (patterns.sequences[key] || 0) + 1;
         }
 
         // Analyze time patterns (day of week, time of day)
-        this.symptoms.forEach(symptom => {
+        symptoms.forEach(symptom => {
             const date = new Date(symptom.timestamp);
             const dayOfWeek = date.getDay();
             const hour = date.getHours();
@@ -1785,7 +2302,7 @@ class HealthTracker {
             nausea: 'Eat small frequent meals, avoid strong odors, and stay hydrated',
             dizziness: 'Stay hydrated, avoid sudden movements, and ensure adequate nutrition',
             'chest-pain': 'Avoid strenuous activity, practice relaxation techniques, and monitor closely',
-            'shortness-breath': 'Avoid allergens, practice breathing exercises, and stay in well-ventilated areas',
+            'shortness-of-breath': 'Avoid allergens, practice breathing exercises, and stay in well-ventilated areas',
             'stomach-pain': 'Eat bland foods, avoid spicy/fatty foods, and stay hydrated',
             'joint-pain': 'Stay active with gentle exercise, apply heat/cold therapy, and maintain healthy weight'
         };
@@ -1796,7 +2313,7 @@ class HealthTracker {
     getRuleBasedSuggestions() {
         const suggestions = [];
         const recentSymptoms = this.getRecentSymptoms(7);
-        const todaySymptoms = this.symptoms.filter(s => s.date === new Date().toLocaleDateString());
+        const todaySymptoms = this.querySymptoms({ date: new Date().toLocaleDateString(), order: 'asc' });
         
         // Emergency symptoms
         const emergencySymptoms = recentSymptoms.filter(s => 
@@ -1909,10 +2426,10 @@ class HealthTracker {
 
     markSuggestionHelpful(suggestionId) {
         // Track helpful suggestions for learning
-        const helpfulSuggestions = JSON.parse(localStorage.getItem('helpful_suggestions') || '[]');
+        const helpfulSuggestions = JSON.parse(userStorage.getItem('helpful_suggestions') || '[]');
         if (!helpfulSuggestions.includes(suggestionId)) {
             helpfulSuggestions.push(suggestionId);
-            localStorage.setItem('helpful_suggestions', JSON.stringify(helpfulSuggestions));
+            userStorage.setItem('helpful_suggestions', JSON.stringify(helpfulSuggestions));
         }
         
         // Visual feedback
@@ -1929,10 +2446,10 @@ class HealthTracker {
 
     dismissSuggestion(suggestionId) {
         // Track dismissed suggestions
-        const dismissedSuggestions = JSON.parse(localStorage.getItem('dismissed_suggestions') || '[]');
+        const dismissedSuggestions = JSON.parse(userStorage.getItem('dismissed_suggestions') || '[]');
         if (!dismissedSuggestions.includes(suggestionId)) {
             dismissedSuggestions.push(suggestionId);
-            localStorage.setItem('dismissed_suggestions', JSON.stringify(dismissedSuggestions));
+            userStorage.setItem('dismissed_suggestions', JSON.stringify(dismissedSuggestions));
         }
         
         // Hide the suggestion
@@ -1969,16 +2486,29 @@ class HealthTracker {
 
     async loadSymptoms() {
         try {
-            if (this.dbManager) {
-                this.symptoms = await this.dbManager.loadSymptoms();
+            if (this.readOnly && !this.subjectId) {
+                this.symptoms = []; // No patient to show yet
+            } else if (this.dbManager) {
+                this.symptoms = await this.dbManager.loadSymptoms(this.getSubjectId());
             } else {
                 // Fallback to localStorage if database manager not available
-                const stored = localStorage.getItem('healthtracker_symptoms');
+                const stored = userStorage.getItem('healthtracker_symptoms');
                 this.symptoms = stored ? JSON.parse(stored) : [];
             }
         } catch (error) {
+            // A shared log that cannot be read (access withdrawn, encrypted) shows as empty;
+            // the fallback below would be the viewer's own storage
+            if (this.readOnly) {
+                this.symptoms = [];
+                this.showMessage(error.name === 'VaultLockedError' ? 'This patient\'s records are encrypted and cannot be shown' : error.message, 'error');
+                return;
+            }
+
+            // Locked encrypted data must not be read (or overwritten) via the raw fallback
+            if (error.name === 'VaultLockedError' || error.name === 'PermissionError') throw error;
+
             // Failed to load symptoms - using localStorage fallback
-            const stored = localStorage.getItem('healthtracker_symptoms');
+            const stored = userStorage.getItem('healthtracker_symptoms');
             this.symptoms = stored ? JSON.parse(stored) : [];
         }
     }
@@ -1989,17 +2519,415 @@ class HealthTracker {
                 await this.dbManager.saveSymptoms(this.symptoms);
             } else {
                 // Fallback to localStorage
-                localStorage.setItem('healthtracker_symptoms', JSON.stringify(this.symptoms));
+                userStorage.setItem('healthtracker_symptoms', JSON.stringify(this.symptoms));
             }
         } catch (error) {
+            // Storage full: the raw fallback would fail too, and the caller must say so
+            if (error.name === 'VaultLockedError' || error.name === 'StorageWriteError') throw error;
+
             // Failed to save symptoms - using localStorage fallback
-            localStorage.setItem('healthtracker_symptoms', JSON.stringify(this.symptoms));
+            userStorage.setItem('healthtracker_symptoms', JSON.stringify(this.symptoms));
         }
     }
 
+    // Encryption lock/unlock
+    async ensureUnlocked() {
+        if (!this.dbManager) return;
+        await this.dbManager.ready;
+
+        const lockBtn = document.getElementById('lockDataBtn');
+        const enabled = this.dbManager.isEncryptionEnabled();
+        if (lockBtn) lockBtn.style.display = enabled ? '' : 'none';
+
+        if (!enabled) {
+            if (this.dbManager.getSetting('encryption')) {
+                this.showInfoMessage('Encryption is required on this device. Please set a passphrase in Settings.');
+            }
+            return;
+        }
+
+        if (!this.dbManager.isUnlocked()) {
+            await this.showUnlockPrompt();
+        }
+    }
+
+    showUnlockPrompt() {
+        const existing = document.getElementById('unlockModal');
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'unlockModal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 420px;">
+                <div class="modal-header">
+                    <h2><i class="fas fa-lock"></i> Health Data Locked</h2>
+                </div>
+                <div class="modal-body">
+                    <p style="margin-bottom: 20px;">Your symptom records are encrypted. Enter your passphrase to unlock them.</p>
+                    <div class="form-group">
+                        <input type="password" id="unlockPassphraseInput" placeholder="Passphrase" autocomplete="current-password" style="width: 100%; padding: 12px; border: 2px solid #ddd; border-radius: 8px; font-size: 16px;" />
+                    </div>
+                    <p id="unlockError" style="color: #e74c3c; display: none; margin-top: 10px;"></p>
+                    <button onclick="healthTracker.submitUnlock()" class="btn-primary" style="width: 100%; margin-top: 15px; justify-content: center;">
+                        <i class="fas fa-unlock"></i> Unlock
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const input = document.getElementById('unlockPassphraseInput');
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.submitUnlock();
+        });
+        setTimeout(() => input.focus(), 100);
+
+        return new Promise(resolve => {
+            this.unlockResolver = resolve;
+        });
+    }
+
+    async submitUnlock() {
+        const input = document.getElementById('unlockPassphraseInput');
+        const errorText = document.getElementById('unlockError');
+
+        try {
+            await this.dbManager.unlockEncryption(input.value);
+        } catch (error) {
+            errorText.textContent = error.message;
+            errorText.style.display = 'block';
+            input.value = '';
+            input.focus();
+            return;
+        }
+
+        document.getElementById('unlockModal').remove();
+        if (this.unlockResolver) {
+            this.unlockResolver();
+            this.unlockResolver = null;
+        }
+    }
+
+    async lockData() {
+        this.dbManager.lockEncryption();
+        this.symptoms = [];
+        this.renderHistory();
+        this.renderInsights();
+        this.generateSuggestions();
+
+        await this.showUnlockPrompt();
+        await this.loadSymptoms();
+        this.renderHistory();
+        this.renderInsights();
+        this.generateSuggestions();
+    }
+
+    // History editing
+    openEditModal(ids) {
+        const entries = this.symptoms.filter(s => ids.includes(s.id));
+        if (entries.length === 0) return;
+
+        const existing = document.getElementById('editSymptomModal');
+        if (existing) existing.remove();
+
+        const first = entries[0];
+        const title = entries.length > 1
+            ? `Edit ${entries.length} Symptoms`
+            : `Edit ${this.formatSymptomName(first)}`;
+        const durationOptions = document.getElementById('duration')
+            ? document.getElementById('duration').innerHTML
+            : `<option value="${first.duration || ''}">${this.formatDuration(first.duration)}</option>`;
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'editSymptomModal';
+        modal.style.display = 'flex';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 460px;">
+                <div class="modal-header">
+                    <h2><i class="fas fa-pen"></i> ${title}</h2>
+                    <span class="close" onclick="healthTracker.closeEditModal()">&times;</span>
+                </div>
+                <div class="modal-body">
+                    <div class="form-group">
+                        <label for="editSeverity">Severity Level: <span id="editSeverityValue">${first.severity}</span>/10</label>
+                        <input type="range" id="editSeverity" min="1" max="10" value="${first.severity}">
+                    </div>
+                    <div class="form-group">
+                        <label for="editDuration">Duration:</label>
+                        <select id="editDuration">${durationOptions}</select>
+                    </div>
+                    <div class="form-group">
+                        <label for="editNotes">Notes:</label>
+                        <textarea id="editNotes"></textarea>
+                    </div>
+                    <p id="editError" style="color: #e74c3c; display: none; margin-top: 10px;"></p>
+                    <button onclick="healthTracker.submitEdit()" class="btn-primary" style="width: 100%; margin-top: 15px; justify-content: center;">
+                        <i class="fas fa-save"></i> Save Changes
+                    </button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        // Values set as properties so notes are never parsed as markup
+        const severityInput = document.getElementById('editSeverity');
+        severityInput.addEventListener('input', () => {
+            document.getElementById('editSeverityValue').textContent = severityInput.value;
+        });
+        document.getElementById('editDuration').value = first.duration || '';
+        document.getElementById('editNotes').value = first.notes || '';
+
+        this.editingIds = entries.map(s => s.id);
+    }
+
+    closeEditModal() {
+        const modal = document.getElementById('editSymptomModal');
+        if (modal) modal.remove();
+        this.editingIds = null;
+    }
+
+    async submitEdit() {
+        if (!this.editingIds) return;
+
+        const changes = {
+            severity: parseInt(document.getElementById('editSeverity').value),
+            duration: document.getElementById('editDuration').value,
+            notes: document.getElementById('editNotes').value
+        };
+
+        // A whole multi-symptom entry is edited through its groupId
+        const entries = this.symptoms.filter(s => this.editingIds.includes(s.id));
+        const groupId = entries[0].groupId;
+        const wholeGroup = groupId && entries.length > 1 &&
+            entries.every(s => s.groupId === groupId) &&
+            this.querySymptoms({ groupId: groupId }).length === entries.length;
+
+        try {
+            const previous = wholeGroup
+                ? await this.dbManager.updateSymptomGroup(groupId, changes)
+                : await this.dbManager.updateSymptoms(this.editingIds, changes);
+
+            this.closeEditModal();
+            this.refreshFromDatabase();
+            this.showUndoMessage(entries.length > 1 ? `${entries.length} symptoms updated` : 'Entry updated', previous);
+        } catch (error) {
+            const errorText = document.getElementById('editError');
+            errorText.textContent = error.name === 'VaultLockedError'
+                ? 'Your records are locked - unlock them, then save again.'
+                : `Could not save: ${error.message}`;
+            errorText.style.display = 'block';
+            if (error.name === 'VaultLockedError') this.showUnlockPrompt();
+        }
+    }
+
+    async deleteEntries(ids) {
+        try {
+            const removed = await this.dbManager.deleteSymptoms(ids);
+            this.refreshFromDatabase();
+            this.showUndoMessage(removed.length > 1 ? `${removed.length} symptoms deleted` : 'Entry deleted', removed);
+        } catch (error) {
+            if (error.name === 'VaultLockedError') {
+                this.promptUnlockToRetry('delete');
+                return;
+            }
+            this.showErrorMessage('Failed to delete entry. Please try again.');
+        }
+    }
+
+    showUndoMessage(message, previous) {
+        const existingMessage = document.querySelector('.undo-message');
+        if (existingMessage) existingMessage.remove();
+        clearTimeout(this.undoTimer);
+
+        this.undoRecords = previous;
+
+        const undoDiv = document.createElement('div');
+        undoDiv.className = 'success-message undo-message';
+        undoDiv.innerHTML = `
+            <i class="fas fa-check-circle"></i>
+            <span>${message}</span>
+            <button class="undo-btn" onclick="healthTracker.undoLastChange()">Undo</button>
+        `;
+
+        document.getElementById('history').appendChild(undoDiv);
+
+        this.undoTimer = setTimeout(() => {
+            undoDiv.remove();
+            this.undoRecords = null;
+        }, this.undoTimeout);
+    }
+
+    async undoLastChange() {
+        if (!this.undoRecords) return;
+
+        const records = this.undoRecords;
+        this.undoRecords = null;
+        clearTimeout(this.undoTimer);
+        const message = document.querySelector('.undo-message');
+        if (message) message.remove();
+
+        try {
+            await this.dbManager.restoreSymptoms(records);
+            this.refreshFromDatabase();
+        } catch (error) {
+            if (error.name === 'VaultLockedError') {
+                // Nothing was restored - keep the undo around for after unlocking
+                this.showUndoMessage('Unlock your records to undo', records);
+                this.promptUnlockToRetry('undo');
+                return;
+            }
+            this.showErrorMessage('Failed to undo. Please try again.');
+        }
+    }
+
+    // The records were locked (in another tab, or by turning encryption on)
+    // while a change was made: nothing was written
+    promptUnlockToRetry(action) {
+        this.showErrorMessage(`Your records are locked - unlock them, then ${action} again.`);
+        this.showUnlockPrompt();
+    }
+
+    // The database layer's indexes already hold the edited set
+    refreshFromDatabase() {
+        this.symptoms = this.dbManager.querySymptoms({ order: 'asc' }, this.getSubjectId()).results;
+        this.renderHistory();
+        this.renderInsights();
+        this.generateSuggestions();
+    }
+
+    // Sync status indicator
+    watchSyncStatus() {
+        if (!this.dbManager) return;
+
+        this.dbManager.onSyncStatusChange(async status => {
+            if (status.userId !== this.dbManager.getActiveUserId()) return;
+            this.updateSyncIndicator(status);
+
+            // Another device changed records - show them
+            if (status.changed) {
+                await this.loadSymptoms();
+                this.renderHistory();
+                this.renderInsights();
+            }
+        });
+        this.updateSyncIndicator(this.dbManager.getSyncStatus());
+    }
+
+    updateSyncIndicator(status) {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const views = {
+            synced: { icon: 'fa-check-circle', text: 'Synced' },
+            syncing: { icon: 'fa-sync-alt fa-spin', text: 'Syncing...' },
+            pending: { icon: 'fa-cloud-upload-alt', text: `${status.pending} pending` },
+            offline: { icon: 'fa-plane', text: status.pending > 0 ? `Offline (${status.pending} pending)` : 'Offline' },
+            error: { icon: 'fa-exclamation-triangle', text: 'Sync failed' },
+            local: { icon: 'fa-hdd', text: 'This device only' }
+        };
+        const view = views[status.status] || views.local;
+
+        indicator.className = `sync-status sync-${status.status}`;
+        indicator.innerHTML = `<i class="fas ${view.icon}"></i><span>${view.text}</span>`;
+
+        const details = [];
+        if (status.lastSyncedAt) details.push(`Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`);
+        if (status.error) details.push(status.error);
+        if (status.conflicts > 0) details.push(`${status.conflicts} conflict(s) resolved - see Database Status`);
+        details.push('Click to sync now');
+        indicator.title = details.join('\n');
+    }
+
+    // Another open tab logged, edited or synced records - reload and redraw
+    watchOtherTabs() {
+        if (!this.dbManager) return;
+
+        this.dbManager.onDataChange(async change => {
+            if (this.currentTab === 'patients') this.refreshPatientSummary(change.userId);
+            if (change.userId !== null && change.userId !== this.getSubjectId()) return;
+
+            // Encryption was turned on, off or re-keyed there - ask for the passphrase here too
+            if (change.kind === 'encryption') await this.ensureUnlocked();
+
+            try {
+                await this.loadSymptoms();
+            } catch (error) {
+                // Locked records stay hidden until the passphrase is entered
+                return;
+            }
+            this.renderHistory();
+            this.renderInsights();
+            this.generateSuggestions();
+        });
+    }
+
+    // Storage quota warnings
+    watchStorage() {
+        if (!this.dbManager) return;
+
+        this.dbManager.onStorageStatusChange(usage => {
+            if (usage.level === 'warning') {
+                this.showMessage(`Device storage is ${usage.percent}% full. Shorten how long detailed entries are kept in Settings → Data Retention to free up space.`, 'info');
+            } else if (usage.level === 'full') {
+                this.showMessage('Device storage is full - new entries cannot be saved. Shorten your data retention period in Settings to free up space.', 'error');
+            }
+        });
+        this.dbManager.ready.then(() => this.dbManager.checkStorageQuota());
+    }
+
+    // Monthly summaries of entries older than the retention period
+    async renderArchive() {
+        const container = document.getElementById('archivedSummaries');
+        if (!container || !this.dbManager) return;
+
+        let summaries = [];
+        try {
+            summaries = await this.dbManager.getArchivedSummaries(this.getSubjectId(), this.getProfileId());
+        } catch (error) {
+            // Archive locked or unreadable - nothing to show
+        }
+
+        if (summaries.length === 0 || document.getElementById('historyFilter').value !== 'all') {
+            container.innerHTML = '';
+            return;
+        }
+
+        const months = [...new Set(summaries.map(summary => summary.month))];
+        container.innerHTML = `
+            <h3><i class="fas fa-archive"></i> Archived Months</h3>
+            ${months.map(month => {
+                const label = new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'long' });
+                const rows = summaries.filter(summary => summary.month === month);
+                return `
+                    <div class="timeline-item archived">
+                        <div class="timeline-header">
+                            <div class="timeline-date">${label}</div>
+                            <div class="symptom-count">${rows.reduce((sum, row) => sum + row.count, 0)} entries</div>
+                        </div>
+                        <div class="timeline-symptoms">
+                            ${rows.map(row => `
+                                <div class="grouped-symptom">
+                                    <span class="symptom-name">${row.displayName} &times; ${row.count}</span>
+                                    <span class="individual-severity ${this.getSeverityClass(Math.round(row.averageSeverity))}">avg ${row.averageSeverity}/10 (${row.minSeverity}-${row.maxSeverity})</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
     // Check if new user setup is needed
     checkNewUserSetup() {
-        const userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+        if (this.dbManager && !this.dbManager.hasPermission('records:own')) return; // Nothing to set up for a read-only view
+
+        const userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
         
         // Check if user has completed initial setup
         if (!userProfile.name || !userProfile.whatsappNumber) {
@@ -2279,7 +3207,7 @@ class HealthTracker {
             lastUpdated: new Date().toISOString()
         };
         
-        localStorage.setItem('userProfile', JSON.stringify(userProfile));
+        userStorage.setItem('userProfile', JSON.stringify(userProfile));
         
         // Close modal
         this.closeNewUserSetupModal();
@@ -2299,7 +3227,7 @@ class HealthTracker {
             lastUpdated: new Date().toISOString()
         };
         
-        localStorage.setItem('userProfile', JSON.stringify(userProfile));
+        userStorage.setItem('userProfile', JSON.stringify(userProfile));
         
         // Close modal
         this.closeNewUserSetupModal();
@@ -2442,29 +3370,23 @@ function toggleTheme() {
 // Add some demo data for testing (remove in production)
 function addDemoData() {
     // Note: HealthTracker instance should already be created in DOMContentLoaded
-    const demoSymptoms = [
-        {
-            id: Date.now() - 86400000,
-            type: 'headache',
-            severity: 6,
-            duration: '1-6-hours',
-            notes: 'Started after working on computer for long hours',
-            timestamp: new Date(Date.now() - 86400000).toISOString(),
-            date: new Date(Date.now() - 86400000).toLocaleDateString()
-        },
-        {
-            id: Date.now() - 172800000,
-            type: 'fatigue',
-            severity: 4,
-            duration: '6-24-hours',
-            notes: 'Feeling tired throughout the day',
-            timestamp: new Date(Date.now() - 172800000).toISOString(),
-            date: new Date(Date.now() - 172800000).toLocaleDateString()
-        }
+    const demo = [
+        { name: 'Headache', daysAgo: 1, severity: 6, duration: '1-6-hours', notes: 'Started after working on computer for long hours' },
+        { name: 'Fatigue', daysAgo: 2, severity: 4, duration: '6-24-hours', notes: 'Feeling tired throughout the day' }
     ];
-    
-    localStorage.setItem('healthtracker_symptoms', JSON.stringify(demoSymptoms));
-    location.reload();
+
+    // Added to the log like any entry, so they pass the same checks
+    demo.forEach(({ name, daysAgo, ...details }) => {
+        const loggedAt = new Date(Date.now() - daysAgo * 86400000);
+        healthTracker.symptoms.push(healthTracker.createSymptomEntry(name, {
+            ...details,
+            id: loggedAt.getTime(),
+            timestamp: loggedAt.toISOString(),
+            date: loggedAt.toLocaleDateString(),
+            groupId: null
+        }));
+    });
+    healthTracker.saveSymptoms().then(() => location.reload());
 }
 
 // Uncomment the line below to add demo data for testing
@@ -2485,31 +3407,376 @@ function closeSettingsModal() {
 }
 
 function loadSettingsData() {
-    const userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+    const userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
     
     // Populate form fields
     document.getElementById('userNameInput').value = userProfile.name || '';
+    loadAccountSettings();
+    loadFamilySettings();
+    loadPasswordSettings();
+    loadQuickUnlockSettings();
+    loadSharingSettings();
+    loadEncryptionSettings();
+    loadRetentionSettings();
+}
+
+// Fills the profile fields from the account in users.json, when there is one
+async function loadAccountSettings() {
+    if (!window.accountManager) return;
+
+    const account = await window.accountManager.getAccount();
+    if (!account) return;
+
+    const profile = account.profile || {};
+    document.getElementById('accountSummaryText').textContent = `Signed in as ${account.username}`;
+    if (profile.firstName) document.getElementById('userNameInput').value = profile.firstName;
+    document.getElementById('lastNameInput').value = profile.lastName || '';
+    document.getElementById('emailInput').value = account.email || '';
+    document.getElementById('dateOfBirthInput').value = profile.dateOfBirth || '';
+    document.getElementById('genderInput').value = profile.gender || '';
+    document.getElementById('emergencyContactInput').value = profile.emergencyContact || '';
+}
+
+function loadFamilySettings() {
+    editFamilyMember(null);
+
+    const list = document.getElementById('familyMembersList');
+    list.innerHTML = '';
+    healthTracker.dependents.forEach(dependent => {
+        const item = document.createElement('li');
+        item.textContent = dependent.dateOfBirth
+            ? `${dependent.name} (born ${new Date(`${dependent.dateOfBirth}T00:00:00`).toLocaleDateString()})`
+            : dependent.name;
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = 'Edit';
+        button.onclick = () => editFamilyMember(dependent.id);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+// Fills the form with a family member's details; null clears it for adding one
+function editFamilyMember(dependentId) {
+    const dependent = healthTracker.dependents.find(candidate => candidate.id === dependentId) || {};
+    document.getElementById('familyEditId').value = dependent.id || '';
+    document.getElementById('familyNameInput').value = dependent.name || '';
+    document.getElementById('familyDateOfBirthInput').value = dependent.dateOfBirth || '';
+    document.getElementById('familyEmergencyContactInput').value = dependent.emergencyContact || '';
+    document.getElementById('familySaveBtn').innerHTML = dependent.id
+        ? '<i class="fas fa-save"></i> Save Changes'
+        : '<i class="fas fa-user-plus"></i> Add Family Member';
+}
+
+async function saveFamilyMember() {
+    const dependentId = document.getElementById('familyEditId').value;
+    const details = {
+        name: document.getElementById('familyNameInput').value,
+        dateOfBirth: document.getElementById('familyDateOfBirthInput').value,
+        emergencyContact: document.getElementById('familyEmergencyContactInput').value
+    };
+
+    try {
+        const saved = dependentId
+            ? await window.accountManager.updateDependent(dependentId, details)
+            : await window.accountManager.addDependent(details);
+        await healthTracker.loadProfiles();
+        loadFamilySettings();
+        healthTracker.showMessage(dependentId ? 'Family member updated' : `${saved.name} added - choose them in the header to log their symptoms`, 'success');
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+async function loadPasswordSettings() {
+    ['currentPasswordInput', 'newPasswordInput', 'confirmPasswordInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('recoveryCodesOutput').style.display = 'none';
+    if (!window.accountManager) return;
+
+    const account = await window.accountManager.getAccount();
+    if (!account) return;
+    document.getElementById('recoveryCodesStatus').textContent = account.recoveryCodesLeft > 0
+        ? `You have ${account.recoveryCodesLeft} unused recovery code${account.recoveryCodesLeft === 1 ? '' : 's'} for resetting a forgotten password.`
+        : 'You have no recovery codes. Enter your current password and choose New Recovery Codes so you can reset a forgotten password.';
+}
+
+async function changePassword() {
+    const current = document.getElementById('currentPasswordInput').value;
+    const password = document.getElementById('newPasswordInput').value;
+
+    if (password !== document.getElementById('confirmPasswordInput').value) {
+        healthTracker.showMessage('New passwords do not match', 'error');
+        return;
+    }
+
+    try {
+        await window.accountManager.changePassword(current, password);
+        healthTracker.showMessage('Password changed', 'success');
+        loadPasswordSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.name === 'LoginLockedError' ? 'Too many wrong passwords - please try again later' : error.message, 'error');
+    }
+}
+
+// The new codes are shown once, here
+async function regenerateRecoveryCodes() {
+    if (!confirm('Create new recovery codes? Any codes you saved before will stop working.')) return;
+
+    try {
+        const codes = await window.accountManager.regenerateRecoveryCodes(document.getElementById('currentPasswordInput').value);
+        await loadPasswordSettings();
+
+        const output = document.getElementById('recoveryCodesOutput');
+        output.innerHTML = '';
+        codes.forEach(code => {
+            const item = document.createElement('li');
+            item.textContent = code;
+            output.appendChild(item);
+        });
+        output.style.display = '';
+        healthTracker.showMessage('Save these recovery codes somewhere safe - they will not be shown again', 'success');
+    } catch (error) {
+        healthTracker.showMessage(error.name === 'LoginLockedError' ? 'Too many wrong passwords - please try again later' : error.message, 'error');
+    }
+}
+
+async function loadQuickUnlockSettings() {
+    ['quickUnlockPinInput', 'quickUnlockConfirmInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    if (!window.quickUnlock) return;
+
+    const setup = window.quickUnlock.getSetup();
+    const available = window.quickUnlock.isAvailable();
+    const idleMinutes = Math.round(window.dbManager.getSetting('sessionIdleTimeout') / 60000);
+    document.getElementById('quickUnlockDisableBtn').style.display = setup ? '' : 'none';
+    document.getElementById('quickUnlockPinBtn').disabled = !available;
+    document.getElementById('quickUnlockStatus').textContent = setup
+        ? `Quick unlock with your PIN is on for this device until you sign out. The app locks after ${idleMinutes} idle minutes; ${QUICK_UNLOCK_MAX_FAILURES} failed attempts sign you out.`
+        : available
+            ? `Stay signed in on this device. After ${idleMinutes} idle minutes the app locks and opens again with a PIN instead of your password.`
+            : 'Quick unlock is not supported by this browser.';
+}
+
+async function saveQuickUnlockPin() {
+    const pin = document.getElementById('quickUnlockPinInput').value;
+
+    if (pin !== document.getElementById('quickUnlockConfirmInput').value) {
+        healthTracker.showMessage('PINs do not match', 'error');
+        return;
+    }
+
+    try {
+        await window.quickUnlock.enablePin(pin);
+        healthTracker.showMessage('Quick unlock PIN set for this device', 'success');
+        loadQuickUnlockSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
 }
 
-function saveSettings() {
+async function disableQuickUnlock() {
+    try {
+        await window.quickUnlock.disable();
+        healthTracker.showMessage('Quick unlock turned off', 'success');
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+    loadQuickUnlockSettings();
+}
+
+// Doctors the user can share with, and the ones already reading their records
+async function loadSharingSettings() {
+    if (!window.accountManager || !window.dbManager.hasPermission('records:share')) return;
+
+    const [account, doctors] = await Promise.all([window.accountManager.getAccount(), window.accountManager.listDoctors()]);
+    if (!account) return;
+
+    const sharedWith = account.sharedWith || [];
+    const doctorName = doctor => {
+        const name = [doctor.profile?.firstName, doctor.profile?.lastName].filter(Boolean).join(' ');
+        return name ? `Dr. ${name} (${doctor.username})` : doctor.username;
+    };
+
+    const select = document.getElementById('doctorSelect');
+    select.innerHTML = '';
+    doctors.filter(doctor => !sharedWith.includes(doctor.id)).forEach(doctor => {
+        select.add(new Option(doctorName(doctor), doctor.id));
+    });
+    if (select.options.length === 0) select.add(new Option('No other doctors registered', ''));
+    select.disabled = !select.value;
+
+    const list = document.getElementById('sharedDoctorsList');
+    list.innerHTML = '';
+    doctors.filter(doctor => sharedWith.includes(doctor.id)).forEach(doctor => {
+        const item = document.createElement('li');
+        item.textContent = doctorName(doctor);
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = 'Stop sharing';
+        button.onclick = () => stopSharing(doctor.id);
+        item.appendChild(button);
+        list.appendChild(item);
+    });
+}
+
+async function shareWithDoctor() {
+    const doctorId = document.getElementById('doctorSelect').value;
+    if (!doctorId) return;
+
+    try {
+        await window.accountManager.shareRecordsWith(doctorId);
+        healthTracker.showMessage('Your records are now shared', 'success');
+        loadSharingSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+async function stopSharing(doctorId) {
+    try {
+        await window.accountManager.stopSharingWith(doctorId);
+        healthTracker.showMessage('Sharing stopped', 'success');
+        loadSharingSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+async function loadRetentionSettings() {
+    if (!window.dbManager) return;
+    await window.dbManager.ready;
+
+    document.getElementById('dataRetentionSelect').value = String(window.dbManager.getRetentionDays());
+    const usage = await window.dbManager.getStorageUsage();
+    document.getElementById('storageUsageText').textContent = `Device storage ${usage.percent}% used`;
+}
+
+async function saveRetentionSettings() {
+    const days = Number(document.getElementById('dataRetentionSelect').value);
+    if (days > 0 && !confirm('Entries older than this will be replaced by monthly summaries on this device. Continue?')) return;
+
+    try {
+        await window.dbManager.saveUserPreferences({ dataRetention: days });
+        await healthTracker.loadSymptoms();
+        healthTracker.renderHistory();
+        healthTracker.renderInsights();
+        healthTracker.showMessage('Data retention saved', 'success');
+        loadRetentionSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+function loadEncryptionSettings() {
+    const enabled = window.dbManager && window.dbManager.isEncryptionEnabled();
+
+    document.getElementById('encryptionStatusText').textContent = enabled
+        ? 'Your symptom records are encrypted on this device. Change your passphrase or turn encryption off below.'
+        : 'Encrypt your symptom records on this device with a passphrase.';
+    document.getElementById('currentPassphraseGroup').style.display = enabled ? 'block' : 'none';
+    document.getElementById('newPassphraseLabel').textContent = enabled ? 'New Passphrase:' : 'Passphrase:';
+    document.querySelector('#saveEncryptionBtn span').textContent = enabled ? 'Change Passphrase' : 'Enable Encryption';
+    document.getElementById('disableEncryptionBtn').style.display = enabled ? '' : 'none';
+    document.getElementById('lockDataBtn').style.display = enabled ? '' : 'none';
+
+    ['currentPassphraseInput', 'newPassphraseInput', 'confirmPassphraseInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+}
+
+async function saveEncryptionSettings() {
+    const current = document.getElementById('currentPassphraseInput').value;
+    const passphrase = document.getElementById('newPassphraseInput').value;
+    const confirmation = document.getElementById('confirmPassphraseInput').value;
+
+    if (passphrase.length < 8) {
+        healthTracker.showMessage('Passphrase must be at least 8 characters', 'error');
+        return;
+    }
+    if (passphrase !== confirmation) {
+        healthTracker.showMessage('Passphrases do not match', 'error');
+        return;
+    }
+
+    try {
+        if (window.dbManager.isEncryptionEnabled()) {
+            await window.dbManager.changePassphrase(current, passphrase);
+            healthTracker.showMessage('Passphrase changed and records re-encrypted', 'success');
+        } else {
+            await window.dbManager.enableEncryption(passphrase);
+            healthTracker.showMessage('Encryption enabled for your symptom records', 'success');
+        }
+        loadEncryptionSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+async function disableEncryptionSettings() {
+    const current = document.getElementById('currentPassphraseInput').value;
+
+    if (!confirm('Turn off encryption? Your symptom records will be stored unencrypted on this device.')) return;
+
+    try {
+        await window.dbManager.disableEncryption(current);
+        healthTracker.showMessage('Encryption turned off', 'success');
+        loadEncryptionSettings();
+    } catch (error) {
+        healthTracker.showMessage(error.message, 'error');
+    }
+}
+
+function lockHealthData() {
+    healthTracker.lockData();
+}
+
+function syncNow() {
+    if (window.dbManager) window.dbManager.syncWithDatabase();
+}
+
+async function saveSettings() {
     const userName = document.getElementById('userNameInput').value.trim();
+    const lastName = document.getElementById('lastNameInput').value.trim();
     
     // Validate inputs
     if (!userName) {
-        showErrorMessage('कृपया अपना नाम दर्ज करें / Please enter your name');
+        healthTracker.showErrorMessage('कृपया अपना नाम दर्ज करें / Please enter your name');
         return;
     }
+
+    // Update the account first so a taken email leaves nothing half-saved
+    if (window.accountManager && await window.accountManager.getAccount()) {
+        try {
+            await window.accountManager.updateProfile({
+                email: document.getElementById('emailInput').value,
+                profile: {
+                    firstName: userName,
+                    lastName: lastName,
+                    dateOfBirth: document.getElementById('dateOfBirthInput').value,
+                    gender: document.getElementById('genderInput').value,
+                    emergencyContact: document.getElementById('emergencyContactInput').value
+                }
+            });
+        } catch (error) {
+            healthTracker.showErrorMessage(error.message);
+            return;
+        }
+    }
     
     // Save to localStorage
     const userProfile = {
-        name: userName,
+        ...JSON.parse(userStorage.getItem('userProfile') || '{}'),
+        name: [userName, lastName].filter(Boolean).join(' '),
         lastUpdated: new Date().toISOString()
     };
     
-    localStorage.setItem('userProfile', JSON.stringify(userProfile));
+    userStorage.setItem('userProfile', JSON.stringify(userProfile));
     
     // Show success message
-    showSuccessMessage('सेटिंग्स सफलतापूर्वक सेव हो गईं! / Settings saved successfully!');
+    healthTracker.showSuccessMessage('सेटिंग्स सफलतापूर्वक सेव हो गईं! / Settings saved successfully!');
     
     // Close modal after a short delay
     setTimeout(() => {
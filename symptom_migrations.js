@@ -0,0 +1,102 @@
+// Symptom Data Migrations for Health Tracker Application
+// Each step upgrades stored symptom records from the previous metadata.version.
+// DatabaseManager.migrateSymptoms runs the pending ones in order on load and
+// records them in the account's metadata. Steps must be safe to run twice.
+
+// Slugs written by older builds -> the hyphenated full-name keys used today
+const LEGACY_SYMPTOM_TYPES = {
+    'shortness-breath': 'shortness-of-breath',
+    'breathing-difficulty': 'shortness-of-breath',
+    'stomach-ache': 'stomach-pain',
+    'stomachache': 'stomach-pain'
+};
+
+function toSymptomSlug(value) {
+    return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-').replace(/-+/g, '-');
+}
+
+function toDisplayName(slug) {
+    return slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Plain-string entries carried no id, time or severity. What they get instead
+// depends only on their position and text, so every device (and every re-run)
+// upgrades the same entry to the same record instead of a duplicate.
+const LEGACY_RECORD_EPOCH = Date.parse('2024-01-01T00:00:00.000Z');
+const LEGACY_RECORD_SEVERITY = 5;
+
+// FNV-1a of "<index>:<slug>"; stays far below the Date.now() ids newer entries use
+function legacyRecordId(index, slug) {
+    let hash = 0x811c9dc5;
+    for (const char of `${index}:${slug}`) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function fromLegacyString(value, index) {
+    const type = toSymptomSlug(value);
+    const timestamp = new Date(LEGACY_RECORD_EPOCH + index * 1000);
+    return {
+        id: legacyRecordId(index, type),
+        type: type,
+        displayName: toDisplayName(type),
+        severity: LEGACY_RECORD_SEVERITY,
+        duration: '',
+        notes: 'Logged by an older version that did not record the time or severity',
+        timestamp: timestamp.toISOString(),
+        date: timestamp.toLocaleDateString(),
+        isMultiple: false,
+        groupId: null
+    };
+}
+
+const SYMPTOM_MIGRATIONS = [
+    {
+        id: '001-object-records',
+        version: '1.1',
+        description: 'Convert plain-string entries to objects and fill fields older builds left out',
+        up(symptoms) {
+            return symptoms.map((symptom, index) => {
+                // Oldest builds stored just the symptom key
+                if (typeof symptom === 'string') return fromLegacyString(symptom, index);
+
+                const upgraded = { ...symptom };
+                if (typeof upgraded.severity === 'string' && upgraded.severity.trim() !== '') {
+                    upgraded.severity = Number(upgraded.severity);
+                }
+                if (!upgraded.date && upgraded.timestamp) {
+                    upgraded.date = new Date(upgraded.timestamp).toLocaleDateString();
+                }
+                if (upgraded.isMultiple === undefined) upgraded.isMultiple = !!upgraded.groupId;
+                if (upgraded.groupId === undefined) upgraded.groupId = null;
+                return upgraded;
+            });
+        }
+    },
+    {
+        id: '002-canonical-type-slugs',
+        version: '1.2',
+        description: 'Normalize symptom type slugs (e.g. shortness-breath -> shortness-of-breath)',
+        up(symptoms) {
+            return symptoms.map(symptom => {
+                if (!symptom || typeof symptom.type !== 'string') return symptom;
+
+                const slug = toSymptomSlug(symptom.type);
+                const type = LEGACY_SYMPTOM_TYPES[slug] || slug;
+                const upgraded = { ...symptom, type: type };
+
+                if (!upgraded.displayName || upgraded.displayName === toDisplayName(symptom.type)) {
+                    upgraded.displayName = toDisplayName(type);
+                }
+                return upgraded;
+            });
+        }
+    }
+];
+
+const CURRENT_DATA_VERSION = SYMPTOM_MIGRATIONS[SYMPTOM_MIGRATIONS.length - 1].version;
+
+window.SYMPTOM_MIGRATIONS = SYMPTOM_MIGRATIONS;
+window.CURRENT_DATA_VERSION = CURRENT_DATA_VERSION;
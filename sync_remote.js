@@ -0,0 +1,30 @@
+// Sync Remote for Health Tracker Application
+// Transport used by DatabaseManager.syncWithDatabase to push the outbox and pull
+// changes made on other devices. Anything with the same ping/push/pull methods
+// can be plugged in with dbManager.setSyncRemote(remote).
+
+class HttpSyncRemote {
+    // request(method, path, body) resolves with the parsed JSON response
+    constructor(request) {
+        this.request = request;
+    }
+
+    async ping() {
+        await this.request('GET', '/health');
+        return true;
+    }
+
+    // changes: [{ changeId, op: 'put' | 'delete', id, record, baseModified, lastModified, force }]
+    // Resolves with { applied: [changeId], conflicts: [{ changeId, id, server, deletedAt }], serverTime }
+    async push(userId, changes) {
+        return this.request('POST', '/sync/push', { userId: userId, changes: changes });
+    }
+
+    // Resolves with { records, deleted: [{ id, deletedAt }], serverTime } changed after `since`
+    async pull(userId, since) {
+        const query = `userId=${encodeURIComponent(userId)}` + (since ? `&since=${encodeURIComponent(since)}` : '');
+        return this.request('GET', `/sync/pull?${query}`);
+    }
+}
+
+window.HttpSyncRemote = HttpSyncRemote;
@@ -0,0 +1,94 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+let nextId = 1;
+function symptom(fields = {}) {
+    return {
+        id: nextId++,
+        type: 'headache',
+        displayName: 'Headache',
+        severity: 5,
+        timestamp: '2024-03-01T09:00:00.000Z',
+        date: '2024-03-01',
+        isMultiple: false,
+        groupId: null,
+        ...fields
+    };
+}
+
+describe('backups', () => {
+    before(() => dbManager.ready);
+
+    test('a backup holds only the signed-in account\'s records', async () => {
+        signIn('bob');
+        await dbManager.saveSymptoms([symptom(), symptom()]);
+        signIn('alice');
+        await dbManager.saveSymptoms([symptom()]);
+
+        const backup = await dbManager.createBackup();
+        assert.equal(backup.userId, 'alice');
+        assert.equal(backup.totalRecords, 1);
+        assert.ok((await dbManager.listBackups()).some(entry => entry.id === backup.id));
+        assert.ok(!(await dbManager.listBackups('bob')).some(entry => entry.id === backup.id));
+    });
+
+    test('a restore is saved like an edit: audited and queued for sync', async () => {
+        signIn('carol');
+        const kept = symptom({ severity: 3 });
+        const removed = symptom();
+        await dbManager.saveSymptoms([kept, removed]);
+        const backup = await dbManager.createBackup();
+
+        const stored = await dbManager.loadSymptoms();
+        await dbManager.saveSymptoms([{ ...stored.find(s => s.id === kept.id), severity: 8 }]);
+        const [edited] = await dbManager.loadSymptoms();
+        // As if the edit and the delete had synced
+        localStorage.removeItem(dbManager.getStorageKey('outbox', 'carol'));
+
+        assert.equal(await dbManager.restoreBackup(backup.id), 2);
+
+        const restored = await dbManager.loadSymptoms();
+        assert.deepEqual(restored.map(s => [s.id, s.severity]).sort((a, b) => a[0] - b[0]), [[kept.id, 3], [removed.id, 5]]);
+
+        const outbox = await dbManager.loadOutbox();
+        const byId = new Map(outbox.map(change => [change.id, change]));
+        assert.equal(byId.get(kept.id).op, 'put');
+        assert.equal(byId.get(kept.id).baseModified, edited.lastModified);
+        assert.equal(byId.get(removed.id).op, 'put');
+
+        const trail = await dbManager.getAuditTrail('carol');
+        assert.ok(trail.some(entry => entry.entityId === kept.id && entry.action === 'update' && entry.after.severity === 3));
+    });
+
+    test('restoring leaves other accounts alone', async () => {
+        signIn('dave');
+        await dbManager.saveSymptoms([symptom()]);
+        const backup = await dbManager.createBackup();
+
+        signIn('erin');
+        const own = symptom();
+        await dbManager.saveSymptoms([own]);
+        await assert.rejects(dbManager.restoreBackup(backup.id), /not found/);
+        assert.deepEqual((await dbManager.loadSymptoms()).map(s => s.id), [own.id]);
+    });
+
+    test('accounts without their own records cannot take or restore backups', async () => {
+        signIn('dr-who', 'doctor');
+        await assert.rejects(dbManager.createBackup(), { name: 'PermissionError' });
+        await assert.rejects(dbManager.restoreBackup(1), { name: 'PermissionError' });
+        assert.equal(await dbManager.createBackupIfDue(), null);
+    });
+
+    test('each account keeps at most maxBackups snapshots', async () => {
+        signIn('frank');
+        await dbManager.saveSymptoms([symptom()]);
+        const maxBackups = dbManager.getSetting('maxBackups');
+        for (let i = 0; i < maxBackups + 2; i++) {
+            await dbManager.createBackup();
+        }
+        assert.equal((await dbManager.listBackups()).length, maxBackups);
+    });
+});
@@ -0,0 +1,100 @@
+// Browser globals for loading the client scripts under Node: in-memory
+// storage, no IndexedDB, and a fetch that serves the JSON files from the
+// project directory the way static hosting does, with no persistence server.
+// Each test file runs in its own process, so the globals stay per file.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+function installGlobals() {
+    global.window = global;
+    global.localStorage = new MemoryStorage();
+    global.sessionStorage = new MemoryStorage();
+    global.navigator = { onLine: true };
+    global.document = { querySelector: () => null, addEventListener: () => {} };
+    window.addEventListener = () => {};
+    window.removeEventListener = () => {};
+
+    // Only the project's own JSON files exist; the API is unreachable
+    global.fetch = async url => {
+        const match = /^\.\/([a-z_]+\.json)$/.exec(String(url));
+        const file = match && path.join(ROOT, match[1]);
+        if (String(url).startsWith('/api/')) throw new TypeError('Failed to fetch');
+        if (!file || !fs.existsSync(file)) return { ok: false, status: 404, json: async () => ({}) };
+        const text = fs.readFileSync(file, 'utf8');
+        return { ok: true, status: 200, json: async () => JSON.parse(text) };
+    };
+
+    // Other tabs are not under test; keep the channel from holding the process open
+    const Channel = global.BroadcastChannel;
+    global.BroadcastChannel = class extends Channel {
+        constructor(name) {
+            super(name);
+            this.unref();
+        }
+    };
+}
+
+// Runs the scripts in order, like <script src> tags sharing one global scope
+function loadScripts(...files) {
+    if (!global.window) installGlobals();
+    files.forEach(file => vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }));
+}
+
+// The scripts DatabaseManager needs, in the order the pages include them
+const DATABASE_SCRIPTS = [
+    'data_root.js', 'user_storage.js', 'crypto_vault.js', 'schema_validator.js',
+    'symptom_migrations.js', 'record_content.js', 'sync_remote.js', 'database_manager.js'
+];
+
+// Signs userId in on this "device" without a server, as the local account path does
+function signIn(userId, role = 'patient') {
+    const now = Date.now();
+    localStorage.setItem('healthtracker_session', JSON.stringify({
+        sessionId: `local-${userId}`,
+        userId: userId,
+        username: userId,
+        role: role,
+        createdAt: new Date(now).toISOString(),
+        lastActivityAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 86400000).toISOString(),
+        idleTimeout: null,
+        rememberMe: true,
+        isActive: true
+    }));
+}
+
+module.exports = { loadScripts, signIn, DATABASE_SCRIPTS, MemoryStorage };
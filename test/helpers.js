@@ -0,0 +1,91 @@
+// Test helpers: a PersistenceServer on a free port over a temporary copy of
+// the JSON databases, and a small JSON client for its API
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PersistenceServer = require('../persistence_server.js');
+
+const ROOT = path.join(__dirname, '..');
+const DATABASE_FILES = ['symptoms.json', 'users.json', 'symptom_definitions.json', 'config.json', 'health_knowledge.json', 'demo_accounts.json'];
+
+// configure(config) may change config.json before the server starts. The
+// copy keeps the app's sign-in throttling, so suites that follow a wrong
+// password with a right one turn it off there (noRateLimiting) or sit it out.
+async function startServer(configure = () => {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'healthtracker-test-'));
+    DATABASE_FILES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(dataDir, file)));
+
+    const config = JSON.parse(fs.readFileSync(path.join(dataDir, 'config.json'), 'utf8'));
+    configure(config);
+    fs.writeFileSync(path.join(dataDir, 'config.json'), JSON.stringify(config));
+
+    const server = new PersistenceServer({ dataDir: dataDir, staticRoot: ROOT });
+    const port = await server.listen(0);
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    return {
+        server: server,
+        dataDir: dataDir,
+        baseUrl: baseUrl,
+
+        // Resolves with { status, body }; token is sent as the bearer token
+        async request(method, urlPath, body, token) {
+            const options = { method: method, headers: {} };
+            if (token) options.headers.Authorization = `Bearer ${token}`;
+            if (body !== undefined) {
+                options.headers['Content-Type'] = 'application/json';
+                options.body = JSON.stringify(body);
+            }
+            const response = await fetch(baseUrl + urlPath, options);
+            const text = await response.text();
+            let parsed = text;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                // Static files are not JSON
+            }
+            return { status: response.status, body: parsed };
+        },
+
+        // Registers and returns { token, account, recoveryCodes }
+        async register(username, password = 'correct horse battery') {
+            const result = await this.request('POST', '/api/auth/register', {
+                username: username,
+                email: `${username}@example.com`,
+                password: password
+            });
+            if (result.status !== 201) throw new Error(`register ${username} failed: ${JSON.stringify(result.body)}`);
+            return { token: result.body.session.sessionId, account: result.body.account, recoveryCodes: result.body.recoveryCodes };
+        },
+
+        // Sits out the longest sign-in wait the server is currently enforcing
+        async waitForRetry() {
+            const limits = await server.readRateLimits();
+            const retryAt = Math.max(0, ...[...server.loginFailures.values()].map(attempts => server.getRetryAt(attempts, limits)));
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, retryAt - Date.now() + 20)));
+        },
+
+        readData(file) {
+            return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+        },
+
+        async close() {
+            await server.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+function noRateLimiting(config) {
+    config.security.rateLimiting = false;
+}
+
+// Gives an account a role directly in users.json, as an administrator would
+async function setRole(context, userId, role) {
+    await context.server.updateDatabase('users.json', data => {
+        data.users.find(user => user.id === userId).role = role;
+    });
+}
+
+module.exports = { startServer, noRateLimiting, setRole };
@@ -0,0 +1,74 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+const runAll = records => SYMPTOM_MIGRATIONS.reduce((upgraded, migration) => migration.up(upgraded), records);
+
+describe('symptom migrations', () => {
+    const validator = new SchemaValidator();
+
+    test('plain-string entries become records the validator accepts', () => {
+        const upgraded = runAll(['headache', 'Shortness Breath']);
+        upgraded.forEach(record => assert.deepEqual(validator.validate('symptom', record), []));
+        assert.equal(upgraded[1].type, 'shortness-of-breath');
+        assert.equal(upgraded[1].displayName, 'Shortness Of Breath');
+        assert.ok(Date.parse(upgraded[0].timestamp) < Date.parse(upgraded[1].timestamp));
+    });
+
+    test('the same entry gets the same id on every run', async () => {
+        const first = runAll(['headache', 'fever', 'headache']);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = runAll(['headache', 'fever', 'headache']);
+
+        assert.deepEqual(second, first);
+        assert.equal(new Set(first.map(record => record.id)).size, 3);
+        assert.ok(first.every(record => record.id < Date.parse('2000-01-01')));
+    });
+
+    test('running the steps again changes nothing', () => {
+        const once = runAll(['nausea', { id: 1, type: 'stomach_ache', displayName: 'Stomach Ache', severity: '4', timestamp: '2024-03-01T09:00:00.000Z' }]);
+        assert.deepEqual(runAll(once), once);
+    });
+
+    test('object records get the fields older builds left out', () => {
+        const [record] = SYMPTOM_MIGRATIONS[0].up([{ id: 1, type: 'fever', severity: '7', timestamp: '2024-03-01T09:00:00.000Z', groupId: 12 }]);
+        assert.equal(record.severity, 7);
+        assert.equal(typeof record.date, 'string');
+        assert.equal(record.isMultiple, true);
+        assert.equal(record.groupId, 12);
+    });
+
+    test('legacy slugs are renamed but a custom display name is kept', () => {
+        const [renamed, custom] = SYMPTOM_MIGRATIONS[1].up([
+            { id: 1, type: 'shortness-breath', displayName: 'Shortness Breath' },
+            { id: 2, type: 'stomachache', displayName: 'Tummy trouble' }
+        ]);
+        assert.equal(renamed.type, 'shortness-of-breath');
+        assert.equal(renamed.displayName, 'Shortness Of Breath');
+        assert.equal(custom.type, 'stomach-pain');
+        assert.equal(custom.displayName, 'Tummy trouble');
+    });
+});
+
+describe('DatabaseManager migrations', () => {
+    before(() => dbManager.ready);
+
+    test('stored legacy entries are upgraded on load, kept and recorded once', async () => {
+        signIn('legacy');
+        localStorage.setItem(dbManager.getStorageKey('symptoms', 'legacy'), JSON.stringify(['headache', 'shortness-breath']));
+
+        const symptoms = await dbManager.loadSymptoms();
+        assert.deepEqual(symptoms.map(s => s.type), ['headache', 'shortness-of-breath']);
+        assert.deepEqual(dbManager.getQuarantinedRecords(), []);
+
+        assert.equal(dbManager.getDataMetadata().version, CURRENT_DATA_VERSION);
+        const history = dbManager.getMigrationHistory();
+        assert.deepEqual(history.map(step => step.id), SYMPTOM_MIGRATIONS.map(step => step.id));
+
+        const again = await dbManager.loadSymptoms();
+        assert.deepEqual(again.map(s => s.id), symptoms.map(s => s.id));
+        assert.equal(dbManager.getMigrationHistory().length, history.length);
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+function symptom(id, timestamp, fields = {}) {
+    return {
+        id: id,
+        type: 'headache',
+        displayName: 'Headache',
+        severity: 5,
+        timestamp: timestamp,
+        date: timestamp.slice(0, 10),
+        isMultiple: false,
+        groupId: null,
+        ...fields
+    };
+}
+
+const ids = result => result.results.map(s => s.id);
+
+describe('timeline search', () => {
+    const timeline = [10, 20, 20, 30].map((time, index) => ({ id: index, time: time }));
+
+    test('finds the first entry at or after a time', () => {
+        assert.equal(dbManager.findTimelineIndex(timeline, 20, true), 1);
+        assert.equal(dbManager.findTimelineIndex(timeline, 5, true), 0);
+        assert.equal(dbManager.findTimelineIndex(timeline, 35, true), 4);
+    });
+
+    test('finds the first entry after a time when not inclusive', () => {
+        assert.equal(dbManager.findTimelineIndex(timeline, 20, false), 3);
+        assert.equal(dbManager.findTimelineIndex(timeline, 30, false), 4);
+        assert.equal(dbManager.findTimelineIndex([], 30, false), 0);
+    });
+});
+
+describe('symptom queries', () => {
+    before(async () => {
+        await dbManager.ready;
+        signIn('alice');
+        await dbManager.saveSymptoms([
+            symptom(1, '2024-03-01T09:00:00.000Z', { severity: 2, notes: 'After lunch' }),
+            symptom(2, '2024-03-02T09:00:00.000Z', { type: 'fever', displayName: 'Fever', severity: 8, isMultiple: true, groupId: 7 }),
+            symptom(3, '2024-03-02T09:00:00.000Z', { severity: 6, isMultiple: true, groupId: 7 }),
+            symptom(4, '2024-03-05T18:30:00.000Z', { type: 'nausea', displayName: 'Nausea', severity: 4, profileId: 'kid' }),
+            symptom(5, '2024-03-09T07:15:00.000Z', { severity: 9, notes: 'Woke up with it, LUNCH skipped' })
+        ]);
+    });
+
+    test('a date range includes both ends', () => {
+        const result = dbManager.querySymptoms({ from: '2024-03-02T09:00:00.000Z', to: new Date('2024-03-05T18:30:00.000Z'), order: 'asc' });
+        assert.deepEqual(ids(result), [2, 3, 4]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ from: Date.parse('2024-03-06') })), [5]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ to: '2024-03-01T08:59:59.999Z' })), []);
+    });
+
+    test('indexed criteria narrow each other', () => {
+        assert.deepEqual(ids(dbManager.querySymptoms({ type: 'headache', groupId: 7 })), [3]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ type: ['fever', 'nausea'], order: 'asc' })), [2, 4]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ date: '2024-03-02', sort: 'severity' })), [2, 3]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ type: 'migraine' })), []);
+    });
+
+    test('severity, profile and note filters apply on top', () => {
+        assert.deepEqual(ids(dbManager.querySymptoms({ minSeverity: 4, maxSeverity: 8, order: 'asc' })), [2, 3, 4]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ profileId: 'kid' })), [4]);
+        assert.equal(dbManager.querySymptoms({ profileId: null }).total, 4);
+        assert.deepEqual(ids(dbManager.querySymptoms({ text: 'lunch', order: 'asc' })), [1, 5]);
+    });
+
+    test('pages after sorting and reports the total before paging', () => {
+        const page = dbManager.querySymptoms({ sort: 'severity', offset: 1, limit: 2 });
+        assert.deepEqual(ids(page), [2, 3]);
+        assert.equal(page.total, 5);
+        assert.equal(page.limit, 2);
+    });
+
+    test('a save refreshes the indexes', async () => {
+        const stored = await dbManager.loadSymptoms();
+        await dbManager.saveSymptoms([...stored.filter(s => s.id !== 5), symptom(6, '2024-03-10T10:00:00.000Z', { type: 'fever', displayName: 'Fever' })]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ type: 'fever' })), [6, 2]);
+        assert.deepEqual(ids(dbManager.querySymptoms({ from: '2024-03-09' })), [6]);
+    });
+
+    test('an account with nothing loaded has no results', () => {
+        assert.deepEqual(dbManager.querySymptoms({}, 'nobody'), { results: [], total: 0, offset: 0, limit: null });
+    });
+});
@@ -0,0 +1,65 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS, 'quick_unlock.js');
+
+describe('quick unlock without a server', () => {
+    before(() => dbManager.ready);
+
+    test('a PIN set up offline locks the session and opens it again', async () => {
+        signIn('alice');
+        assert.equal(quickUnlock.isAvailable(), true);
+
+        const setup = await quickUnlock.enablePin('1234');
+        assert.equal(setup.handle, undefined);
+        assert.ok(setup.secret);
+        assert.ok(!JSON.stringify(setup).includes('local-alice'));
+
+        const session = dbManager.readSession();
+        assert.equal(session.quickUnlock, true);
+        assert.equal(session.idleTimeout, dbManager.getSetting('sessionIdleTimeout'));
+
+        assert.equal(await dbManager.lockSession(), true);
+        assert.equal(dbManager.readSession().sessionId, null);
+        assert.ok(quickUnlock.getLockedSession());
+
+        const unlocked = await quickUnlock.unlock('1234');
+        assert.equal(unlocked.sessionId, 'local-alice');
+        assert.equal(dbManager.getSessionProblem(dbManager.readSession()), null);
+    });
+
+    test('wrong PINs count down and the last one ends the session', async () => {
+        signIn('bob');
+        await quickUnlock.enablePin('2468');
+        await dbManager.lockSession();
+
+        for (let left = 4; left > 0; left--) {
+            await assert.rejects(quickUnlock.unlock('1111'), { name: 'QuickUnlockError', attemptsLeft: left });
+        }
+        await assert.rejects(quickUnlock.unlock('1111'), { attemptsLeft: 0 });
+        assert.equal(dbManager.readSession(), null);
+        await assert.rejects(quickUnlock.unlock('2468'), { attemptsLeft: 0 });
+        assert.equal(quickUnlock.getSetup('bob'), null);
+    });
+
+    test('a right PIN starts the count again', async () => {
+        signIn('carol');
+        await quickUnlock.enablePin('1357');
+        await dbManager.lockSession();
+        await assert.rejects(quickUnlock.unlock('0000'), { attemptsLeft: 4 });
+        await quickUnlock.unlock('1357');
+        assert.equal(quickUnlock.getSetup().failures, 0);
+    });
+
+    test('turning it off needs no server', async () => {
+        signIn('dave');
+        await quickUnlock.enablePin('9876');
+        await quickUnlock.disable();
+
+        assert.equal(quickUnlock.isEnabled(), false);
+        assert.equal(dbManager.readSession().quickUnlock, false);
+        assert.equal(dbManager.readSession().idleTimeout, null);
+        assert.equal(await dbManager.lockSession(), false);
+    });
+});
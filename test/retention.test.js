@@ -0,0 +1,91 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+const DAY = 86400000;
+
+function symptom(id, daysAgo, fields = {}) {
+    const timestamp = new Date(Date.now() - daysAgo * DAY).toISOString();
+    return {
+        id: id,
+        type: 'headache',
+        displayName: 'Headache',
+        severity: 5,
+        timestamp: timestamp,
+        date: timestamp.slice(0, 10),
+        isMultiple: false,
+        groupId: null,
+        ...fields
+    };
+}
+
+describe('data retention', () => {
+    before(() => dbManager.ready);
+
+    test('the account preference decides the period, and 0 keeps everything', async () => {
+        signIn('alice');
+        assert.equal(dbManager.getRetentionDays(), dbManager.getSetting('dataRetention'));
+
+        await dbManager.saveSymptoms([symptom(1, 400)]);
+        assert.equal(await dbManager.applyRetention(), 0);
+
+        await dbManager.saveUserPreferences({ dataRetention: 30 });
+        assert.equal(dbManager.getRetentionDays(), 30);
+        await dbManager.saveUserPreferences({ dataRetention: -5 });
+        assert.equal(dbManager.getRetentionDays(), 0);
+    });
+
+    test('records older than the period are summarised and removed from the device', async () => {
+        signIn('bob');
+        const oldest = symptom(1, 400, { severity: 2 });
+        await dbManager.saveSymptoms([
+            oldest,
+            symptom(2, 400, { severity: 7 }),
+            symptom(3, 400, { type: 'fever', displayName: 'Fever', severity: 9, profileId: 'kid' }),
+            symptom(4, 3)
+        ]);
+
+        // Saving the preference applies it straight away
+        await dbManager.saveUserPreferences({ dataRetention: 30 });
+        assert.deepEqual((await dbManager.loadSymptoms()).map(s => s.id), [4]);
+        assert.deepEqual(dbManager.querySymptoms({}).results.map(s => s.id), [4]);
+
+        const month = oldest.timestamp.slice(0, 7);
+        assert.deepEqual(await dbManager.getArchivedSummaries(), [
+            { month, profileId: null, type: 'headache', displayName: 'Headache', count: 2, minSeverity: 2, maxSeverity: 7, averageSeverity: 4.5 },
+            { month, profileId: 'kid', type: 'fever', displayName: 'Fever', count: 1, minSeverity: 9, maxSeverity: 9, averageSeverity: 9 }
+        ]);
+        assert.deepEqual((await dbManager.getArchivedSummaries('bob', 'kid')).map(summary => summary.type), ['fever']);
+        assert.deepEqual((await dbManager.getArchivedSummaries('bob', null)).map(summary => summary.type), ['headache']);
+
+        const trail = await dbManager.getAuditTrail('bob');
+        assert.deepEqual(trail.filter(entry => entry.action === 'archive').map(entry => entry.entityId).sort(), [1, 2, 3]);
+    });
+
+    test('a record pulled again after archiving is not counted twice', async () => {
+        signIn('bob');
+        const stored = await dbManager.readStoredSymptoms('bob');
+        localStorage.setItem(dbManager.getStorageKey('symptoms', 'bob'), JSON.stringify([...stored, symptom(1, 400, { severity: 2 })]));
+
+        assert.equal(await dbManager.applyRetention(), 1);
+        const [headache] = await dbManager.getArchivedSummaries();
+        assert.equal(headache.count, 2);
+    });
+
+    test('trash entries deleted before the period are purged', async () => {
+        signIn('carol');
+        await dbManager.saveSymptoms([symptom(1, 1), symptom(2, 1)]);
+        await dbManager.deleteSymptoms([1, 2]);
+
+        const key = dbManager.getStorageKey('trash', 'carol');
+        const trash = JSON.parse(localStorage.getItem(key));
+        assert.equal(trash.length, 2);
+        trash.find(entry => entry.id === 1).deletedAt = new Date(Date.now() - 60 * DAY).toISOString();
+        localStorage.setItem(key, JSON.stringify(trash));
+
+        await dbManager.saveUserPreferences({ dataRetention: 30 });
+        assert.deepEqual((await dbManager.loadTrashEntries()).map(entry => entry.id), [2]);
+    });
+});
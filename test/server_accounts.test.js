@@ -0,0 +1,220 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, noRateLimiting, setRole } = require('./helpers.js');
+
+const PASSWORD = 'correct horse battery';
+
+// Short waits so the tests can sit them out, but longer than a password check
+const RATE_LIMITS = { baseDelay: 1000, maxDelay: 2000, attemptWindow: 60000 };
+
+describe('sign-in throttling', () => {
+    let server;
+    before(async () => {
+        server = await startServer(config => { config.security.rateLimiting = RATE_LIMITS; });
+        await server.register('alice');
+    });
+    after(() => server.close());
+
+    const login = password => server.request('POST', '/api/auth/login', { identifier: 'alice', password });
+
+    test('a failure makes the next attempt wait, with the time to retry', async () => {
+        assert.equal((await login('wrong password')).status, 401);
+
+        const early = await login(PASSWORD);
+        assert.equal(early.status, 429);
+        assert.ok(Date.parse(early.body.retryAt) > Date.now() - 50);
+        assert.equal(early.body.session, undefined);
+
+        await server.waitForRetry();
+        assert.equal((await login(PASSWORD)).status, 200);
+    });
+
+    test('each failure doubles the wait up to the maximum', async () => {
+        // Count this account's failures alone
+        server.server.loginFailures.clear();
+        const waits = [];
+        for (let i = 0; i < 3; i++) {
+            const startedAt = Date.now();
+            assert.equal((await login('wrong password')).status, 401);
+            const blocked = await login('wrong password');
+            assert.equal(blocked.status, 429);
+            waits.push(Date.parse(blocked.body.retryAt) - startedAt);
+            await server.waitForRetry();
+        }
+        assert.ok(waits[1] > waits[0] + RATE_LIMITS.baseDelay / 2);
+        assert.ok(waits[2] <= RATE_LIMITS.maxDelay + 100);
+
+        assert.equal((await login(PASSWORD)).status, 200);
+    });
+
+    test('unknown names are throttled like real ones', async () => {
+        const first = await server.request('POST', '/api/auth/login', { identifier: 'Nobody', password: 'wrong password' });
+        assert.equal(first.status, 401);
+        assert.equal(server.server.loginFailures.get('account:nobody').failures, 1);
+        const second = await server.request('POST', '/api/auth/login', { identifier: 'nobody', password: 'wrong password' });
+        assert.equal(second.status, 429);
+        await server.waitForRetry();
+    });
+
+    test('the current password check of a signed-in session is throttled too', async () => {
+        const { body } = await login(PASSWORD);
+        const token = body.session.sessionId;
+
+        const wrong = await server.request('POST', '/api/auth/password', { currentPassword: 'wrong password', password: 'new password 1' }, token);
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.field, 'currentPassword');
+
+        const early = await server.request('POST', '/api/auth/recovery-codes', { currentPassword: PASSWORD }, token);
+        assert.equal(early.status, 429);
+        await server.waitForRetry();
+    });
+
+    test('throttling can be turned off in config.json', async () => {
+        const open = await startServer(noRateLimiting);
+        try {
+            await open.register('bob');
+            for (let i = 0; i < 3; i++) {
+                const { status } = await open.request('POST', '/api/auth/login', { identifier: 'bob', password: 'wrong password' });
+                assert.equal(status, 401);
+            }
+            assert.equal((await open.request('POST', '/api/auth/login', { identifier: 'bob', password: PASSWORD })).status, 200);
+        } finally {
+            await open.close();
+        }
+    });
+});
+
+describe('account lockout', () => {
+    let server;
+    let admin;
+    let bob;
+    before(async () => {
+        server = await startServer(config => {
+            config.security.rateLimiting = { ...RATE_LIMITS, maxAttempts: 2, lockoutDuration: 600000 };
+        });
+        await server.register('alice');
+        bob = await server.register('bob');
+        admin = await server.register('admin');
+        await setRole(server, 'admin', 'admin');
+    });
+    after(() => server.close());
+
+    const login = password => server.request('POST', '/api/auth/login', { identifier: 'alice', password });
+
+    test('maxAttempts failures in a row lock the account, even for the right password', async () => {
+        assert.equal((await login('wrong password')).status, 401);
+        await server.waitForRetry();
+        assert.equal((await login('wrong password')).status, 401);
+
+        const locked = await login(PASSWORD);
+        assert.equal(locked.status, 429);
+        assert.equal(locked.body.locked, true);
+        assert.ok(Date.parse(locked.body.retryAt) > Date.now() + 500000);
+    });
+
+    test('administrators see the lockout in the account list', async () => {
+        const { body } = await server.request('GET', '/api/users', undefined, admin.token);
+        const byName = new Map(body.users.map(user => [user.username, user]));
+        assert.ok(Date.parse(byName.get('alice').lockedUntil) > Date.now());
+        assert.equal(byName.get('bob').lockedUntil, null);
+    });
+
+    test('only administrators can unlock an account', async () => {
+        assert.equal((await server.request('POST', '/api/users/alice/unlock', undefined, bob.token)).status, 403);
+        assert.equal((await server.request('POST', '/api/users/nobody/unlock', undefined, admin.token)).status, 404);
+
+        const { status, body } = await server.request('POST', '/api/users/alice/unlock', undefined, admin.token);
+        assert.equal(status, 200);
+        assert.equal(body.user.lockedUntil, null);
+        assert.equal(body.user.passwordHash, undefined);
+    });
+
+    test('an unlocked account signs in once the short delay has passed', async () => {
+        await server.waitForRetry();
+        assert.equal((await login(PASSWORD)).status, 200);
+    });
+
+    test('a lockout runs out by itself', async () => {
+        server.server.loginFailures.clear();
+        const limits = await server.server.readRateLimits();
+        const startedAt = Date.now() - limits.lockoutDuration;
+        await server.server.throttledCheck({ socket: {} }, 'alice', async () => false, startedAt);
+        await server.server.throttledCheck({ socket: {} }, 'alice', async () => false, startedAt + limits.maxDelay);
+        assert.ok(server.server.loginFailures.get('account:alice').lockedUntil <= Date.now() + limits.maxDelay);
+
+        await server.waitForRetry();
+        assert.equal((await login(PASSWORD)).status, 200);
+    });
+});
+
+describe('password recovery', () => {
+    let server;
+    let alice;
+    before(async () => {
+        server = await startServer(config => { config.security.rateLimiting = RATE_LIMITS; });
+        alice = await server.register('alice');
+    });
+    after(() => server.close());
+
+    const reset = (recoveryCode, password = 'brand new password') =>
+        server.request('POST', '/api/auth/reset', { identifier: 'alice@example.com', recoveryCode, password });
+
+    test('a recovery code sets a new password and is used up', async () => {
+        const code = alice.recoveryCodes[0];
+        const { status, body } = await reset(code.toUpperCase().replace('-', ' '));
+        assert.equal(status, 200);
+        assert.equal(body.account.recoveryCodesLeft, 7);
+
+        assert.equal((await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'brand new password' })).status, 200);
+
+        const reused = await reset(code, 'another password');
+        assert.equal(reused.status, 401);
+        await server.waitForRetry();
+    });
+
+    test('a new password clears the failures counted against the account', async () => {
+        assert.equal((await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'wrong password' })).status, 401);
+        assert.equal(server.server.loginFailures.get('account:alice').failures, 2);
+        await server.waitForRetry();
+
+        assert.equal((await reset(alice.recoveryCodes[1], 'third password')).status, 200);
+        assert.equal(server.server.loginFailures.has('account:alice'), false);
+        assert.equal((await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'third password' })).status, 200);
+    });
+
+    test('a new password must be long enough', async () => {
+        const { status, body } = await reset(alice.recoveryCodes[2], 'short');
+        assert.equal(status, 400);
+        assert.equal(body.field, 'password');
+        assert.equal(server.readData('users.json').users[0].recoveryCodes.length, 6);
+    });
+
+    test('changing the password keeps the session and drops a lockout an older version stored', async () => {
+        const login = await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'third password' });
+        const token = login.body.session.sessionId;
+        await server.server.updateDatabase('users.json', data => {
+            data.users[0].loginAttempts = { count: 5, lockedUntil: '2999-01-01T00:00:00.000Z' };
+        });
+
+        const changed = await server.request('POST', '/api/auth/password', { currentPassword: 'third password', password: 'fourth password' }, token);
+        assert.equal(changed.status, 200);
+        assert.equal(changed.body.account.passwordHash, undefined);
+        assert.equal(server.readData('users.json').users[0].loginAttempts, undefined);
+
+        assert.equal((await server.request('GET', '/api/sessions/current', undefined, token)).status, 200);
+        assert.equal((await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'fourth password' })).status, 200);
+    });
+
+    test('new recovery codes replace the old ones', async () => {
+        const login = await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'fourth password' });
+        const token = login.body.session.sessionId;
+
+        const { status, body } = await server.request('POST', '/api/auth/recovery-codes', { currentPassword: 'fourth password' }, token);
+        assert.equal(status, 200);
+        assert.equal(body.recoveryCodes.length, 8);
+
+        assert.equal((await reset(alice.recoveryCodes[3])).status, 401);
+        await server.waitForRetry();
+        assert.equal((await reset(body.recoveryCodes[0])).status, 200);
+    });
+});
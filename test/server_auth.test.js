@@ -0,0 +1,132 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, noRateLimiting } = require('./helpers.js');
+
+describe('static files', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    test('serves the app pages and scripts', async () => {
+        const page = await server.request('GET', '/');
+        assert.equal(page.status, 200);
+        assert.match(page.body, /<html/i);
+        assert.equal((await server.request('GET', '/login.js')).status, 200);
+    });
+
+    test('never serves the server, the demo accounts or the raw databases', async () => {
+        for (const file of ['/persistence_server.js', '/demo_accounts.json', '/users.json', '/.git/config', '/../users.json']) {
+            assert.equal((await server.request('GET', file)).status, 404, file);
+        }
+    });
+
+    test('sends only the schema of users.json and symptoms.json', async () => {
+        await server.register('schema-reader');
+        const { status, body } = await server.request('GET', '/database/users.json');
+        assert.equal(status, 200);
+        assert.deepEqual(Object.keys(body).sort(), ['metadata', 'schema']);
+        assert.equal((await server.request('GET', '/database/config.json')).status, 200);
+    });
+});
+
+describe('auth routes', () => {
+    let server;
+    // A wrong password is followed straight away by the right one
+    before(async () => { server = await startServer(noRateLimiting); });
+    after(() => server.close());
+
+    test('register starts a session and returns recovery codes once', async () => {
+        const { status, body } = await server.request('POST', '/api/auth/register', {
+            username: 'Alice', email: 'alice@example.com', password: 'correct horse battery'
+        });
+        assert.equal(status, 201);
+        assert.equal(body.account.id, 'alice');
+        assert.equal(body.account.role, 'patient');
+        assert.equal(body.account.recoveryCodesLeft, 8);
+        assert.equal(body.recoveryCodes.length, 8);
+        body.recoveryCodes.forEach(code => assert.match(code, /^[a-hj-km-np-z2-9]{5}-[a-hj-km-np-z2-9]{5}$/));
+        assert.equal(typeof body.session.sessionId, 'string');
+        assert.equal(body.session.tokenHash, undefined);
+    });
+
+    test('register rejects taken names, bad emails and short passwords', async () => {
+        const taken = await server.request('POST', '/api/auth/register', { username: 'alice', email: 'other@example.com', password: 'long enough' });
+        assert.equal(taken.status, 409);
+
+        const email = await server.request('POST', '/api/auth/register', { username: 'bob', email: 'bob', password: 'long enough' });
+        assert.equal(email.status, 400);
+        assert.equal(email.body.field, 'email');
+
+        const password = await server.request('POST', '/api/auth/register', { username: 'bob', email: 'bob@example.com', password: 'short' });
+        assert.equal(password.status, 400);
+        assert.equal(password.body.field, 'password');
+    });
+
+    test('users.json keeps only hashes of passwords, codes and tokens', () => {
+        const data = server.readData('users.json');
+        const alice = data.users.find(user => user.id === 'alice');
+        assert.match(alice.passwordHash, /^pbkdf2-sha256\$/);
+        assert.ok(alice.recoveryCodes.every(hash => hash.startsWith('pbkdf2-sha256$')));
+        assert.ok(data.sessions.every(session => session.sessionId === undefined && /^[0-9a-f]{64}$/.test(session.tokenHash)));
+    });
+
+    test('login accepts the username or email and rejects a wrong password', async () => {
+        const byName = await server.request('POST', '/api/auth/login', { identifier: 'ALICE', password: 'correct horse battery' });
+        assert.equal(byName.status, 200);
+        assert.equal(byName.body.account.passwordHash, undefined);
+        assert.equal(byName.body.account.recoveryCodes, undefined);
+
+        const byEmail = await server.request('POST', '/api/auth/login', { identifier: 'alice@example.com', password: 'correct horse battery' });
+        assert.equal(byEmail.status, 200);
+
+        const wrong = await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'wrong password' });
+        assert.equal(wrong.status, 401);
+        assert.equal(wrong.body.session, undefined);
+
+        const unknown = await server.request('POST', '/api/auth/login', { identifier: 'nobody', password: 'wrong password' });
+        assert.equal(unknown.status, 401);
+        assert.equal(unknown.body.error, wrong.body.error);
+    });
+
+    test('API routes need a session', async () => {
+        const missing = await server.request('GET', '/api/symptoms');
+        assert.equal(missing.status, 401);
+        assert.equal(missing.body.reason, 'missing');
+
+        const forged = await server.request('GET', '/api/symptoms', undefined, 'not-a-token');
+        assert.equal(forged.status, 401);
+
+        assert.equal((await server.request('GET', '/api/health')).status, 200);
+    });
+
+    test('logout ends the session on the server', async () => {
+        const login = await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'correct horse battery' });
+        const token = login.body.session.sessionId;
+        assert.equal((await server.request('GET', '/api/sessions/current', undefined, token)).status, 200);
+
+        const logout = await server.request('POST', '/api/auth/logout', {}, token);
+        assert.equal(logout.status, 200);
+
+        const after = await server.request('GET', '/api/sessions/current', undefined, token);
+        assert.equal(after.status, 401);
+        assert.equal(after.body.reason, 'revoked');
+    });
+
+    test('an account cannot read or change another one', async () => {
+        const alice = await server.request('POST', '/api/auth/login', { identifier: 'alice', password: 'correct horse battery' });
+        const token = alice.body.session.sessionId;
+        const mallory = await server.register('mallory');
+
+        assert.equal((await server.request('GET', '/api/users', undefined, mallory.token)).status, 403);
+        assert.equal((await server.request('PUT', '/api/users/alice', { email: 'mallory@evil.test' }, mallory.token)).status, 403);
+
+        const ownRole = await server.request('PUT', '/api/users/mallory', { role: 'admin' }, mallory.token);
+        assert.equal(ownRole.status, 403);
+
+        const secrets = await server.request('PUT', '/api/users/alice', { passwordHash: 'pbkdf2-sha256$1$AA==$AA==' }, token);
+        assert.equal(secrets.status, 200);
+        assert.equal(secrets.body.user.passwordHash, undefined);
+        const stored = server.readData('users.json').users.find(user => user.id === 'alice');
+        assert.notEqual(stored.passwordHash, 'pbkdf2-sha256$1$AA==$AA==');
+    });
+});
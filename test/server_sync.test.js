@@ -0,0 +1,170 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, setRole } = require('./helpers.js');
+
+function symptom(id, lastModified, fields = {}) {
+    return {
+        id: id,
+        type: 'Headache',
+        severity: 5,
+        date: '2024-03-01',
+        timestamp: '2024-03-01T09:00:00.000Z',
+        lastModified: lastModified,
+        ...fields
+    };
+}
+
+describe('sync push and pull', () => {
+    let server;
+    let alice;
+    before(async () => {
+        server = await startServer();
+        alice = await server.register('alice');
+    });
+    after(() => server.close());
+
+    const push = (changes, token = alice.token, userId = 'alice') =>
+        server.request('POST', '/api/sync/push', { userId, changes }, token);
+
+    test('applies new records and stamps them with the owner', async () => {
+        const record = symptom('s1', '2024-03-01T09:00:00.000Z');
+        const { status, body } = await push([{ changeId: 'c1', op: 'put', id: 's1', record, baseModified: null }]);
+        assert.equal(status, 200);
+        assert.deepEqual(body.applied, ['c1']);
+        assert.deepEqual(body.conflicts, []);
+
+        const stored = server.readData('symptoms.json').symptoms.find(s => s.id === 's1');
+        assert.equal(stored.userId, 'alice');
+        assert.equal(stored.syncedAt, body.serverTime);
+    });
+
+    test('pull returns what changed since the last pull', async () => {
+        const all = await server.request('GET', '/api/sync/pull', undefined, alice.token);
+        assert.equal(all.status, 200);
+        assert.deepEqual(all.body.records.map(r => r.id), ['s1']);
+
+        const since = all.body.serverTime;
+        await push([{ changeId: 'c2', op: 'put', id: 's2', record: symptom('s2', '2024-03-02T09:00:00.000Z'), baseModified: null }]);
+
+        const later = await server.request('GET', `/api/sync/pull?since=${encodeURIComponent(since)}`, undefined, alice.token);
+        assert.deepEqual(later.body.records.map(r => r.id), ['s2']);
+        assert.deepEqual(later.body.deleted, []);
+    });
+
+    test('an edit based on the server copy is applied', async () => {
+        const edited = symptom('s1', '2024-03-05T09:00:00.000Z', { severity: 7 });
+        const { body } = await push([{ changeId: 'c3', op: 'put', id: 's1', record: edited, baseModified: '2024-03-01T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, ['c3']);
+        assert.equal(server.readData('symptoms.json').symptoms.find(s => s.id === 's1').severity, 7);
+    });
+
+    test('an edit based on an older copy comes back as a conflict', async () => {
+        const stale = symptom('s1', '2024-03-06T09:00:00.000Z', { severity: 2 });
+        const { body } = await push([{ changeId: 'c4', op: 'put', id: 's1', record: stale, baseModified: '2024-03-01T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, []);
+        assert.equal(body.conflicts.length, 1);
+        assert.equal(body.conflicts[0].changeId, 'c4');
+        assert.equal(body.conflicts[0].server.severity, 7);
+        assert.equal(server.readData('symptoms.json').symptoms.find(s => s.id === 's1').severity, 7);
+    });
+
+    test('an older copy with the same contents is not a conflict', async () => {
+        const same = symptom('s1', '2024-03-07T09:00:00.000Z', { severity: 7 });
+        const { body } = await push([{ changeId: 'c5', op: 'put', id: 's1', record: same, baseModified: '2024-03-01T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, ['c5']);
+    });
+
+    test('a difference inside a nested field still conflicts', async () => {
+        await push([{ changeId: 'n1', op: 'put', id: 'n', record: symptom('n', '2024-03-01T09:00:00.000Z', { vitals: { temperature: 38.5 } }), baseModified: null }]);
+        const stale = symptom('n', '2024-03-02T09:00:00.000Z', { vitals: { temperature: 39.4 } });
+        const { body } = await push([{ changeId: 'n2', op: 'put', id: 'n', record: stale, baseModified: '2024-02-01T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, []);
+        assert.deepEqual(body.conflicts[0].server.vitals, { temperature: 38.5 });
+    });
+
+    test('a forced change overwrites the server copy once the conflict is resolved', async () => {
+        const mine = symptom('s1', '2024-03-08T09:00:00.000Z', { severity: 2 });
+        const { body } = await push([{ changeId: 'c6', op: 'put', id: 's1', record: mine, baseModified: '2024-03-01T09:00:00.000Z', force: true }]);
+        assert.deepEqual(body.applied, ['c6']);
+        assert.equal(server.readData('symptoms.json').symptoms.find(s => s.id === 's1').severity, 2);
+    });
+
+    test('deletes leave a tombstone that later pulls report', async () => {
+        const before = await server.request('GET', '/api/sync/pull', undefined, alice.token);
+        const { body } = await push([{ changeId: 'c7', op: 'delete', id: 's2', baseModified: '2024-03-02T09:00:00.000Z', lastModified: '2024-03-09T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, ['c7']);
+
+        const pulled = await server.request('GET', `/api/sync/pull?since=${encodeURIComponent(before.body.serverTime)}`, undefined, alice.token);
+        assert.deepEqual(pulled.body.records, []);
+        assert.deepEqual(pulled.body.deleted, [{ id: 's2', deletedAt: '2024-03-09T09:00:00.000Z' }]);
+    });
+
+    test('an edit to a record deleted elsewhere is a conflict', async () => {
+        const edited = symptom('s2', '2024-03-10T09:00:00.000Z', { severity: 9 });
+        const { body } = await push([{ changeId: 'c8', op: 'put', id: 's2', record: edited, baseModified: '2024-03-02T09:00:00.000Z' }]);
+        assert.deepEqual(body.applied, []);
+        assert.equal(body.conflicts[0].server, null);
+        assert.equal(body.conflicts[0].deletedAt, '2024-03-09T09:00:00.000Z');
+
+        const restored = await push([{ changeId: 'c9', op: 'put', id: 's2', record: edited, baseModified: '2024-03-02T09:00:00.000Z', force: true }]);
+        assert.deepEqual(restored.body.applied, ['c9']);
+        assert.equal(server.readData('symptoms.json').deleted.some(t => t.id === 's2'), false);
+    });
+
+    test('changes must be an array', async () => {
+        const { status } = await server.request('POST', '/api/sync/push', { userId: 'alice', changes: {} }, alice.token);
+        assert.equal(status, 400);
+    });
+});
+
+describe('sync access', () => {
+    let server;
+    let alice;
+    let bob;
+    let doctor;
+    before(async () => {
+        server = await startServer();
+        alice = await server.register('alice');
+        bob = await server.register('bob');
+        doctor = await server.register('dr-who');
+        await setRole(server, 'dr-who', 'doctor');
+        await server.request('POST', '/api/sync/push', {
+            userId: 'alice',
+            changes: [{ changeId: 'c1', op: 'put', id: 's1', record: symptom('s1', '2024-03-01T09:00:00.000Z'), baseModified: null }]
+        }, alice.token);
+    });
+    after(() => server.close());
+
+    test('nobody can push into another account', async () => {
+        const { status } = await server.request('POST', '/api/sync/push', {
+            userId: 'alice',
+            changes: [{ changeId: 'x', op: 'delete', id: 's1', force: true }]
+        }, bob.token);
+        assert.equal(status, 403);
+        assert.equal(server.readData('symptoms.json').symptoms.length, 1);
+    });
+
+    test('another patient cannot pull the records', async () => {
+        const { status } = await server.request('GET', '/api/sync/pull?userId=alice', undefined, bob.token);
+        assert.equal(status, 403);
+    });
+
+    test('a doctor can pull them only once they are shared', async () => {
+        assert.equal((await server.request('GET', '/api/sync/pull?userId=alice', undefined, doctor.token)).status, 403);
+
+        const share = await server.request('PUT', '/api/users/alice', { sharedWith: ['dr-who'] }, alice.token);
+        assert.equal(share.status, 200);
+
+        const pulled = await server.request('GET', '/api/sync/pull?userId=alice', undefined, doctor.token);
+        assert.equal(pulled.status, 200);
+        assert.deepEqual(pulled.body.records.map(r => r.id), ['s1']);
+    });
+
+    test('a doctor cannot write to the records shared with them', async () => {
+        const { status } = await server.request('POST', '/api/sync/push', {
+            userId: 'alice',
+            changes: [{ changeId: 'x', op: 'delete', id: 's1', force: true }]
+        }, doctor.token);
+        assert.equal(status, 403);
+    });
+});
@@ -0,0 +1,200 @@
+const { describe, test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+const { recordContent } = require('../record_content.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+let nextId = 1;
+function symptom(fields = {}) {
+    return {
+        id: nextId++,
+        type: 'headache',
+        displayName: 'Headache',
+        severity: 5,
+        timestamp: '2024-03-01T09:00:00.000Z',
+        date: '2024-03-01',
+        isMultiple: false,
+        groupId: null,
+        ...fields
+    };
+}
+
+// Answers pushes with the conflicts the test sets up and records what was sent
+function fakeRemote({ conflicts = () => [], pulled = { records: [], deleted: [] } } = {}) {
+    const remote = {
+        pushes: [],
+        async ping() {
+            return true;
+        },
+        async push(userId, changes) {
+            remote.pushes.push(changes);
+            const conflicting = conflicts(changes);
+            const ids = new Set(conflicting.map(conflict => conflict.changeId));
+            return {
+                applied: changes.filter(change => !ids.has(change.changeId)).map(change => change.changeId),
+                conflicts: conflicting,
+                serverTime: new Date().toISOString()
+            };
+        },
+        async pull() {
+            return { ...pulled, serverTime: new Date().toISOString() };
+        }
+    };
+    return remote;
+}
+
+async function sync(remote) {
+    dbManager.syncRemote = remote;
+    try {
+        return await dbManager.syncWithDatabase();
+    } finally {
+        dbManager.syncRemote = null;
+    }
+}
+
+describe('recordContent', () => {
+    test('ignores key order at every level', () => {
+        const a = { id: 1, type: 'fever', vitals: { temperature: 38.5, pulse: 90 } };
+        const b = { vitals: { pulse: 90, temperature: 38.5 }, type: 'fever', id: 1 };
+        assert.equal(recordContent(a), recordContent(b));
+    });
+
+    test('sees changes inside nested objects and arrays', () => {
+        const a = { id: 1, vitals: { temperature: 38.5 }, tags: [{ name: 'night' }] };
+        assert.notEqual(recordContent(a), recordContent({ ...a, vitals: { temperature: 39.1 } }));
+        assert.notEqual(recordContent(a), recordContent({ ...a, vitals: { temperature: 38.5, pulse: 90 } }));
+        assert.notEqual(recordContent(a), recordContent({ ...a, tags: [{ name: 'morning' }] }));
+    });
+
+    test('leaves out the sync bookkeeping fields', () => {
+        const a = { id: 1, severity: 4 };
+        const b = { ...a, lastModified: '2024-03-01T09:00:00.000Z', syncedAt: '2024-03-02T09:00:00.000Z', userId: 'alice' };
+        assert.equal(recordContent(a), recordContent(b));
+    });
+});
+
+describe('outbox', () => {
+    before(() => dbManager.ready);
+
+    beforeEach(t => signIn(`outbox-${t.name.replace(/\W+/g, '-')}`));
+
+    test('a save queues each new record with no base version', async () => {
+        const record = symptom();
+        await dbManager.saveSymptoms([record]);
+
+        const outbox = await dbManager.loadOutbox();
+        assert.equal(outbox.length, 1);
+        assert.equal(outbox[0].op, 'put');
+        assert.equal(outbox[0].id, record.id);
+        assert.equal(outbox[0].baseModified, null);
+        assert.equal(outbox[0].record.lastModified, outbox[0].lastModified);
+    });
+
+    test('saving unchanged records queues nothing new', async () => {
+        const record = symptom();
+        await dbManager.saveSymptoms([record]);
+        const [queued] = await dbManager.loadOutbox();
+
+        await dbManager.saveSymptoms(await dbManager.loadSymptoms());
+        const outbox = await dbManager.loadOutbox();
+        assert.equal(outbox.length, 1);
+        assert.equal(outbox[0].changeId, queued.changeId);
+    });
+
+    test('an edit inside a nested field is a change', async () => {
+        const record = symptom({ vitals: { temperature: 38.5 } });
+        await dbManager.saveSymptoms([record]);
+        await sync(fakeRemote());
+        assert.equal((await dbManager.loadOutbox()).length, 0);
+
+        const [stored] = await dbManager.loadSymptoms();
+        await dbManager.saveSymptoms([{ ...stored, vitals: { temperature: 39.2 } }]);
+
+        const outbox = await dbManager.loadOutbox();
+        assert.equal(outbox.length, 1);
+        assert.equal(outbox[0].baseModified, stored.lastModified);
+        assert.deepEqual(outbox[0].record.vitals, { temperature: 39.2 });
+    });
+
+    test('a removed record is queued as a delete and kept in the trash', async () => {
+        const kept = symptom();
+        const removed = symptom();
+        await dbManager.saveSymptoms([kept, removed]);
+        await sync(fakeRemote());
+
+        await dbManager.saveSymptoms([(await dbManager.loadSymptoms()).find(s => s.id === kept.id)]);
+        const outbox = await dbManager.loadOutbox();
+        assert.deepEqual(outbox.map(change => [change.op, change.id]), [['delete', removed.id]]);
+        assert.deepEqual((await dbManager.getTrash()).map(entry => entry.id), [removed.id]);
+    });
+});
+
+describe('conflict resolution', () => {
+    before(() => dbManager.ready);
+
+    beforeEach(t => signIn(`conflict-${t.name.replace(/\W+/g, '-')}`));
+
+    test('a newer server copy replaces the local edit and the edit is logged', async () => {
+        const record = symptom();
+        await dbManager.saveSymptoms([record]);
+        const server = { ...record, severity: 9, lastModified: '2999-01-01T00:00:00.000Z' };
+
+        const remote = fakeRemote({
+            conflicts: changes => changes.map(change => ({ changeId: change.changeId, id: change.id, server, deletedAt: null }))
+        });
+        const status = await sync(remote);
+
+        assert.equal(status.pending, 0);
+        assert.equal(remote.pushes.length, 1);
+        assert.equal((await dbManager.loadSymptoms())[0].severity, 9);
+        const [conflict] = dbManager.getSyncConflicts();
+        assert.equal(conflict.resolution, 'server');
+        assert.equal(conflict.local.severity, 5);
+    });
+
+    test('a newer local edit is pushed again with force', async () => {
+        const record = symptom();
+        await dbManager.saveSymptoms([record]);
+        const server = { ...record, severity: 1, lastModified: '2000-01-01T00:00:00.000Z' };
+
+        const remote = fakeRemote({
+            conflicts: changes => changes.filter(change => !change.force)
+                .map(change => ({ changeId: change.changeId, id: change.id, server, deletedAt: null }))
+        });
+        await sync(remote);
+
+        assert.equal(remote.pushes.length, 2);
+        assert.equal(remote.pushes[1][0].force, true);
+        assert.equal((await dbManager.loadSymptoms())[0].severity, 5);
+        assert.equal(dbManager.getSyncConflicts()[0].resolution, 'local');
+        assert.equal((await dbManager.loadOutbox()).length, 0);
+    });
+
+    test('pulled records and deletions are merged, except records with unsent edits', async () => {
+        const pending = symptom();
+        const gone = symptom();
+        await dbManager.saveSymptoms([pending, gone]);
+        await sync(fakeRemote());
+
+        const stored = await dbManager.loadSymptoms();
+        await dbManager.saveSymptoms(stored.map(s => (s.id === pending.id ? { ...s, notes: 'edited here' } : s)));
+
+        const arrived = symptom({ lastModified: '2024-03-03T09:00:00.000Z' });
+        const remote = fakeRemote({
+            conflicts: () => [],
+            pulled: {
+                records: [arrived, { ...pending, notes: 'edited elsewhere', lastModified: '2024-03-04T09:00:00.000Z' }],
+                deleted: [{ id: gone.id, deletedAt: '2024-03-05T09:00:00.000Z' }]
+            }
+        });
+        // Keep the edit queued while the pull arrives
+        remote.push = async (userId, changes) => ({ applied: [], conflicts: [], serverTime: new Date().toISOString() });
+        await sync(remote);
+
+        const local = await dbManager.loadSymptoms();
+        assert.deepEqual(local.map(s => s.id).sort((a, b) => a - b), [pending.id, arrived.id]);
+        assert.equal(local.find(s => s.id === pending.id).notes, 'edited here');
+        assert.deepEqual((await dbManager.getTrash()).map(entry => entry.id), [gone.id]);
+    });
+});
@@ -0,0 +1,76 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+function account(id, role, fields = {}) {
+    return {
+        id: id,
+        username: id,
+        email: `${id}@example.com`,
+        role: role,
+        profile: {},
+        preferences: {},
+        createdAt: new Date().toISOString(),
+        lastLogin: null,
+        isActive: true,
+        ...fields
+    };
+}
+
+describe('tracking periods', () => {
+    before(async () => {
+        await dbManager.ready;
+        await dbManager.saveUser(account('dr-who', 'doctor'), { internal: true });
+        await dbManager.saveUser(account('alice', 'patient', { sharedWith: ['dr-who'] }), { internal: true });
+    });
+
+    test('a new period closes the current one and is kept on the account', async () => {
+        signIn('alice');
+        assert.deepEqual(dbManager.getTrackingPeriods().map(period => period.id), ['initial']);
+
+        const started = await dbManager.startTrackingPeriod();
+        const periods = dbManager.getTrackingPeriods();
+        assert.equal(periods.length, 2);
+        assert.ok(periods[0].endedAt);
+        assert.equal(dbManager.getCurrentTrackingPeriod().id, started.id);
+
+        const stored = await dbManager.loadUser('alice');
+        assert.deepEqual(stored.preferences.trackingPeriods, periods);
+    });
+
+    test('starting a period keeps the records of earlier ones', async () => {
+        signIn('bob');
+        await dbManager.saveSymptoms([{
+            id: 1,
+            type: 'headache',
+            displayName: 'Headache',
+            severity: 4,
+            timestamp: new Date(Date.now() - 60000).toISOString(),
+            date: new Date().toLocaleDateString(),
+            isMultiple: false,
+            groupId: null
+        }]);
+
+        const period = await dbManager.startTrackingPeriod();
+        assert.deepEqual((await dbManager.loadSymptoms()).map(s => s.id), [1]);
+
+        const [earlier] = dbManager.getTrackingPeriods();
+        assert.deepEqual(dbManager.querySymptoms({ to: earlier.endedAt }).results.map(s => s.id), [1]);
+        assert.equal(dbManager.querySymptoms({ from: period.startedAt }).total, 0);
+    });
+
+    test('a doctor reading a shared account sees its periods, not their own', async () => {
+        // The doctor's own device holds none of the patient's local settings
+        localStorage.removeItem(dbManager.getStorageKey('preferences', 'alice'));
+        signIn('dr-who', 'doctor');
+        assert.deepEqual(dbManager.getTrackingPeriods('alice').map(period => period.id), ['initial']);
+
+        await dbManager.loadSymptoms('alice');
+        const periods = dbManager.getTrackingPeriods('alice');
+        assert.equal(periods.length, 2);
+        assert.deepEqual(periods, (await dbManager.loadUser('alice')).preferences.trackingPeriods);
+        assert.deepEqual(dbManager.getTrackingPeriods().map(period => period.id), ['initial']);
+    });
+});
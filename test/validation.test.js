@@ -0,0 +1,101 @@
+const { describe, test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, signIn, DATABASE_SCRIPTS } = require('./browser.js');
+
+loadScripts(...DATABASE_SCRIPTS);
+
+function symptom(id, fields = {}) {
+    return {
+        id: id,
+        type: 'headache',
+        displayName: 'Headache',
+        severity: 5,
+        timestamp: '2024-03-01T09:00:00.000Z',
+        date: '2024-03-01',
+        isMultiple: false,
+        groupId: null,
+        ...fields
+    };
+}
+
+describe('schema validator', () => {
+    const validator = new SchemaValidator();
+
+    test('a complete record has no problems', () => {
+        assert.deepEqual(validator.validate('symptom', symptom(1, { notes: 'Mild', profileId: null })), []);
+    });
+
+    test('required fields must be present and not empty', () => {
+        const { id, ...withoutId } = symptom(1);
+        assert.deepEqual(validator.validate('symptom', { ...withoutId, displayName: '' }), [
+            'Missing required field "id"',
+            'Missing required field "displayName"'
+        ]);
+        assert.deepEqual(validator.validate('symptom', 'headache'), ['Record is not an object']);
+        assert.deepEqual(validator.validate('vitals', {}), ['Unknown schema "vitals"']);
+    });
+
+    test('fields are checked against their declared type', () => {
+        const errors = validator.validate('symptom', symptom(1, { severity: '5', isMultiple: 'no', timestamp: 'yesterday' }));
+        assert.deepEqual(errors, ['"severity" must be a number', '"timestamp" is not a valid date', '"isMultiple" must be a boolean']);
+        assert.deepEqual(validator.validate('symptom', symptom(1, { severity: NaN })), ['"severity" must be a number']);
+        assert.deepEqual(validator.validate('symptom', symptom(1, { severity: 11 })), ['"severity" must be between 1 and 10 (got 11)']);
+    });
+
+    test('nested blocks are checked field by field', () => {
+        const user = { id: 'alice', username: 'alice', profile: { firstName: 7 }, preferences: [] };
+        assert.deepEqual(validator.validate('user', user), ['"profile.firstName" must be a string', '"preferences" must be an object']);
+    });
+
+    test('derivable fields are filled in and markup is stripped', () => {
+        const { displayName, date, ...bare } = symptom(1, { type: 'stomach-pain' });
+        const normalized = validator.normalizeSymptom(bare);
+        assert.equal(normalized.displayName, 'Stomach Pain');
+        assert.equal(normalized.date, new Date(bare.timestamp).toLocaleDateString());
+
+        const clean = validator.sanitize(symptom(1, { notes: '<img src=x onerror=alert(1)>After <b>lunch</b> >_<' }));
+        assert.equal(clean.notes, 'After lunch _');
+    });
+});
+
+describe('quarantine', () => {
+    before(() => dbManager.ready);
+
+    test('a bad stored record is set aside and the rest still load', async () => {
+        signIn('alice');
+        localStorage.setItem(dbManager.getStorageKey('symptoms', 'alice'), JSON.stringify([symptom(1), symptom(2, { severity: 0 })]));
+
+        const loaded = await dbManager.loadSymptoms();
+        assert.deepEqual(loaded.map(s => s.id), [1]);
+
+        const [entry] = dbManager.getQuarantinedRecords();
+        assert.equal(entry.schema, 'symptom');
+        assert.equal(entry.source, 'load');
+        assert.equal(entry.record.id, 2);
+        assert.deepEqual(entry.errors, ['"severity" must be between 1 and 10 (got 0)']);
+
+        await dbManager.loadSymptoms();
+        assert.equal(dbManager.getQuarantinedRecords().length, 1);
+    });
+
+    test('a bad record is not saved, and the quarantine can be cleared', async () => {
+        signIn('bob');
+        await dbManager.saveSymptoms([symptom(1, { notes: '<b>Bold</b>' }), symptom(3, { timestamp: 'soon' })]);
+
+        const stored = await dbManager.loadSymptoms();
+        assert.deepEqual(stored.map(s => [s.id, s.notes]), [[1, 'Bold']]);
+        assert.deepEqual(dbManager.getQuarantinedRecords().map(entry => [entry.record.id, entry.source]), [[3, 'save']]);
+        assert.deepEqual(dbManager.getQuarantinedRecords('alice').map(entry => entry.record.id), [2]);
+
+        dbManager.clearQuarantine();
+        assert.deepEqual(dbManager.getQuarantinedRecords(), []);
+        assert.equal(dbManager.getQuarantinedRecords('alice').length, 1);
+    });
+
+    test('an account that does not fit the schema is not saved', async () => {
+        signIn('carol');
+        assert.equal(await dbManager.saveUser({ id: 'carol', username: 'carol', isActive: 'yes' }, { internal: true }), false);
+        assert.equal(await dbManager.loadUser('carol'), null);
+        assert.equal(dbManager.getQuarantinedRecords()[0].schema, 'user');
+    });
+});
@@ -0,0 +1,101 @@
+// User Storage for Health Tracker Application
+// Namespaces per-person localStorage keys by the logged-in account so two
+// people sharing a browser never see each other's data. Exposes the same
+// getItem/setItem/removeItem surface as localStorage.
+
+class UserStorage {
+    constructor(options = {}) {
+        this.sessionKey = options.sessionKey || 'healthtracker_session';
+        this.prefix = options.prefix || 'healthtracker_';
+        this.ownerKey = this.prefix + 'legacy_owner';
+        this.listeners = new Set();
+
+        // Keys written before storage was partitioned; claimed by the first account that logs in
+        this.legacyKeys = options.legacyKeys || [
+            'healthtracker_symptoms',
+            'userProfile',
+            'whatsappNumber',
+            'settings',
+            'emergencyLogs',
+            'helpful_suggestions',
+            'dismissed_suggestions'
+        ];
+    }
+
+    getCurrentUserId() {
+        try {
+            const session = localStorage.getItem(this.sessionKey) || sessionStorage.getItem(this.sessionKey);
+            return session ? JSON.parse(session).username || null : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // 'userProfile' -> 'healthtracker_user_<id>_userProfile'
+    // 'healthtracker_symptoms' -> 'healthtracker_user_<id>_symptoms'
+    scopedKey(name, userId = this.getCurrentUserId()) {
+        if (!userId) return name;
+        const baseName = name.startsWith(this.prefix) ? name.slice(this.prefix.length) : name;
+        return `${this.prefix}user_${userId}_${baseName}`;
+    }
+
+    getItem(name) {
+        return localStorage.getItem(this.scopedKey(name));
+    }
+
+    setItem(name, value) {
+        const previous = this.listeners.size > 0 ? this.getItem(name) : null;
+        localStorage.setItem(this.scopedKey(name), value);
+        this.notify(name, previous, value);
+    }
+
+    removeItem(name) {
+        const previous = this.listeners.size > 0 ? this.getItem(name) : null;
+        localStorage.removeItem(this.scopedKey(name));
+        this.notify(name, previous, null);
+    }
+
+    // listener({ name, userId, previous, value }) runs after every write through
+    // this object (values are the raw strings); returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify(name, previous, value) {
+        if (previous === value) return;
+        const change = { name: name, userId: this.getCurrentUserId(), previous: previous, value: value };
+        this.listeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                // A failing listener must not break the write
+            }
+        });
+    }
+
+    getLegacyOwner() {
+        return localStorage.getItem(this.ownerKey);
+    }
+
+    // Moves unowned (pre-partitioning) keys into the given account. Only the
+    // first account to call this gets them; returns true if it did.
+    claimLegacyData(userId) {
+        if (!userId || this.getLegacyOwner()) return false;
+
+        this.legacyKeys.forEach(name => {
+            const value = localStorage.getItem(name);
+            const target = this.scopedKey(name, userId);
+            if (value !== null && localStorage.getItem(target) === null) {
+                localStorage.setItem(target, value);
+            }
+            localStorage.removeItem(name);
+        });
+
+        localStorage.setItem(this.ownerKey, userId);
+        return true;
+    }
+}
+
+window.UserStorage = UserStorage;
+window.userStorage = new UserStorage();
@@ -45,6 +45,12 @@ class WhatsAppEmergencyService {
         
         let message = `🚨 *HEALTH EMERGENCY ALERT* 🚨\n\n`;
         message += `👤 *Patient:* ${userProfile.name}\n`;
+        if (userProfile.dateOfBirth) {
+            message += `🎂 *Date of Birth:* ${userProfile.dateOfBirth}\n`;
+        }
+        if (userProfile.emergencyContact) {
+            message += `📞 *Emergency Contact:* ${userProfile.emergencyContact}\n`;
+        }
         message += `📅 *Time:* ${timestamp}\n\n`;
         
         // High severity symptoms
@@ -107,10 +113,10 @@ class WhatsAppEmergencyService {
     sendEmergencyAlert(userProfile, symptoms) {
         // If profile missing number, try to hydrate from localStorage once (no re-prompt)
         if (!userProfile.whatsappNumber) {
-            const stored = localStorage.getItem('whatsappNumber');
+            const stored = userStorage.getItem('whatsappNumber');
             if (stored) {
                 userProfile.whatsappNumber = stored;
-                localStorage.setItem('userProfile', JSON.stringify(userProfile));
+                userStorage.setItem('userProfile', JSON.stringify(userProfile));
             }
         }
 
@@ -582,10 +588,10 @@ class WhatsAppEmergencyService {
 
         try {
             // Save to localStorage
-            localStorage.setItem('whatsappNumber', formattedNumber);
+            userStorage.setItem('whatsappNumber', formattedNumber);
             
             // Update user profile
-            const userProfile = JSON.parse(localStorage.getItem('userProfile') || '{}');
+            const userProfile = JSON.parse(userStorage.getItem('userProfile') || '{}');
             userProfile.whatsappNumber = formattedNumber;
             // Capture name from AuthManager if not present
             try {
@@ -598,14 +604,14 @@ class WhatsAppEmergencyService {
             } catch (e) {}
             // Mark emergency setup completed
             userProfile.emergencySetup = true;
-            localStorage.setItem('userProfile', JSON.stringify(userProfile));
+            userStorage.setItem('userProfile', JSON.stringify(userProfile));
 
             // Also mirror into a simple settings object for Settings screen linkage
-            const settings = JSON.parse(localStorage.getItem('settings') || '{}');
+            const settings = JSON.parse(userStorage.getItem('settings') || '{}');
             settings.whatsappNumber = formattedNumber;
             settings.name = userProfile.name || settings.name;
             settings.emergencySetup = true;
-            localStorage.setItem('settings', JSON.stringify(settings));
+            userStorage.setItem('settings', JSON.stringify(settings));
             
             // Close modal
             closeWhatsAppModal();
@@ -721,9 +727,9 @@ class WhatsAppEmergencyService {
         };
         
         // Save to localStorage (in real app, save to database)
-        const logs = JSON.parse(localStorage.getItem('emergencyLogs') || '[]');
+        const logs = JSON.parse(userStorage.getItem('emergencyLogs') || '[]');
         logs.push(alertLog);
-        localStorage.setItem('emergencyLogs', JSON.stringify(logs));
+        userStorage.setItem('emergencyLogs', JSON.stringify(logs));
         
         // Emergency alert logged successfully
     }
@@ -732,7 +738,7 @@ class WhatsAppEmergencyService {
      * Get emergency alert history
      */
     getEmergencyHistory() {
-        return JSON.parse(localStorage.getItem('emergencyLogs') || '[]');
+        return JSON.parse(userStorage.getItem('emergencyLogs') || '[]');
     }
 }
 